@@ -0,0 +1,265 @@
+// migraciones/001_esquema_base.js - Esquema base
+//
+// Recoge el esquema que antes creaba inicializarBaseDatos con CREATE TABLE IF
+// NOT EXISTS y ALTER TABLE sueltos. Todo es idempotente para que una base
+// creada por ese código viejo quede registrada sin errores: las columnas que
+// se agregaron con el tiempo se completan con ADD COLUMN IF NOT EXISTS.
+
+module.exports = {
+  descripcion: 'Esquema base (catálogo, administradores, clientes, ventas e inventario)',
+
+  async up(db) {
+    // Catálogo
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS categorias (
+        id SERIAL PRIMARY KEY,
+        nombre TEXT NOT NULL,
+        orden INTEGER DEFAULT 0,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS subcategorias (
+        id SERIAL PRIMARY KEY,
+        categoria_id INTEGER NOT NULL REFERENCES categorias(id) ON DELETE CASCADE,
+        nombre TEXT NOT NULL,
+        orden INTEGER DEFAULT 0,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('ALTER TABLE categorias ADD COLUMN IF NOT EXISTS orden INTEGER DEFAULT 0');
+    await db.query('ALTER TABLE subcategorias ADD COLUMN IF NOT EXISTS orden INTEGER DEFAULT 0');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS productos (
+        id SERIAL PRIMARY KEY,
+        nombre VARCHAR(255) NOT NULL,
+        categoria_id INTEGER REFERENCES categorias(id) ON DELETE SET NULL,
+        subcategoria_id INTEGER REFERENCES subcategorias(id) ON DELETE SET NULL,
+        precio DECIMAL(10, 2) NOT NULL,
+        invertido DECIMAL(10, 2) DEFAULT 0,
+        descripcion TEXT,
+        imagen_base64 TEXT,
+        stock INTEGER DEFAULT 0,
+        estado VARCHAR(20) DEFAULT 'ACTIVO',
+        destacado BOOLEAN DEFAULT false,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS producto_imagenes (
+        id SERIAL PRIMARY KEY,
+        producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+        clave VARCHAR(255) NOT NULL,
+        orden INTEGER DEFAULT 0,
+        ancho INTEGER,
+        alto INTEGER,
+        tamano_bytes INTEGER,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_producto_imagenes_producto
+      ON producto_imagenes (producto_id, orden)
+    `);
+
+    // Búsqueda de texto completo en español sin distinguir acentos. La
+    // configuración es_sin_acentos es la española con unaccent antes del
+    // stemmer, así "licuadora" encuentra "Licuadoras" y "cafe" encuentra "Café".
+    await db.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+    await db.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'es_sin_acentos') THEN
+          CREATE TEXT SEARCH CONFIGURATION es_sin_acentos (COPY = spanish);
+          ALTER TEXT SEARCH CONFIGURATION es_sin_acentos
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+        END IF;
+      END
+      $$
+    `);
+    await db.query('ALTER TABLE productos ADD COLUMN IF NOT EXISTS busqueda tsvector');
+    await db.query(`
+      CREATE OR REPLACE FUNCTION productos_actualizar_busqueda() RETURNS trigger AS $$
+      BEGIN
+        NEW.busqueda :=
+          setweight(to_tsvector('es_sin_acentos', COALESCE(NEW.nombre, '')), 'A') ||
+          setweight(to_tsvector('es_sin_acentos',
+            COALESCE((SELECT nombre FROM categorias WHERE id = NEW.categoria_id), '') || ' ' ||
+            COALESCE((SELECT nombre FROM subcategorias WHERE id = NEW.subcategoria_id), '')
+          ), 'B') ||
+          setweight(to_tsvector('es_sin_acentos', COALESCE(NEW.descripcion, '')), 'C');
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await db.query('DROP TRIGGER IF EXISTS productos_busqueda ON productos');
+    await db.query(`
+      CREATE TRIGGER productos_busqueda
+      BEFORE INSERT OR UPDATE ON productos
+      FOR EACH ROW EXECUTE FUNCTION productos_actualizar_busqueda()
+    `);
+    // Al renombrar una categoría o subcategoría se recalculan sus productos
+    await db.query(`
+      CREATE OR REPLACE FUNCTION categorias_refrescar_busqueda() RETURNS trigger AS $$
+      BEGIN
+        IF TG_TABLE_NAME = 'categorias' THEN
+          UPDATE productos SET categoria_id = categoria_id WHERE categoria_id = NEW.id;
+        ELSE
+          UPDATE productos SET subcategoria_id = subcategoria_id WHERE subcategoria_id = NEW.id;
+        END IF;
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await db.query('DROP TRIGGER IF EXISTS categorias_busqueda ON categorias');
+    await db.query(`
+      CREATE TRIGGER categorias_busqueda
+      AFTER UPDATE OF nombre ON categorias
+      FOR EACH ROW EXECUTE FUNCTION categorias_refrescar_busqueda()
+    `);
+    await db.query('DROP TRIGGER IF EXISTS subcategorias_busqueda ON subcategorias');
+    await db.query(`
+      CREATE TRIGGER subcategorias_busqueda
+      AFTER UPDATE OF nombre ON subcategorias
+      FOR EACH ROW EXECUTE FUNCTION categorias_refrescar_busqueda()
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_productos_busqueda ON productos USING GIN (busqueda)');
+    await db.query('UPDATE productos SET nombre = nombre WHERE busqueda IS NULL');
+
+    // Administradores
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS administradores (
+        id SERIAL PRIMARY KEY,
+        usuario VARCHAR(100) UNIQUE NOT NULL,
+        contrasena_hash VARCHAR(255) NOT NULL,
+        nombre VARCHAR(255) NOT NULL,
+        correo VARCHAR(255) NOT NULL,
+        rol VARCHAR(50) DEFAULT 'viewer',
+        activo BOOLEAN DEFAULT true,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        fecha_actualizacion TIMESTAMP,
+        ultima_sesion TIMESTAMP
+      )
+    `);
+    await db.query(`
+      ALTER TABLE administradores
+      ADD COLUMN IF NOT EXISTS activo BOOLEAN DEFAULT true,
+      ADD COLUMN IF NOT EXISTS fecha_actualizacion TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS ultima_sesion TIMESTAMP
+    `);
+    // Los administradores creados antes de los roles pasan a ser propietarios
+    await db.query("UPDATE administradores SET rol = 'owner' WHERE rol = 'admin'");
+    await db.query("ALTER TABLE administradores ALTER COLUMN rol SET DEFAULT 'viewer'");
+
+    // Clientes
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS clientes (
+        id SERIAL PRIMARY KEY,
+        usuario VARCHAR(100) UNIQUE NOT NULL,
+        contrasena_hash VARCHAR(255) NOT NULL,
+        nombre VARCHAR(255) NOT NULL,
+        correo VARCHAR(255) UNIQUE NOT NULL,
+        telefono VARCHAR(20),
+        direccion TEXT,
+        ciudad VARCHAR(100),
+        pais VARCHAR(100),
+        activo BOOLEAN DEFAULT true,
+        rol VARCHAR(50) DEFAULT 'cliente',
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ultima_sesion TIMESTAMP
+      )
+    `);
+    await db.query(`
+      ALTER TABLE clientes
+      ADD COLUMN IF NOT EXISTS ultima_sesion TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS direccion TEXT DEFAULT '',
+      ADD COLUMN IF NOT EXISTS ciudad VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS pais VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS activo BOOLEAN DEFAULT true
+    `);
+
+    // Ventas
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ventas (
+        id SERIAL PRIMARY KEY,
+        numero_orden VARCHAR(100) UNIQUE NOT NULL,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE SET NULL,
+        datos_carrito JSONB NOT NULL,
+        total DECIMAL(10, 2) NOT NULL,
+        nombre_cliente VARCHAR(255),
+        correo_cliente VARCHAR(255),
+        telefono_cliente VARCHAR(20),
+        direccion_envio TEXT,
+        estado VARCHAR(50) DEFAULT 'pendiente',
+        metodo_pago VARCHAR(50),
+        notas TEXT,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS ventas_historial_estados (
+        id SERIAL PRIMARY KEY,
+        venta_id INTEGER NOT NULL REFERENCES ventas(id) ON DELETE CASCADE,
+        estado_anterior VARCHAR(50),
+        estado_nuevo VARCHAR(50) NOT NULL,
+        usuario_id INTEGER,
+        usuario VARCHAR(100),
+        nota TEXT,
+        fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_ventas_historial_venta
+      ON ventas_historial_estados (venta_id, fecha)
+    `);
+
+    // Libro de movimientos de inventario: cada cambio de stock deja un registro
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS movimientos_inventario (
+        id SERIAL PRIMARY KEY,
+        producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+        tipo VARCHAR(30) NOT NULL,
+        cantidad INTEGER NOT NULL,
+        stock_resultante INTEGER NOT NULL,
+        motivo TEXT,
+        venta_id INTEGER REFERENCES ventas(id) ON DELETE SET NULL,
+        usuario_id INTEGER,
+        usuario VARCHAR(100),
+        fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_movimientos_producto
+      ON movimientos_inventario (producto_id, fecha)
+    `);
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_movimientos_venta
+      ON movimientos_inventario (venta_id)
+    `);
+
+    // Líneas de venta normalizadas (nombre, precio y costo capturados al vender)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS venta_items (
+        id SERIAL PRIMARY KEY,
+        venta_id INTEGER NOT NULL REFERENCES ventas(id) ON DELETE CASCADE,
+        producto_id INTEGER REFERENCES productos(id) ON DELETE SET NULL,
+        nombre VARCHAR(255) NOT NULL,
+        precio_unitario DECIMAL(10, 2) NOT NULL,
+        costo_unitario DECIMAL(10, 2) DEFAULT 0,
+        cantidad INTEGER NOT NULL,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_venta_items_venta ON venta_items (venta_id)');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_venta_items_producto ON venta_items (producto_id)');
+  },
+
+  async down() {
+    throw new Error('El esquema base no se puede revertir; borra la base de datos si necesitas empezar de cero');
+  }
+};
@@ -0,0 +1,57 @@
+// migraciones/002_variantes_producto.js - Variantes de producto
+//
+// Una variante es una combinación de atributos (talla, color...) con SKU,
+// stock propio y, opcionalmente, precio e imagen propios. El stock de un
+// producto con variantes es la suma del de sus variantes.
+
+module.exports = {
+  descripcion: 'Variantes de producto con SKU, precio y stock propios',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE producto_variantes (
+        id SERIAL PRIMARY KEY,
+        producto_id INTEGER NOT NULL REFERENCES productos(id) ON DELETE CASCADE,
+        sku VARCHAR(100) NOT NULL UNIQUE,
+        atributos JSONB NOT NULL DEFAULT '{}',
+        precio DECIMAL(10, 2),
+        stock INTEGER NOT NULL DEFAULT 0,
+        imagen_id INTEGER REFERENCES producto_imagenes(id) ON DELETE SET NULL,
+        activo BOOLEAN DEFAULT true,
+        orden INTEGER DEFAULT 0,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (producto_id, atributos)
+      )
+    `);
+    await db.query(`
+      CREATE INDEX idx_producto_variantes_producto
+      ON producto_variantes (producto_id, orden)
+    `);
+
+    // En los movimientos de una variante, stock_resultante es el de la variante
+    await db.query(`
+      ALTER TABLE movimientos_inventario
+      ADD COLUMN variante_id INTEGER REFERENCES producto_variantes(id) ON DELETE SET NULL
+    `);
+
+    // SKU y atributos se copian al vender, como el nombre y el precio
+    await db.query(`
+      ALTER TABLE venta_items
+      ADD COLUMN variante_id INTEGER REFERENCES producto_variantes(id) ON DELETE SET NULL,
+      ADD COLUMN sku VARCHAR(100),
+      ADD COLUMN atributos JSONB
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE venta_items
+      DROP COLUMN variante_id,
+      DROP COLUMN sku,
+      DROP COLUMN atributos
+    `);
+    await db.query('ALTER TABLE movimientos_inventario DROP COLUMN variante_id');
+    await db.query('DROP TABLE producto_variantes');
+  }
+};
@@ -0,0 +1,67 @@
+// migraciones/003_cupones.js - Cupones de descuento
+//
+// Un cupón descuenta un porcentaje o un monto fijo de los productos a los que
+// aplica (todos, o los de ciertas categorías o productos). Cada venta que lo
+// usa deja una fila en cupon_usos; los límites de uso cuentan esas filas,
+// sin las de ventas canceladas.
+
+module.exports = {
+  descripcion: 'Cupones de descuento y su uso en ventas',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE cupones (
+        id SERIAL PRIMARY KEY,
+        codigo VARCHAR(50) NOT NULL UNIQUE,
+        descripcion TEXT,
+        tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('porcentaje', 'monto')),
+        valor DECIMAL(10, 2) NOT NULL CHECK (valor > 0),
+        compra_minima DECIMAL(10, 2) DEFAULT 0,
+        valido_desde TIMESTAMP,
+        valido_hasta TIMESTAMP,
+        limite_usos INTEGER,
+        limite_por_cliente INTEGER,
+        categoria_ids INTEGER[] NOT NULL DEFAULT '{}',
+        producto_ids INTEGER[] NOT NULL DEFAULT '{}',
+        activo BOOLEAN DEFAULT true,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      ALTER TABLE ventas
+      ADD COLUMN subtotal DECIMAL(10, 2),
+      ADD COLUMN descuento DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN cupon_id INTEGER REFERENCES cupones(id) ON DELETE SET NULL,
+      ADD COLUMN codigo_cupon VARCHAR(50)
+    `);
+    await db.query('UPDATE ventas SET subtotal = total WHERE subtotal IS NULL');
+
+    await db.query(`
+      CREATE TABLE cupon_usos (
+        id SERIAL PRIMARY KEY,
+        cupon_id INTEGER NOT NULL REFERENCES cupones(id) ON DELETE CASCADE,
+        venta_id INTEGER NOT NULL REFERENCES ventas(id) ON DELETE CASCADE,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE SET NULL,
+        correo VARCHAR(255),
+        descuento DECIMAL(10, 2) NOT NULL,
+        fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_cupon_usos_cupon ON cupon_usos (cupon_id)');
+    await db.query('CREATE INDEX idx_cupon_usos_correo ON cupon_usos (cupon_id, LOWER(correo))');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE cupon_usos');
+    await db.query(`
+      ALTER TABLE ventas
+      DROP COLUMN subtotal,
+      DROP COLUMN descuento,
+      DROP COLUMN cupon_id,
+      DROP COLUMN codigo_cupon
+    `);
+    await db.query('DROP TABLE cupones');
+  }
+};
@@ -0,0 +1,30 @@
+// migraciones/004_restablecer_contrasena.js - Tokens para restablecer contraseña
+//
+// Solo se guarda el SHA-256 del token; el token en claro viaja únicamente en
+// el enlace del correo. Cada token sirve una vez y vence.
+
+module.exports = {
+  descripcion: 'Tokens de restablecimiento de contraseña de clientes',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE restablecimientos_contrasena (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expira_en TIMESTAMP NOT NULL,
+        usado_en TIMESTAMP,
+        ip VARCHAR(100),
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE INDEX idx_restablecimientos_cliente
+      ON restablecimientos_contrasena (cliente_id, fecha_creacion)
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE restablecimientos_contrasena');
+  }
+};
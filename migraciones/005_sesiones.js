@@ -0,0 +1,36 @@
+// migraciones/005_sesiones.js - Sesiones con refresh tokens
+//
+// Cada inicio de sesión crea una fila; el access token (JWT corto) lleva su id
+// como `sid` y autenticarToken la consulta en cada petición, así cerrar una
+// sesión o deshabilitar la cuenta corta el acceso de inmediato. Del refresh
+// token solo se guarda el SHA-256; al rotarlo se conserva el hash anterior
+// para detectar si alguien reutiliza uno ya cambiado.
+
+module.exports = {
+  descripcion: 'Sesiones de administradores y clientes con refresh tokens rotativos',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE sesiones (
+        id SERIAL PRIMARY KEY,
+        tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('admin', 'cliente')),
+        usuario_id INTEGER NOT NULL,
+        refresh_hash CHAR(64) NOT NULL UNIQUE,
+        refresh_anterior_hash CHAR(64),
+        expira_en TIMESTAMP NOT NULL,
+        revocada_en TIMESTAMP,
+        motivo_revocacion VARCHAR(50),
+        ip VARCHAR(100),
+        agente_usuario TEXT,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ultimo_uso TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_sesiones_usuario ON sesiones (tipo, usuario_id)');
+    await db.query('CREATE INDEX idx_sesiones_refresh_anterior ON sesiones (refresh_anterior_hash)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE sesiones');
+  }
+};
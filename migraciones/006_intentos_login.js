@@ -0,0 +1,31 @@
+// migraciones/006_intentos_login.js - Registro de intentos de inicio de sesión
+//
+// Los bloqueos no se guardan aparte: se calculan a partir de este registro
+// (fallos desde el último acceso correcto o desbloqueo de la cuenta, y fallos
+// recientes de la misma IP).
+
+module.exports = {
+  descripcion: 'Intentos de inicio de sesión para bloqueo por fuerza bruta',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE intentos_login (
+        id SERIAL PRIMARY KEY,
+        tipo VARCHAR(20) NOT NULL CHECK (tipo IN ('admin', 'cliente')),
+        usuario VARCHAR(255),
+        cuenta_id INTEGER,
+        ip VARCHAR(100),
+        resultado VARCHAR(20) NOT NULL CHECK (resultado IN ('exito', 'fallo', 'bloqueado', 'desbloqueo')),
+        agente_usuario TEXT,
+        detalle TEXT,
+        fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_intentos_login_cuenta ON intentos_login (tipo, usuario, fecha)');
+    await db.query('CREATE INDEX idx_intentos_login_ip ON intentos_login (ip, fecha)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE intentos_login');
+  }
+};
@@ -0,0 +1,20 @@
+// migraciones/007_ventas_por_cliente.js - Índice para el historial de pedidos
+//
+// Las ventas hechas con sesión de cliente guardan cliente_id; el historial
+// del cliente y la ficha del panel las buscan por ese campo.
+
+module.exports = {
+  descripcion: 'Índice de ventas por cliente',
+
+  async up(db) {
+    await db.query(`
+      CREATE INDEX idx_ventas_cliente
+      ON ventas (cliente_id, fecha_creacion DESC)
+      WHERE cliente_id IS NOT NULL
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX idx_ventas_cliente');
+  }
+};
@@ -0,0 +1,36 @@
+// migraciones/008_papelera.js - Eliminación lógica de productos y clientes
+//
+// Borrar un producto o un cliente desde el panel solo lo marca con la fecha y
+// quién lo hizo; las consultas normales lo ignoran y se puede restaurar desde
+// la papelera. El borrado definitivo es una operación aparte.
+
+module.exports = {
+  descripcion: 'Papelera de productos y clientes (eliminación lógica)',
+
+  async up(db) {
+    for (const tabla of ['productos', 'clientes']) {
+      await db.query(`
+        ALTER TABLE ${tabla}
+        ADD COLUMN eliminado_en TIMESTAMP,
+        ADD COLUMN eliminado_por_id INTEGER,
+        ADD COLUMN eliminado_por VARCHAR(100)
+      `);
+      await db.query(`
+        CREATE INDEX idx_${tabla}_eliminados
+        ON ${tabla} (eliminado_en DESC)
+        WHERE eliminado_en IS NOT NULL
+      `);
+    }
+  },
+
+  async down(db) {
+    for (const tabla of ['productos', 'clientes']) {
+      await db.query(`
+        ALTER TABLE ${tabla}
+        DROP COLUMN eliminado_en,
+        DROP COLUMN eliminado_por_id,
+        DROP COLUMN eliminado_por
+      `);
+    }
+  }
+};
@@ -0,0 +1,32 @@
+// migraciones/009_auditoria.js - Registro de acciones de administradores
+//
+// Cada cambio hecho desde el panel deja una fila con quién lo hizo, sobre qué
+// entidad y, en `cambios`, los campos que cambiaron: { campo: { antes, despues } }.
+
+module.exports = {
+  descripcion: 'Auditoría de acciones de administradores',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE auditoria (
+        id SERIAL PRIMARY KEY,
+        usuario_id INTEGER,
+        usuario VARCHAR(100),
+        accion VARCHAR(50) NOT NULL,
+        entidad VARCHAR(50) NOT NULL,
+        entidad_id INTEGER,
+        cambios JSONB NOT NULL DEFAULT '{}',
+        detalle TEXT,
+        ip VARCHAR(100),
+        fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_auditoria_fecha ON auditoria (fecha DESC)');
+    await db.query('CREATE INDEX idx_auditoria_entidad ON auditoria (entidad, entidad_id, fecha DESC)');
+    await db.query('CREATE INDEX idx_auditoria_usuario ON auditoria (usuario_id, fecha DESC)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE auditoria');
+  }
+};
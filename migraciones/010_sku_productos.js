@@ -0,0 +1,17 @@
+// migraciones/010_sku_productos.js - SKU de producto
+//
+// Código propio del producto (los de variantes están en producto_variantes).
+// Es opcional; la importación por CSV lo usa para reconocer productos que ya
+// existen.
+
+module.exports = {
+  descripcion: 'SKU de producto para importación y exportación',
+
+  async up(db) {
+    await db.query('ALTER TABLE productos ADD COLUMN sku VARCHAR(100) UNIQUE');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE productos DROP COLUMN sku');
+  }
+};
@@ -0,0 +1,19 @@
+// migraciones/011_stock_minimo.js - Stock mínimo por producto
+//
+// Cuando una venta deja el stock en el mínimo o por debajo se avisa por el
+// notificador (servicios/notificador.js). Con 0 solo se avisa al agotarse.
+
+module.exports = {
+  descripcion: 'Stock mínimo de productos para alertas de reposición',
+
+  async up(db) {
+    await db.query(`
+      ALTER TABLE productos
+      ADD COLUMN stock_minimo INTEGER NOT NULL DEFAULT 0 CHECK (stock_minimo >= 0)
+    `);
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE productos DROP COLUMN stock_minimo');
+  }
+};
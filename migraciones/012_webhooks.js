@@ -0,0 +1,54 @@
+// migraciones/012_webhooks.js - Webhooks salientes
+//
+// `webhooks` son las suscripciones que se administran desde el panel y
+// `webhook_entregas` la cola y el historial de envíos: cada evento deja una
+// fila por suscripción, que el despachador envía y reintenta.
+
+module.exports = {
+  descripcion: 'Suscripciones de webhooks y cola de entregas',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE webhooks (
+        id SERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        descripcion TEXT,
+        eventos TEXT[] NOT NULL,
+        secreto VARCHAR(100) NOT NULL,
+        activo BOOLEAN NOT NULL DEFAULT true,
+        creado_por_id INTEGER,
+        creado_por VARCHAR(100),
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE TABLE webhook_entregas (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        evento VARCHAR(50) NOT NULL,
+        carga JSONB NOT NULL,
+        estado VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+        intentos INTEGER NOT NULL DEFAULT 0,
+        proximo_intento TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ultimo_codigo INTEGER,
+        ultimo_error TEXT,
+        duracion_ms INTEGER,
+        reenvio_de INTEGER REFERENCES webhook_entregas(id) ON DELETE SET NULL,
+        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        fecha_entrega TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE INDEX idx_webhook_entregas_pendientes
+      ON webhook_entregas (proximo_intento)
+      WHERE estado = 'pendiente'
+    `);
+    await db.query('CREATE INDEX idx_webhook_entregas_webhook ON webhook_entregas (webhook_id, fecha_creacion DESC)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE webhook_entregas');
+    await db.query('DROP TABLE webhooks');
+  }
+};
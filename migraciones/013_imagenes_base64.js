@@ -0,0 +1,73 @@
+// migraciones/013_imagenes_base64.js - Imágenes base64 al almacenamiento de medios
+//
+// Pasa las imágenes que quedan en productos.imagen_base64 a producto_imagenes,
+// como primera imagen del producto. Se leen de una en una para no cargarlas
+// todas en memoria. Una imagen que no se puede procesar se informa y se deja
+// en su columna; como la migración corre una sola vez no se vuelve a intentar.
+
+const { crearAlmacenamiento } = require('../servicios/almacenamiento');
+const medios = require('../servicios/medios');
+
+module.exports = {
+  descripcion: 'Mover imágenes base64 de productos al almacenamiento de medios',
+
+  async up(db) {
+    const almacenamiento = crearAlmacenamiento();
+    // Los archivos se escriben antes del COMMIT: si la migración falla se
+    // borran para no dejarlos huérfanos
+    const guardadas = [];
+    let ultimoId = 0;
+    let omitidas = 0;
+
+    try {
+      while (true) {
+        const resultado = await db.query(
+          `SELECT id, imagen_base64 FROM productos
+           WHERE imagen_base64 IS NOT NULL AND imagen_base64 <> '' AND id > $1
+           ORDER BY id
+           LIMIT 1`,
+          [ultimoId]
+        );
+
+        if (resultado.rows.length === 0) break;
+
+        const { id, imagen_base64 } = resultado.rows[0];
+        ultimoId = id;
+        let guardada = null;
+
+        await db.query('SAVEPOINT imagen_producto');
+
+        try {
+          guardada = await medios.guardarImagenProducto(almacenamiento, id, medios.decodificarImagenBase64(imagen_base64));
+          await db.query(
+            `INSERT INTO producto_imagenes (producto_id, clave, orden, ancho, alto, tamano_bytes)
+            VALUES ($1, $2, (
+              SELECT COALESCE(MIN(orden), 1) - 1 FROM producto_imagenes WHERE producto_id = $1
+            ), $3, $4, $5)`,
+            [id, guardada.clave, guardada.ancho, guardada.alto, guardada.tamano_bytes]
+          );
+          await db.query('UPDATE productos SET imagen_base64 = NULL WHERE id = $1', [id]);
+          await db.query('RELEASE SAVEPOINT imagen_producto');
+          guardadas.push(guardada.clave);
+        } catch (error) {
+          await db.query('ROLLBACK TO SAVEPOINT imagen_producto');
+          if (guardada) {
+            await medios.eliminarImagenProducto(almacenamiento, guardada.clave).catch(() => {});
+          }
+          console.log(`ℹ️ No se pudo migrar la imagen del producto ${id}:`, error.message);
+          omitidas++;
+        }
+      }
+    } catch (error) {
+      await Promise.all(guardadas.map(clave => medios.eliminarImagenProducto(almacenamiento, clave).catch(() => {})));
+      throw error;
+    }
+
+    if (guardadas.length > 0 || omitidas > 0) {
+      console.log(`✅ ${guardadas.length} imágenes base64 movidas al almacenamiento de medios (${omitidas} sin mover)`);
+    }
+  },
+
+  // Las imágenes movidas quedan como imágenes normales del producto
+  async down() {}
+};
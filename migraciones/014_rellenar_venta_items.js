@@ -0,0 +1,93 @@
+// migraciones/014_rellenar_venta_items.js - Líneas de las ventas antiguas
+//
+// Crea las filas de venta_items de las ventas anteriores a la tabla a partir
+// de su datos_carrito. Solo toca ventas sin líneas, y cada venta va en su
+// propio savepoint para que no quede a medias. El costo es el `invertido`
+// actual del producto, el único disponible para esas ventas. Los carritos que
+// no se pueden leer se informan y se dejan como están; como la migración corre
+// una sola vez no se vuelven a intentar.
+
+// El frontend de entonces guardaba las líneas con nombres de campos en español
+// o en inglés según la versión. Devuelve null si la línea no se puede leer.
+function leerLinea(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+
+  const cantidad = Number(item.cantidad ?? item.quantity ?? 1);
+  if (!Number.isInteger(cantidad) || cantidad < 1) return null;
+
+  const productoId = Number(item.producto_id ?? item.product_id ?? item.id);
+  const precio = parseFloat(item.precio ?? item.price);
+
+  return {
+    producto_id: Number.isInteger(productoId) && productoId > 0 ? productoId : null,
+    nombre: item.nombre ?? item.name ?? null,
+    precio: isNaN(precio) ? null : precio,
+    cantidad
+  };
+}
+
+module.exports = {
+  descripcion: 'Recuperar venta_items de las ventas antiguas desde datos_carrito',
+
+  async up(db) {
+    const pendientes = await db.query(`
+      SELECT v.id, v.datos_carrito, v.fecha_creacion
+      FROM ventas v
+      WHERE jsonb_typeof(v.datos_carrito) = 'array'
+        AND jsonb_array_length(v.datos_carrito) > 0
+        AND NOT EXISTS (SELECT 1 FROM venta_items vi WHERE vi.venta_id = v.id)
+    `);
+
+    if (pendientes.rows.length === 0) return;
+
+    const productos = await db.query('SELECT id, nombre, precio, invertido FROM productos');
+    const productosPorId = new Map(productos.rows.map(p => [p.id, p]));
+    let insertados = 0;
+    let omitidas = 0;
+
+    for (const venta of pendientes.rows) {
+      const lineas = venta.datos_carrito.map(leerLinea);
+
+      if (lineas.includes(null)) {
+        console.log(`ℹ️ No se pudieron recuperar las líneas de la venta ${venta.id}: datos_carrito tiene elementos inválidos`);
+        omitidas++;
+        continue;
+      }
+
+      await db.query('SAVEPOINT venta_items');
+
+      try {
+        for (const linea of lineas) {
+          const producto = productosPorId.get(linea.producto_id);
+
+          await db.query(
+            `INSERT INTO venta_items
+              (venta_id, producto_id, nombre, precio_unitario, costo_unitario, cantidad, fecha_creacion)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [
+              venta.id,
+              producto ? producto.id : null,
+              linea.nombre || (producto ? producto.nombre : 'Producto eliminado'),
+              linea.precio ?? (producto ? producto.precio : 0),
+              producto ? producto.invertido || 0 : 0,
+              linea.cantidad,
+              venta.fecha_creacion
+            ]
+          );
+        }
+
+        await db.query('RELEASE SAVEPOINT venta_items');
+        insertados += lineas.length;
+      } catch (error) {
+        await db.query('ROLLBACK TO SAVEPOINT venta_items');
+        console.log(`ℹ️ No se pudieron recuperar las líneas de la venta ${venta.id}:`, error.message);
+        omitidas++;
+      }
+    }
+
+    console.log(`✅ ${insertados} líneas de venta recuperadas desde datos_carrito (${omitidas} ventas sin recuperar)`);
+  },
+
+  // Las líneas recuperadas son las de la venta; no hay nada que deshacer
+  async down() {}
+};
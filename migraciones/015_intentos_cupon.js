@@ -0,0 +1,25 @@
+// migraciones/015_intentos_cupon.js - Registro de códigos de cupón no válidos
+//
+// Cada código que no existe o no está activo deja una fila con la IP que lo
+// probó; con demasiadas filas recientes la IP queda frenada, para que no se
+// puedan adivinar códigos a fuerza de probar.
+
+module.exports = {
+  descripcion: 'Intentos con códigos de cupón no válidos para frenar la enumeración',
+
+  async up(db) {
+    await db.query(`
+      CREATE TABLE intentos_cupon (
+        id SERIAL PRIMARY KEY,
+        ip VARCHAR(100),
+        codigo VARCHAR(50),
+        fecha TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX idx_intentos_cupon_ip ON intentos_cupon (ip, fecha)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE intentos_cupon');
+  }
+};
@@ -0,0 +1,78 @@
+// scripts/migrar.js - Línea de comandos para las migraciones del esquema
+// Para: El Chicho Shop
+//
+// Uso:
+//   node scripts/migrar.js status      -> lista aplicadas y pendientes
+//   node scripts/migrar.js up          -> aplica todas las pendientes
+//   node scripts/migrar.js down [n]    -> revierte las últimas n (por defecto 1)
+
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const {
+  estadoMigraciones,
+  aplicarMigraciones,
+  revertirMigraciones
+} = require('../servicios/migraciones');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+});
+
+async function mostrarEstado() {
+  const estado = await estadoMigraciones(pool);
+  if (estado.length === 0) {
+    console.log('No hay migraciones en migraciones/');
+    return;
+  }
+
+  for (const m of estado) {
+    const marca = m.huerfana ? '⚠️ ' : m.aplicada ? '✅' : '⏳';
+    const fecha = m.aplicada_en ? ` (${new Date(m.aplicada_en).toISOString()})` : '';
+    console.log(`${marca} ${m.version}_${m.nombre}${fecha} - ${m.descripcion}`);
+  }
+
+  const pendientes = estado.filter(m => !m.aplicada).length;
+  console.log(`\n${estado.length - pendientes} aplicadas, ${pendientes} pendientes`);
+}
+
+async function main() {
+  const [comando = 'status', argumento] = process.argv.slice(2);
+
+  switch (comando) {
+    case 'status':
+      await mostrarEstado();
+      break;
+
+    case 'up': {
+      const aplicadas = await aplicarMigraciones(pool);
+      console.log(aplicadas.length > 0
+        ? `🎉 ${aplicadas.length} migraciones aplicadas`
+        : 'El esquema ya estaba al día');
+      break;
+    }
+
+    case 'down': {
+      const pasos = argumento === undefined ? 1 : parseInt(argumento, 10);
+      if (!Number.isInteger(pasos) || pasos < 1) {
+        throw new Error('El número de migraciones a revertir debe ser un entero positivo');
+      }
+      const revertidas = await revertirMigraciones(pool, { pasos });
+      console.log(revertidas.length > 0
+        ? `🎉 ${revertidas.length} migraciones revertidas`
+        : 'No hay migraciones aplicadas');
+      break;
+    }
+
+    default:
+      throw new Error(`Comando desconocido: ${comando}. Usa status, up o down [n]`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
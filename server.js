@@ -7,13 +7,26 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const { crearAlmacenamiento } = require('./servicios/almacenamiento');
+const { crearTransporteCorreo } = require('./servicios/correo');
+const { crearNotificador } = require('./servicios/notificador');
+const medios = require('./servicios/medios');
+const { aplicarMigraciones, estadoMigraciones } = require('./servicios/migraciones');
+const { convertirACsv, leerCsvConEncabezados } = require('./servicios/csv');
+const { FORMATOS_EXPORTACION, crearExportacion } = require('./servicios/exportacion');
+const { EVENTOS_WEBHOOK, generarSecreto, esDestinoInterno, encolarEvento, crearDespachador } = require('./servicios/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'elchicho_secret_key_2024';
+const almacenamiento = crearAlmacenamiento();
+const transporteCorreo = crearTransporteCorreo();
+const notificador = crearNotificador({ transporteCorreo });
 
 // ============================================
 // CONFIGURACIÓN POSTGRESQL
@@ -45,9 +58,23 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// Las imágenes se suben como archivos a /api/admin/productos/:id/imagenes; solo
+// las rutas de productos aceptan todavía el imagen_base64 del panel anterior.
+app.use('/api/admin/productos', express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// req.ip se usa para frenar intentos de login por IP. Detrás de un proxy (el
+// balanceador del hosting) hay que confiar en X-Forwarded-For o todas las
+// peticiones parecerían venir de la misma IP. TRUST_PROXY acepta lo mismo que
+// el ajuste "trust proxy" de Express (true/false, un número de saltos o una
+// lista de redes).
+const trustProxy = process.env.TRUST_PROXY || 'loopback, linklocal, uniquelocal';
+app.set('trust proxy',
+  ['true', 'false'].includes(trustProxy) ? trustProxy === 'true'
+    : /^\d+$/.test(trustProxy) ? parseInt(trustProxy)
+      : trustProxy);
+
 // Logger
 app.use((req, res, next) => {
   console.log(`🔥 ${new Date().toLocaleTimeString()} - ${req.method} ${req.url}`);
@@ -61,6 +88,11 @@ app.use((req, res, next) => {
 // Servir archivos estáticos desde la carpeta 'public'
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Imágenes de productos guardadas en disco (adaptador local)
+if (almacenamiento.tipo === 'local') {
+  app.use(almacenamiento.rutaPublica, express.static(almacenamiento.directorio, { maxAge: '30d', immutable: true }));
+}
+
 // Ruta raíz - sirve el login
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -83,7 +115,43 @@ app.get('/edit-product.html', (req, res) => {
 // MIDDLEWARE DE AUTENTICACIÓN
 // ============================================
 
-function autenticarToken(req, res, next) {
+// El JWT solo dura unos minutos; lo que mantiene la sesión es el refresh
+// token, que se rota en cada uso (ver RUTAS DE SESIÓN).
+const DURACION_ACCESS_TOKEN = process.env.ACCESS_TOKEN_DURACION || '15m';
+const DIAS_SESION = {
+  admin: parseInt(process.env.SESION_DIAS_ADMIN) || 7,
+  cliente: parseInt(process.env.SESION_DIAS_CLIENTE) || 30
+};
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const tipoDeRol = rol => (rol === 'cliente' ? 'cliente' : 'admin');
+
+// Busca la sesión del token y devuelve el rol vigente de la cuenta, o null si
+// la sesión se cerró o venció o la cuenta está deshabilitada. Un cliente
+// siempre tiene rol 'cliente', diga lo que diga la columna clientes.rol: los
+// roles del panel solo salen de administradores.
+async function sesionActiva(payload) {
+  if (!payload.sid) return null;
+  
+  const resultado = await pool.query(
+    `SELECT CASE WHEN s.tipo = 'cliente' THEN 'cliente' ELSE a.rol END AS rol
+     FROM sesiones s
+     LEFT JOIN administradores a ON s.tipo = 'admin' AND a.id = s.usuario_id
+     LEFT JOIN clientes c ON s.tipo = 'cliente' AND c.id = s.usuario_id
+     WHERE s.id = $1
+       AND s.tipo = $2
+       AND s.usuario_id = $3
+       AND s.revocada_en IS NULL
+       AND s.expira_en > CURRENT_TIMESTAMP
+       AND COALESCE(a.activo, c.activo) = true
+       AND c.eliminado_en IS NULL`,
+    [payload.sid, tipoDeRol(payload.rol), payload.idUsuario]
+  );
+  return resultado.rows[0] || null;
+}
+
+async function autenticarToken(req, res, next) {
   const cabeceraAuth = req.headers['authorization'];
   const token = cabeceraAuth && cabeceraAuth.split(' ')[1];
 
@@ -94,16 +162,133 @@ function autenticarToken(req, res, next) {
     });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, usuario) => {
-    if (err) {
+  let usuario;
+  try {
+    usuario = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({
+      exito: false,
+      mensaje: 'Token inválido o expirado'
+    });
+  }
+
+  try {
+    const sesion = await sesionActiva(usuario);
+
+    if (!sesion) {
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'La sesión fue cerrada o la cuenta está deshabilitada'
+      });
+    }
+
+    // El rol sale de la base de datos: un cambio de rol aplica sin esperar
+    // a que venza el token
+    req.usuario = { ...usuario, rol: sesion.rol };
+    next();
+  } catch (error) {
+    console.error('Error verificando sesión:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error verificando sesión',
+      error: error.message
+    });
+  }
+}
+
+// Se usa después de autenticarToken en las rutas de la cuenta del cliente
+function requiereCliente(req, res, next) {
+  if (!req.usuario || req.usuario.rol !== 'cliente') {
+    return res.status(403).json({
+      exito: false,
+      mensaje: 'Acceso restringido a clientes'
+    });
+  }
+  next();
+}
+
+// Para rutas que también aceptan invitados: sin cabecera Authorization sigue
+// sin usuario; si la trae, el token tiene que ser válido.
+function autenticarOpcional(req, res, next) {
+  if (!req.headers['authorization']) return next();
+  return autenticarToken(req, res, next);
+}
+
+// Crea una sesión y devuelve los tokens para la respuesta de login.
+// `cuenta` es la fila de administradores o clientes.
+async function iniciarSesion(db, tipo, cuenta, req) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const resultado = await db.query(
+    `INSERT INTO sesiones (tipo, usuario_id, refresh_hash, expira_en, ip, agente_usuario)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4), $5, $6)
+     RETURNING id`,
+    [tipo, cuenta.id, hashToken(refreshToken), DIAS_SESION[tipo], req.ip, req.get('user-agent') || null]
+  );
+  return firmarTokens(tipo, cuenta, resultado.rows[0].id, refreshToken);
+}
+
+function firmarTokens(tipo, cuenta, sesionId, refreshToken) {
+  const token = jwt.sign(
+    {
+      idUsuario: cuenta.id,
+      usuario: cuenta.usuario,
+      nombre: cuenta.nombre,
+      rol: tipo === 'cliente' ? 'cliente' : cuenta.rol,
+      sid: sesionId
+    },
+    JWT_SECRET,
+    { expiresIn: DURACION_ACCESS_TOKEN }
+  );
+  return { token, refresh_token: refreshToken, expira_en: jwt.decode(token).exp };
+}
+
+// Cierra las sesiones abiertas de una cuenta (todas, o todas menos `exceptoId`)
+async function revocarSesiones(db, tipo, usuarioId, motivo, { exceptoId = null } = {}) {
+  const resultado = await db.query(
+    `UPDATE sesiones SET revocada_en = CURRENT_TIMESTAMP, motivo_revocacion = $3
+     WHERE tipo = $1 AND usuario_id = $2 AND revocada_en IS NULL
+       AND ($4::int IS NULL OR id <> $4)`,
+    [tipo, usuarioId, motivo, exceptoId]
+  );
+  return resultado.rowCount;
+}
+
+// Permisos de cada rol del panel. 'admin' es el rol que tenían todos los
+// administradores antes de que existieran los roles y equivale a 'owner'.
+const PERMISOS_POR_ROL = {
+  owner: ['*'],
+  editor: ['catalogo:leer', 'catalogo:escribir', 'cupones:leer', 'cupones:escribir'],
+  viewer: ['dashboard:leer', 'reportes:leer']
+};
+
+const ROLES_ADMIN = Object.keys(PERMISOS_POR_ROL);
+
+function permisosDeRol(rol) {
+  return PERMISOS_POR_ROL[rol === 'admin' ? 'owner' : rol] || [];
+}
+
+// Se usa después de autenticarToken. Sin permiso solo exige que el token sea
+// de un administrador (no de un cliente).
+function requierePermiso(permiso) {
+  return (req, res, next) => {
+    const permisos = permisosDeRol(req.usuario && req.usuario.rol);
+
+    if (permisos.length === 0) {
+      return res.status(403).json({
+        exito: false,
+        mensaje: 'Acceso restringido a administradores'
+      });
+    }
+
+    if (permiso && !permisos.includes('*') && !permisos.includes(permiso)) {
       return res.status(403).json({
         exito: false,
-        mensaje: 'Token inválido o expirado'
+        mensaje: 'No tienes permiso para realizar esta acción'
       });
     }
-    req.usuario = usuario;
+
     next();
-  });
+  };
 }
 
 // ============================================
@@ -117,157 +302,20 @@ async function inicializarBaseDatos() {
     const prueba = await pool.query('SELECT NOW()');
     console.log('✅ PostgreSQL conectado:', prueba.rows[0].now);
 
-    // Tabla de categorías
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS categorias (
-        id SERIAL PRIMARY KEY,
-        nombre TEXT NOT NULL,
-        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Tabla "categorias" creada/verificada');
-
-    // Tabla de subcategorías
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS subcategorias (
-        id SERIAL PRIMARY KEY,
-        categoria_id INTEGER NOT NULL REFERENCES categorias(id) ON DELETE CASCADE,
-        nombre TEXT NOT NULL,
-        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Tabla "subcategorias" creada/verificada');
-
-    // Tabla de productos
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS productos (
-        id SERIAL PRIMARY KEY,
-        nombre VARCHAR(255) NOT NULL,
-        categoria_id INTEGER REFERENCES categorias(id) ON DELETE SET NULL,
-        subcategoria_id INTEGER REFERENCES subcategorias(id) ON DELETE SET NULL,
-        precio DECIMAL(10, 2) NOT NULL,
-        invertido DECIMAL(10, 2) DEFAULT 0,
-        descripcion TEXT,
-        imagen_base64 TEXT,
-        stock INTEGER DEFAULT 0,
-        estado VARCHAR(20) DEFAULT 'ACTIVO',
-        destacado BOOLEAN DEFAULT false,
-        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Tabla "productos" creada/verificada');
-
-    // Tabla de administradores
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS administradores (
-        id SERIAL PRIMARY KEY,
-        usuario VARCHAR(100) UNIQUE NOT NULL,
-        contrasena_hash VARCHAR(255) NOT NULL,
-        nombre VARCHAR(255) NOT NULL,
-        correo VARCHAR(255) NOT NULL,
-        rol VARCHAR(50) DEFAULT 'admin',
-        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Tabla "administradores" creada/verificada');
-
-    // Tabla de clientes
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS clientes (
-        id SERIAL PRIMARY KEY,
-        usuario VARCHAR(100) UNIQUE NOT NULL,
-        contrasena_hash VARCHAR(255) NOT NULL,
-        nombre VARCHAR(255) NOT NULL,
-        correo VARCHAR(255) UNIQUE NOT NULL,
-        telefono VARCHAR(20),
-        direccion TEXT,
-        ciudad VARCHAR(100),
-        pais VARCHAR(100),
-        activo BOOLEAN DEFAULT true,
-        rol VARCHAR(50) DEFAULT 'cliente',
-        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        ultima_sesion TIMESTAMP
-      )
-    `);
-    console.log('✅ Tabla "clientes" creada/verificada');
-
-    // MIGRACIÓN: Agregar columna ultima_sesion si no existe
-    try {
-      await pool.query(`
-        ALTER TABLE clientes 
-        ADD COLUMN IF NOT EXISTS ultima_sesion TIMESTAMP
-      `);
-      console.log('✅ Columna "ultima_sesion" verificada/agregada');
-    } catch (error) {
-      console.log('ℹ️ Columna ultima_sesion ya existe o error menor:', error.message);
-    }
-
-    // MIGRACIÓN: Agregar columna direccion si no existe
-    try {
-      await pool.query(`
-        ALTER TABLE clientes 
-        ADD COLUMN IF NOT EXISTS direccion TEXT DEFAULT ''
-      `);
-      console.log('✅ Columna "direccion" verificada/agregada');
-    } catch (error) {
-      console.log('ℹ️ Columna direccion ya existe o error menor:', error.message);
-    }
-
-    // MIGRACIÓN: Agregar columna ciudad si no existe
-    try {
-      await pool.query(`
-        ALTER TABLE clientes 
-        ADD COLUMN IF NOT EXISTS ciudad VARCHAR(100)
-      `);
-      console.log('✅ Columna "ciudad" verificada/agregada');
-    } catch (error) {
-      console.log('ℹ️ Columna ciudad ya existe o error menor:', error.message);
-    }
-
-    // MIGRACIÓN: Agregar columna pais si no existe
-    try {
-      await pool.query(`
-        ALTER TABLE clientes 
-        ADD COLUMN IF NOT EXISTS pais VARCHAR(100)
-      `);
-      console.log('✅ Columna "pais" verificada/agregada');
-    } catch (error) {
-      console.log('ℹ️ Columna pais ya existe o error menor:', error.message);
+    // El esquema vive en migraciones/. MIGRAR_AL_INICIAR=false deja que se
+    // aplique a mano con "npm run migrate" (p. ej. antes de un despliegue).
+    if (process.env.MIGRAR_AL_INICIAR === 'false') {
+      const pendientes = (await estadoMigraciones(pool)).filter(m => !m.aplicada);
+      if (pendientes.length > 0) {
+        console.warn(`⚠️ Hay ${pendientes.length} migraciones pendientes; ejecuta "npm run migrate"`);
+      }
+    } else {
+      const aplicadas = await aplicarMigraciones(pool);
+      console.log(`✅ Esquema al día (${aplicadas.length} migraciones nuevas)`);
     }
 
-    // MIGRACIÓN: Agregar columna activo si no existe
-    try {
-      await pool.query(`
-        ALTER TABLE clientes 
-        ADD COLUMN IF NOT EXISTS activo BOOLEAN DEFAULT true
-      `);
-      console.log('✅ Columna "activo" verificada/agregada');
-    } catch (error) {
-      console.log('ℹ️ Columna activo ya existe o error menor:', error.message);
-    }
-
-
-    // Tabla de ventas
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ventas (
-        id SERIAL PRIMARY KEY,
-        numero_orden VARCHAR(100) UNIQUE NOT NULL,
-        cliente_id INTEGER REFERENCES clientes(id) ON DELETE SET NULL,
-        datos_carrito JSONB NOT NULL,
-        total DECIMAL(10, 2) NOT NULL,
-        nombre_cliente VARCHAR(255),
-        correo_cliente VARCHAR(255),
-        telefono_cliente VARCHAR(20),
-        direccion_envio TEXT,
-        estado VARCHAR(50) DEFAULT 'pendiente',
-        metodo_pago VARCHAR(50),
-        notas TEXT,
-        fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('✅ Tabla "ventas" creada/verificada');
+    // Las sesiones vencidas ya no pueden renovarse; se guardan un mes más
+    await pool.query("DELETE FROM sesiones WHERE expira_en < CURRENT_TIMESTAMP - INTERVAL '30 days'");
 
     // Insertar categorías predeterminadas
     const categoriasExistentes = await pool.query('SELECT COUNT(*) FROM categorias');
@@ -302,25 +350,39 @@ async function inicializarBaseDatos() {
       console.log('✅ Categorías creadas');
     }
 
-    // Recrear administrador
-    await pool.query("DELETE FROM administradores WHERE usuario = $1", [process.env.ADMIN_USERNAME]);
-    
-    const contrasenaHash = await bcrypt.hash(process.env.ADMIN_PASSWORD, 10);
+    // Propietario inicial: solo se crea en el primer arranque (o si ya no
+    // queda ningún propietario activo) a partir de ADMIN_USERNAME/ADMIN_PASSWORD.
+    const propietarios = await pool.query(
+      "SELECT COUNT(*) FROM administradores WHERE rol = 'owner' AND activo = true"
+    );
     
-    await pool.query(`
-      INSERT INTO administradores (usuario, contrasena_hash, nombre, correo, rol)
-      VALUES ($1, $2, $3, $4, $5)
-    `, [
-      process.env.ADMIN_USERNAME,
-      contrasenaHash,
-      'Administrador Principal',
-      process.env.ADMIN_EMAIL,
-      'admin'
-    ]);
+    if (parseInt(propietarios.rows[0].count) === 0) {
+      if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) {
+        console.warn('⚠️ No hay propietario activo. Define ADMIN_USERNAME y ADMIN_PASSWORD para crear el inicial');
+      } else {
+        const contrasenaHash = await bcrypt.hash(process.env.ADMIN_PASSWORD, 10);
+        
+        const creado = await pool.query(`
+          INSERT INTO administradores (usuario, contrasena_hash, nombre, correo, rol)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (usuario) DO NOTHING
+          RETURNING id
+        `, [
+          process.env.ADMIN_USERNAME,
+          contrasenaHash,
+          'Administrador Principal',
+          process.env.ADMIN_EMAIL || '',
+          'owner'
+        ]);
+        
+        if (creado.rows.length > 0) {
+          console.log('✅ Propietario inicial creado a partir de ADMIN_USERNAME');
+        } else {
+          console.warn('⚠️ ADMIN_USERNAME ya existe y no es un propietario activo; no se modificó');
+        }
+      }
+    }
     
-    console.log('✅ Administrador recreado');
-    console.log('👤 Usuario:', process.env.ADMIN_USERNAME);
-    console.log('🔐 Contraseña:', process.env.ADMIN_PASSWORD);
     console.log('🎉 Base de datos inicializada correctamente\n');
     
     return true;
@@ -331,64 +393,346 @@ async function inicializarBaseDatos() {
   }
 }
 
+// ============================================
+// UTILIDADES DE PAGINACIÓN
+// ============================================
+
+// Los listados aceptan ?pagina=&limite= o ?cursor= (el siguiente_cursor de la
+// respuesta anterior), además de ?ordenar=<clave>&direccion=asc|desc.
+// `ordenes` describe las claves permitidas: { clave: { expresion, tipo } }, donde
+// la expresión no debe ser NULL (se usa en la comparación del cursor).
+function leerPaginacion(consulta, { ordenes, ordenPorDefecto, direccionPorDefecto = 'desc', limitePorDefecto, limiteMaximo }) {
+  const limite = Math.min(Math.max(parseInt(consulta.limite) || limitePorDefecto, 1), limiteMaximo);
+  const pagina = Math.max(parseInt(consulta.pagina) || 1, 1);
+  const ordenar = ordenes[consulta.ordenar] ? consulta.ordenar : ordenPorDefecto;
+  const direccionPedida = String(consulta.direccion || '').toLowerCase();
+  const direccion = ['asc', 'desc'].includes(direccionPedida) ? direccionPedida : direccionPorDefecto;
+  let cursor = null;
+  
+  if (consulta.cursor) {
+    try {
+      cursor = JSON.parse(Buffer.from(String(consulta.cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'Cursor inválido' };
+    }
+    
+    if (!cursor || cursor.ordenar !== ordenar || cursor.direccion !== direccion ||
+        typeof cursor.valor !== 'string' || !Number.isInteger(cursor.id)) {
+      return { error: 'El cursor no corresponde a este orden' };
+    }
+  }
+  
+  return { limite, pagina, ordenar, direccion, cursor, ordenes };
+}
+
+// Ejecuta el conteo total y la página pedida. `origen` es el FROM con sus
+// JOIN y `condiciones` usa los marcadores $1..$n de `params`.
+async function consultarPagina(paginacion, { columnas, origen, condiciones, params, columnaId }) {
+  const { limite, pagina, ordenar, direccion, cursor, ordenes } = paginacion;
+  const { expresion, tipo } = ordenes[ordenar];
+  const sentido = direccion === 'asc' ? 'ASC' : 'DESC';
+  
+  const total = await pool.query(
+    `SELECT COUNT(*)::int AS total ${origen} ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}`,
+    params
+  );
+  
+  const condicionesPagina = [...condiciones];
+  const paramsPagina = [...params];
+  
+  if (cursor) {
+    const indice = paramsPagina.length + 1;
+    condicionesPagina.push(
+      `(${expresion}, ${columnaId}) ${direccion === 'asc' ? '>' : '<'} ($${indice}::${tipo}, $${indice + 1}::int)`
+    );
+    paramsPagina.push(cursor.valor, cursor.id);
+  }
+  
+  paramsPagina.push(limite + 1, cursor ? 0 : (pagina - 1) * limite);
+  
+  const resultado = await pool.query(
+    `SELECT ${columnas}, (${expresion})::text AS valor_cursor
+     ${origen}
+     ${condicionesPagina.length > 0 ? 'WHERE ' + condicionesPagina.join(' AND ') : ''}
+     ORDER BY ${expresion} ${sentido}, ${columnaId} ${sentido}
+     LIMIT $${paramsPagina.length - 1} OFFSET $${paramsPagina.length}`,
+    paramsPagina
+  );
+  
+  const hayMas = resultado.rows.length > limite;
+  const filas = resultado.rows.slice(0, limite);
+  const ultima = filas[filas.length - 1];
+  
+  return {
+    filas: filas.map(({ valor_cursor, ...fila }) => fila),
+    paginacion: {
+      total: total.rows[0].total,
+      pagina: cursor ? null : pagina,
+      limite,
+      total_paginas: Math.ceil(total.rows[0].total / limite),
+      ordenar,
+      direccion,
+      siguiente_cursor: hayMas
+        ? Buffer.from(JSON.stringify({ ordenar, direccion, valor: ultima.valor_cursor, id: ultima.id })).toString('base64url')
+        : null
+    }
+  };
+}
+
+const ORDENES_PRODUCTO = {
+  fecha: { expresion: 'p.fecha_creacion', tipo: 'timestamp' },
+  precio: { expresion: 'p.precio', tipo: 'numeric' },
+  nombre: { expresion: 'p.nombre', tipo: 'text' },
+  stock: { expresion: 'COALESCE(p.stock, 0)', tipo: 'int' }
+};
+
+// Consulta de texto completo a partir de lo que escribe el usuario
+// ("licuadora oster", "televisor -smart", "aire acondicionado")
+const CONSULTA_BUSQUEDA = indice => `websearch_to_tsquery('es_sin_acentos', $${indice})`;
+
+// ts_headline devuelve el texto original con las marcas agregadas, HTML
+// incluido. Se escapa antes de resaltarlo para que las únicas etiquetas del
+// resultado sean los <mark>.
+const ESCAPAR_HTML_SQL = expresion =>
+  `replace(replace(replace(replace(${expresion}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;')`;
+
+// Para autocompletar: cada palabra como prefijo y solo contra el nombre
+// (peso A), p. ej. "licu oste" → 'licu:*A & oste:*A'.
+function consultaPrefijos(texto) {
+  const palabras = String(texto).match(/[\p{L}\p{N}]+/gu) || [];
+  return palabras.slice(0, 6).map(palabra => `${palabra}:*A`).join(' & ');
+}
+
+// Filtros de catálogo compartidos por el listado público y el de admin.
+// Los productos en la papelera no salen en ninguno de los dos.
+function agregarFiltrosProducto(consulta, condiciones, params) {
+  const { categoria_id, subcategoria_id, precio_min, precio_max } = consulta;
+  
+  condiciones.push('p.eliminado_en IS NULL');
+  
+  if (categoria_id && categoria_id !== 'all') {
+    params.push(categoria_id);
+    condiciones.push(`p.categoria_id = $${params.length}`);
+  }
+  
+  if (subcategoria_id && subcategoria_id !== 'all') {
+    params.push(subcategoria_id);
+    condiciones.push(`p.subcategoria_id = $${params.length}`);
+  }
+  
+  if (precio_min !== undefined && !isNaN(parseFloat(precio_min))) {
+    params.push(parseFloat(precio_min));
+    condiciones.push(`p.precio >= $${params.length}`);
+  }
+  
+  if (precio_max !== undefined && !isNaN(parseFloat(precio_max))) {
+    params.push(parseFloat(precio_max));
+    condiciones.push(`p.precio <= $${params.length}`);
+  }
+}
+
+// Filtro ?estado=active|inactive de los listados del panel
+function agregarFiltroEstadoProducto(estado, condiciones) {
+  if (!estado || estado === 'all') return;
+  
+  if (estado.toLowerCase() === 'active') {
+    condiciones.push(`UPPER(p.estado) = 'ACTIVO'`);
+  } else if (estado.toLowerCase() === 'inactive') {
+    condiciones.push(`UPPER(p.estado) = 'INACTIVO'`);
+  }
+}
+
+// ============================================
+// AUDITORÍA DE ACCIONES DE ADMINISTRADORES
+// ============================================
+
+// Columnas que no se guardan nunca (secretos o datos derivados) y las que
+// cambian en cada escritura sin aportar nada al historial
+const CAMPOS_EXCLUIDOS_AUDITORIA = [
+  'contrasena_hash', 'busqueda', 'imagen_base64', 'imagen_clave', 'fecha_actualizacion', 'secreto'
+];
+
+// Compara dos filas y devuelve { campo: { antes, despues } } con los campos
+// que cambiaron. Con `antes` en null es un alta y con `despues` en null una baja.
+function diferenciasAuditoria(antes, despues) {
+  const cambios = {};
+  const campos = new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})]);
+  
+  for (const campo of campos) {
+    if (CAMPOS_EXCLUIDOS_AUDITORIA.includes(campo)) continue;
+    
+    const valorAntes = antes && antes[campo] !== undefined ? antes[campo] : null;
+    const valorDespues = despues && despues[campo] !== undefined ? despues[campo] : null;
+    
+    if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+      cambios[campo] = { antes: valorAntes, despues: valorDespues };
+    }
+  }
+  
+  return cambios;
+}
+
+// Igual que con el inventario: dentro de una transacción hay que pasar el
+// mismo cliente, para que el registro se deshaga si la operación falla.
+async function registrarAuditoria(db, req, { accion, entidad, entidadId = null, antes = null, despues = null, detalle = null }) {
+  await db.query(
+    `INSERT INTO auditoria (usuario_id, usuario, accion, entidad, entidad_id, cambios, detalle, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      req.usuario ? req.usuario.idUsuario : null,
+      req.usuario ? req.usuario.usuario : null,
+      accion,
+      entidad,
+      entidadId,
+      JSON.stringify(diferenciasAuditoria(antes, despues)),
+      detalle,
+      req.ip
+    ]
+  );
+}
+
 // ============================================
 // RUTAS API - PRODUCTOS PÚBLICOS
 // ============================================
 
+// Los productos sin stock salen con agotado: true. Con OCULTAR_AGOTADOS=true
+// no se listan; ?ocultar_agotados=true|false cambia el comportamiento por
+// consulta. La ficha (/api/productos/:id) se sigue pudiendo abrir.
+const OCULTAR_AGOTADOS = process.env.OCULTAR_AGOTADOS === 'true';
+
 app.get('/api/productos', async (req, res) => {
   try {
-    const { categoria_id, buscar, limite = 100, destacado } = req.query;
+    const { destacado, ocultar_agotados } = req.query;
+    const buscar = (req.query.buscar || '').trim();
     
-    let query = `
-      SELECT 
+    const condiciones = ["p.estado = 'ACTIVO'"];
+    const params = [];
+    let ordenes = ORDENES_PRODUCTO;
+    let columnasBusqueda = '';
+    
+    if (buscar) {
+      params.push(buscar);
+      const consulta = CONSULTA_BUSQUEDA(params.length);
+      condiciones.push(`p.busqueda @@ ${consulta}`);
+      ordenes = {
+        ...ORDENES_PRODUCTO,
+        relevancia: { expresion: `ts_rank_cd(p.busqueda, ${consulta})`, tipo: 'real' }
+      };
+      columnasBusqueda = `,
+        ts_rank_cd(p.busqueda, ${consulta}) AS relevancia,
+        ts_headline('es_sin_acentos', ${ESCAPAR_HTML_SQL('p.nombre')}, ${consulta},
+          'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS nombre_resaltado,
+        ts_headline('es_sin_acentos', ${ESCAPAR_HTML_SQL("COALESCE(p.descripcion, '')")}, ${consulta},
+          'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2') AS fragmento`;
+    }
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes,
+      ordenPorDefecto: buscar ? 'relevancia' : 'fecha',
+      limitePorDefecto: 100,
+      limiteMaximo: 100
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
+    }
+    
+    agregarFiltrosProducto(req.query, condiciones, params);
+    
+    if (destacado === 'true') {
+      condiciones.push('p.destacado = true');
+    }
+    
+    const ocultarAgotados = ocultar_agotados !== undefined ? ocultar_agotados === 'true' : OCULTAR_AGOTADOS;
+    
+    if (ocultarAgotados) {
+      condiciones.push('COALESCE(p.stock, 0) > 0');
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: `
         p.id,
         p.nombre,
         p.precio,
         p.descripcion,
-        p.imagen_base64,
+        img.clave AS imagen_clave,
         p.stock,
+        COALESCE(p.stock, 0) <= 0 AS agotado,
         p.estado,
         p.destacado,
-        c.nombre AS nombre_categoria
-      FROM productos p
-      LEFT JOIN categorias c ON p.categoria_id = c.id
-      WHERE p.estado = 'ACTIVO'
-    `;
-    
-    const params = [];
-    let paramIndex = 1;
+        p.categoria_id,
+        p.subcategoria_id,
+        c.nombre AS nombre_categoria${columnasBusqueda}
+      `,
+      origen: `
+        FROM productos p
+        LEFT JOIN categorias c ON p.categoria_id = c.id
+        ${JOIN_IMAGEN_PRINCIPAL}
+      `,
+      condiciones,
+      params,
+      columnaId: 'p.id'
+    });
     
-    if (categoria_id) {
-      query += ` AND p.categoria_id = $${paramIndex}`;
-      params.push(categoria_id);
-      paramIndex++;
-    }
+    res.json({
+      exito: true,
+      datos: filas.map(conUrlImagen),
+      paginacion: meta
+    });
     
-    if (destacado === 'true') {
-      query += ` AND p.destacado = true`;
-    }
+  } catch (error) {
+    console.error('Error obteniendo productos:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo productos',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/productos/sugerencias', async (req, res) => {
+  try {
+    const consulta = consultaPrefijos(req.query.q || '');
     
-    if (buscar) {
-      query += ` AND LOWER(p.nombre) LIKE LOWER($${paramIndex})`;
-      params.push(`%${buscar}%`);
-      paramIndex++;
+    if (!consulta) {
+      return res.json({
+        exito: true,
+        datos: []
+      });
     }
     
-    query += ` ORDER BY p.fecha_creacion DESC LIMIT $${paramIndex}`;
-    params.push(parseInt(limite));
-    
-    const resultado = await pool.query(query, params);
+    const resultado = await pool.query(
+      `SELECT 
+        p.id,
+        p.nombre,
+        p.precio,
+        img.clave AS imagen_clave
+      FROM productos p
+      ${JOIN_IMAGEN_PRINCIPAL}
+      WHERE p.estado = 'ACTIVO'
+        AND p.eliminado_en IS NULL
+        AND p.busqueda @@ to_tsquery('es_sin_acentos', $1)
+      ORDER BY ts_rank(p.busqueda, to_tsquery('es_sin_acentos', $1)) DESC, p.nombre
+      LIMIT $2`,
+      [consulta, Math.min(parseInt(req.query.limite) || 8, 20)]
+    );
     
     res.json({
       exito: true,
-      datos: resultado.rows
+      datos: resultado.rows.map(({ imagen_clave, ...producto }) => ({
+        ...producto,
+        imagen_url: imagen_clave ? medios.urlsImagen(almacenamiento, imagen_clave).miniatura : null
+      }))
     });
     
   } catch (error) {
-    console.error('Error obteniendo productos:', error);
+    console.error('Error obteniendo sugerencias:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error obteniendo productos',
+      mensaje: 'Error obteniendo sugerencias',
       error: error.message
     });
   }
@@ -404,7 +748,7 @@ app.get('/api/productos/:id', async (req, res) => {
       FROM productos p
       LEFT JOIN categorias c ON p.categoria_id = c.id
       LEFT JOIN subcategorias s ON p.subcategoria_id = s.id
-      WHERE p.id = $1`,
+      WHERE p.id = $1 AND p.eliminado_en IS NULL`,
       [req.params.id]
     );
     
@@ -415,9 +759,20 @@ app.get('/api/productos/:id', async (req, res) => {
       });
     }
     
+    const producto = limpiarProducto(resultado.rows[0]);
+    const imagenes = await obtenerImagenesProducto(producto.id);
+    const variantes = await obtenerVariantesProducto(producto, { soloActivas: true });
+    
     res.json({
       exito: true,
-      datos: resultado.rows[0]
+      datos: {
+        ...producto,
+        agotado: (producto.stock || 0) <= 0,
+        imagen_url: imagenes.length > 0 ? imagenes[0].urls.mediana : null,
+        imagenes,
+        variantes,
+        opciones: opcionesDeVariantes(variantes)
+      }
     });
     
   } catch (error) {
@@ -437,7 +792,7 @@ app.get('/api/productos/:id', async (req, res) => {
 app.get('/api/categorias', async (req, res) => {
   try {
     const resultado = await pool.query(
-      'SELECT * FROM categorias ORDER BY nombre'
+      'SELECT * FROM categorias ORDER BY orden, nombre'
     );
     
     res.json({
@@ -455,643 +810,7477 @@ app.get('/api/categorias', async (req, res) => {
   }
 });
 
-// ============================================
-// RUTAS DE ADMIN - PRODUCTOS
-// ============================================
-
-app.get('/api/admin/productos', autenticarToken, async (req, res) => {
+app.get('/api/categorias/arbol', async (req, res) => {
   try {
-    const { categoria_id, estado, buscar, limite = 500 } = req.query;
+    const categorias = await pool.query(`
+      SELECT 
+        c.id,
+        c.nombre,
+        c.orden,
+        COUNT(p.id)::int AS cantidad_productos
+      FROM categorias c
+      LEFT JOIN productos p ON p.categoria_id = c.id AND p.estado = 'ACTIVO' AND p.eliminado_en IS NULL
+      GROUP BY c.id
+      ORDER BY c.orden, c.nombre
+    `);
     
-    let query = `
+    const subcategorias = await pool.query(`
       SELECT 
-        p.id,
-        p.nombre,
-        p.categoria_id,
-        p.subcategoria_id,
-        p.precio,
-        p.invertido,
-        p.descripcion,
-        p.imagen_base64,
-        p.stock,
-        p.estado,
-        p.destacado,
-        p.fecha_creacion,
-        c.nombre AS nombre_categoria,
-        s.nombre AS nombre_subcategoria
-      FROM productos p
-      LEFT JOIN categorias c ON p.categoria_id = c.id
-      LEFT JOIN subcategorias s ON p.subcategoria_id = s.id
-      WHERE 1=1
-    `;
+        s.id,
+        s.categoria_id,
+        s.nombre,
+        s.orden,
+        COUNT(p.id)::int AS cantidad_productos
+      FROM subcategorias s
+      LEFT JOIN productos p ON p.subcategoria_id = s.id AND p.estado = 'ACTIVO' AND p.eliminado_en IS NULL
+      GROUP BY s.id
+      ORDER BY s.orden, s.nombre
+    `);
     
-    const params = [];
-    let paramIndex = 1;
+    const arbol = categorias.rows.map(categoria => ({
+      ...categoria,
+      subcategorias: subcategorias.rows.filter(sub => sub.categoria_id === categoria.id)
+    }));
     
-    if (categoria_id && categoria_id !== 'all') {
-      query += ` AND p.categoria_id = $${paramIndex}`;
-      params.push(categoria_id);
-      paramIndex++;
-    }
+    res.json({
+      exito: true,
+      datos: arbol
+    });
     
-    if (estado && estado !== 'all') {
-      if (estado.toLowerCase() === 'active') {
-        query += ` AND UPPER(p.estado) = 'ACTIVO'`;
-      } else if (estado.toLowerCase() === 'inactive') {
-        query += ` AND UPPER(p.estado) = 'INACTIVO'`;
-      }
+  } catch (error) {
+    console.error('Error obteniendo árbol de categorías:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo categorías',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - IMPORTAR Y EXPORTAR PRODUCTOS
+// ============================================
+
+// Van antes de /api/admin/productos/:id para que "exportar" no se tome como
+// un id. El archivo exportado tiene las mismas columnas que acepta la
+// importación, así que se puede editar en Excel y volver a subir.
+const COLUMNAS_CSV_PRODUCTOS = [
+  { clave: 'id', titulo: 'id' },
+  { clave: 'sku', titulo: 'sku' },
+  { clave: 'nombre', titulo: 'nombre' },
+  { clave: 'categoria', titulo: 'categoria' },
+  { clave: 'subcategoria', titulo: 'subcategoria' },
+  { clave: 'precio', titulo: 'precio' },
+  { clave: 'invertido', titulo: 'invertido' },
+  { clave: 'stock', titulo: 'stock' },
+  { clave: 'stock_minimo', titulo: 'stock_minimo' },
+  { clave: 'estado', titulo: 'estado' },
+  { clave: 'destacado', titulo: 'destacado' },
+  { clave: 'descripcion', titulo: 'descripcion' }
+];
+
+const MAXIMO_FILAS_IMPORTACION = 5000;
+const ESTADOS_PRODUCTO = ['ACTIVO', 'INACTIVO'];
+const VALORES_SI = ['true', '1', 'si', 'sí', 'x'];
+const VALORES_NO = ['false', '0', 'no'];
+
+const subidaCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+}).single('archivo');
+
+function recibirCsv(req, res, next) {
+  subidaCsv(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: error.code === 'LIMIT_FILE_SIZE'
+          ? 'El archivo puede pesar como máximo 5 MB'
+          : `Error recibiendo el archivo: ${error.message}`
+      });
+    }
+    next();
+  });
+}
+
+app.get('/api/admin/productos/exportar', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const { estado, separador = ',' } = req.query;
+    
+    if (![',', ';'].includes(separador)) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Separador inválido (use , o ;)'
+      });
+    }
+    
+    const condiciones = [];
+    const params = [];
+    
+    agregarFiltrosProducto(req.query, condiciones, params);
+    agregarFiltroEstadoProducto(estado, condiciones);
+    
+    const resultado = await pool.query(
+      `SELECT
+        p.id,
+        p.sku,
+        p.nombre,
+        c.nombre AS categoria,
+        s.nombre AS subcategoria,
+        p.precio,
+        p.invertido,
+        p.stock,
+        p.stock_minimo,
+        p.estado,
+        p.destacado,
+        p.descripcion
+      FROM productos p
+      LEFT JOIN categorias c ON p.categoria_id = c.id
+      LEFT JOIN subcategorias s ON p.subcategoria_id = s.id
+      WHERE ${condiciones.join(' AND ')}
+      ORDER BY p.id`,
+      params
+    );
+    
+    const fecha = new Date().toISOString().slice(0, 10);
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="productos-${fecha}.csv"`);
+    res.send(convertirACsv(resultado.rows, COLUMNAS_CSV_PRODUCTOS, { separador }));
+  
+  } catch (error) {
+    console.error('Error exportando productos:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error exportando productos',
+      error: error.message
+    });
+  }
+});
+
+// Mayores valores que aceptan las columnas DECIMAL(10, 2) e INTEGER; un valor
+// fuera de rango haría fallar la transacción de toda la importación
+const MAXIMO_IMPORTE = 99999999.99;
+const MAXIMO_ENTERO = 2147483647;
+
+// Valida una fila del archivo sin consultar la base. Las celdas vacías quedan
+// fuera de `campos` (al actualizar se conserva el valor actual). Devuelve
+// { errores } o { id, sku, categoria, subcategoria, campos }; la categoría y
+// la subcategoría se resuelven después, porque dependen del producto.
+function leerFilaProducto(registro) {
+  const errores = [];
+  const campos = {};
+  const vacio = clave => registro[clave] === undefined || registro[clave] === '';
+  
+  let id = null;
+  if (!vacio('id')) {
+    id = Number(registro.id);
+    if (!Number.isInteger(id) || id <= 0 || id > MAXIMO_ENTERO) errores.push('id inválido');
+  }
+  
+  const sku = normalizarSku(registro.sku);
+  if (sku) {
+    if (sku.length > 100) errores.push('El SKU puede tener como máximo 100 caracteres');
+    campos.sku = sku;
+  }
+  
+  if (!vacio('nombre')) {
+    if (registro.nombre.length > 255) errores.push('El nombre puede tener como máximo 255 caracteres');
+    campos.nombre = registro.nombre;
+  }
+  
+  for (const clave of ['precio', 'invertido']) {
+    if (vacio(clave)) continue;
+    const valor = Math.round(Number(registro[clave].replace(',', '.')) * 100) / 100;
+    if (!Number.isFinite(valor) || valor < 0) errores.push(`${clave} inválido`);
+    else if (valor > MAXIMO_IMPORTE) errores.push(`${clave} no puede ser mayor a ${MAXIMO_IMPORTE}`);
+    else campos[clave] = valor;
+  }
+  
+  if (!vacio('stock')) {
+    const stock = Number(registro.stock);
+    if (!Number.isInteger(stock) || stock < 0) errores.push('Stock inválido');
+    else if (stock > MAXIMO_ENTERO) errores.push(`Stock no puede ser mayor a ${MAXIMO_ENTERO}`);
+    else campos.stock = stock;
+  }
+  
+  const stockMinimo = leerStockMinimo(registro.stock_minimo);
+  if (stockMinimo.error) errores.push(stockMinimo.error);
+  else if (stockMinimo.valor !== null) campos.stock_minimo = stockMinimo.valor;
+  
+  if (!vacio('estado')) {
+    const estado = registro.estado.toUpperCase();
+    if (!ESTADOS_PRODUCTO.includes(estado)) errores.push(`Estado inválido (use ${ESTADOS_PRODUCTO.join(' o ')})`);
+    else campos.estado = estado;
+  }
+  
+  if (!vacio('destacado')) {
+    const destacado = registro.destacado.toLowerCase();
+    if (VALORES_SI.includes(destacado)) campos.destacado = true;
+    else if (VALORES_NO.includes(destacado)) campos.destacado = false;
+    else errores.push('destacado debe ser true o false');
+  }
+  
+  if (!vacio('descripcion')) {
+    campos.descripcion = registro.descripcion;
+  }
+  
+  if (errores.length > 0) return { errores };
+  
+  return {
+    id,
+    sku,
+    categoria: vacio('categoria') ? null : registro.categoria,
+    subcategoria: vacio('subcategoria') ? null : registro.subcategoria,
+    campos
+  };
+}
+
+// Categorías por nombre en minúsculas, cada una con sus subcategorías
+async function leerCategoriasPorNombre(db) {
+  const [categorias, subcategorias] = await Promise.all([
+    db.query('SELECT id, nombre FROM categorias'),
+    db.query('SELECT id, nombre, categoria_id FROM subcategorias')
+  ]);
+  
+  const porNombre = new Map();
+  const porId = new Map();
+  
+  for (const categoria of categorias.rows) {
+    const entrada = { id: categoria.id, subcategorias: new Map() };
+    porNombre.set(categoria.nombre.trim().toLowerCase(), entrada);
+    porId.set(categoria.id, entrada);
+  }
+  
+  for (const subcategoria of subcategorias.rows) {
+    const categoria = porId.get(subcategoria.categoria_id);
+    if (categoria) categoria.subcategorias.set(subcategoria.nombre.trim().toLowerCase(), subcategoria.id);
+  }
+  
+  return { porNombre, porId };
+}
+
+// Busca el producto de la fila (por id, o si no hay id por SKU), resuelve la
+// categoría y la subcategoría y lo crea o actualiza. Devuelve { errores } o
+// { accion, producto, antes }.
+async function importarFilaProducto(db, req, fila, categorias) {
+  const errores = [];
+  let existente = null;
+  
+  if (fila.id) {
+    const resultado = await db.query(
+      'SELECT * FROM productos WHERE id = $1 AND eliminado_en IS NULL FOR UPDATE',
+      [fila.id]
+    );
+    existente = resultado.rows[0] || null;
+    if (!existente) return { errores: [`No existe un producto con id ${fila.id}`] };
+  } else if (fila.sku) {
+    const resultado = await db.query('SELECT * FROM productos WHERE sku = $1 FOR UPDATE', [fila.sku]);
+    existente = resultado.rows[0] || null;
+    if (existente && existente.eliminado_en) {
+      return { errores: [`El SKU ${fila.sku} es de un producto que está en la papelera`] };
+    }
+  }
+  
+  if (fila.sku && await skuEnUso(db, fila.sku, existente ? existente.id : null)) {
+    errores.push(`El SKU ${fila.sku} ya está registrado en otro producto`);
+  }
+  
+  const campos = { ...fila.campos };
+  
+  if (fila.categoria) {
+    const categoria = categorias.porNombre.get(fila.categoria.toLowerCase());
+    if (categoria) campos.categoria_id = categoria.id;
+    else errores.push(`La categoría "${fila.categoria}" no existe`);
+  }
+  
+  const categoriaId = campos.categoria_id !== undefined
+    ? campos.categoria_id
+    : (existente ? existente.categoria_id : null);
+  
+  if (fila.subcategoria) {
+    const categoria = categorias.porId.get(categoriaId);
+    const subcategoriaId = categoria ? categoria.subcategorias.get(fila.subcategoria.toLowerCase()) : undefined;
+    if (subcategoriaId) campos.subcategoria_id = subcategoriaId;
+    else errores.push(`La subcategoría "${fila.subcategoria}" no pertenece a la categoría del producto`);
+  } else if (existente && campos.categoria_id !== undefined && campos.categoria_id !== existente.categoria_id) {
+    // Cambió de categoría sin indicar subcategoría: la anterior ya no corresponde
+    campos.subcategoria_id = null;
+  }
+  
+  if (!existente && (campos.nombre === undefined || campos.precio === undefined)) {
+    errores.push('Nombre y precio son requeridos para crear un producto');
+  }
+  
+  if (existente && campos.stock !== undefined && campos.stock !== existente.stock &&
+      await productoTieneVariantes(db, existente.id)) {
+    errores.push('El producto tiene variantes: su stock es la suma del de sus variantes');
+  }
+  
+  if (errores.length > 0) return { errores };
+  
+  if (!existente) {
+    const resultado = await db.query(
+      `INSERT INTO productos
+        (nombre, sku, categoria_id, subcategoria_id, precio, invertido, descripcion, stock, stock_minimo, estado, destacado)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        campos.nombre,
+        campos.sku || null,
+        campos.categoria_id || null,
+        campos.subcategoria_id || null,
+        campos.precio,
+        campos.invertido || 0,
+        campos.descripcion || '',
+        campos.stock || 0,
+        campos.stock_minimo || 0,
+        campos.estado || 'ACTIVO',
+        campos.destacado || false
+      ]
+    );
+    const producto = resultado.rows[0];
+    
+    if (producto.stock > 0) {
+      await registrarMovimientoInventario(db, {
+        productoId: producto.id,
+        tipo: 'importacion',
+        cantidad: producto.stock,
+        stockResultante: producto.stock,
+        motivo: 'Importación CSV',
+        usuario: req.usuario
+      });
+    }
+    
+    return { accion: 'crear', producto, antes: null };
+  }
+  
+  const columnas = Object.keys(campos);
+  
+  if (columnas.length === 0) {
+    return { accion: 'sin_cambios', producto: existente, antes: existente };
+  }
+  
+  // Si todos los valores son iguales a los actuales la fila no se toca
+  const resultado = await db.query(
+    `UPDATE productos SET
+      ${columnas.map((columna, i) => `${columna} = $${i + 1}`).join(', ')},
+      fecha_actualizacion = CURRENT_TIMESTAMP
+    WHERE id = $${columnas.length + 1}
+      AND ROW(${columnas.join(', ')}) IS DISTINCT FROM ROW(${columnas.map((columna, i) => `$${i + 1}`).join(', ')})
+    RETURNING *`,
+    [...columnas.map(columna => campos[columna]), existente.id]
+  );
+  
+  if (resultado.rows.length === 0) {
+    return { accion: 'sin_cambios', producto: existente, antes: existente };
+  }
+  
+  const producto = resultado.rows[0];
+  
+  const diferencia = producto.stock - existente.stock;
+  
+  if (diferencia !== 0) {
+    await registrarMovimientoInventario(db, {
+      productoId: producto.id,
+      tipo: 'importacion',
+      cantidad: diferencia,
+      stockResultante: producto.stock,
+      motivo: 'Importación CSV',
+      usuario: req.usuario
+    });
+  }
+  
+  return { accion: 'actualizar', producto, antes: existente };
+}
+
+// Todo el archivo se aplica en una sola transacción: si alguna fila tiene
+// errores no se guarda ninguna. Con ?simular=true se hace igual pero al final
+// se deshace, y la respuesta sirve como vista previa de los cambios.
+app.post('/api/admin/productos/importar', autenticarToken, requierePermiso('catalogo:escribir'), recibirCsv, async (req, res) => {
+  const simular = req.query.simular === 'true';
+  
+  if (!req.file) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Envíe el archivo CSV en el campo "archivo"'
+    });
+  }
+  
+  let encabezados;
+  let registros;
+  
+  try {
+    ({ encabezados, registros } = leerCsvConEncabezados(req.file.buffer.toString('utf8')));
+  } catch (error) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: error.message
+    });
+  }
+  
+  const columnasValidas = COLUMNAS_CSV_PRODUCTOS.map(columna => columna.clave);
+  const desconocidas = encabezados.filter(encabezado => encabezado && !columnasValidas.includes(encabezado));
+  
+  if (desconocidas.length > 0) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: `Columnas desconocidas: ${desconocidas.join(', ')}. Columnas válidas: ${columnasValidas.join(', ')}`
+    });
+  }
+  
+  if (registros.length === 0) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'El archivo no tiene filas'
+    });
+  }
+  
+  if (registros.length > MAXIMO_FILAS_IMPORTACION) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: `El archivo puede tener como máximo ${MAXIMO_FILAS_IMPORTACION} filas`
+    });
+  }
+  
+  const errores = [];
+  const filas = [];
+  const idsVistos = new Map();
+  const skusVistos = new Map();
+  
+  for (const registro of registros) {
+    const fila = leerFilaProducto(registro);
+    
+    if (fila.errores) {
+      fila.errores.forEach(mensaje => errores.push({ linea: registro.linea, mensaje }));
+      continue;
+    }
+    
+    if (fila.id && idsVistos.has(fila.id)) {
+      errores.push({ linea: registro.linea, mensaje: `El id ${fila.id} se repite (línea ${idsVistos.get(fila.id)})` });
+      continue;
+    }
+    if (fila.sku && skusVistos.has(fila.sku)) {
+      errores.push({ linea: registro.linea, mensaje: `El SKU ${fila.sku} se repite (línea ${skusVistos.get(fila.sku)})` });
+      continue;
+    }
+    
+    if (fila.id) idsVistos.set(fila.id, registro.linea);
+    if (fila.sku) skusVistos.set(fila.sku, registro.linea);
+    filas.push({ linea: registro.linea, ...fila });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const categorias = await leerCategoriasPorNombre(cliente);
+    const vistaPrevia = [];
+    const resumen = { crear: 0, actualizar: 0, sin_cambios: 0 };
+    
+    for (const fila of filas) {
+      const resultado = await importarFilaProducto(cliente, req, fila, categorias);
+      
+      if (resultado.errores) {
+        resultado.errores.forEach(mensaje => errores.push({ linea: fila.linea, mensaje }));
+        continue;
+      }
+      
+      const { accion, producto } = resultado;
+      const antes = resultado.antes ? limpiarProducto(resultado.antes) : null;
+      const despues = limpiarProducto(producto);
+      const cambios = accion === 'sin_cambios' ? {} : diferenciasAuditoria(antes, despues);
+      
+      if (accion !== 'sin_cambios') {
+        await registrarAuditoria(cliente, req, {
+          accion,
+          entidad: 'producto',
+          entidadId: producto.id,
+          antes,
+          despues,
+          detalle: 'Importación CSV'
+        });
+      }
+      
+      if (accion === 'actualizar') {
+        await encolarEvento(cliente, 'producto.actualizado', { producto: despues, cambios });
+      }
+      
+      resumen[accion]++;
+      vistaPrevia.push({
+        linea: fila.linea,
+        accion,
+        id: producto.id,
+        sku: producto.sku,
+        nombre: producto.nombre,
+        cambios
+      });
+    }
+    
+    if (errores.length > 0) {
+      await cliente.query('ROLLBACK');
+      errores.sort((a, b) => a.linea - b.linea);
+      return res.status(400).json({
+        exito: false,
+        mensaje: `El archivo tiene errores en ${new Set(errores.map(error => error.linea)).size} fila(s); no se importó nada`,
+        errores
+      });
+    }
+    
+    if (simular) {
+      await cliente.query('ROLLBACK');
+    } else {
+      await cliente.query('COMMIT');
+      console.log(`✅ Productos importados: ${resumen.crear} creados, ${resumen.actualizar} actualizados`);
+    }
+    
+    res.json({
+      exito: true,
+      mensaje: simular
+        ? 'Simulación completada: no se guardó ningún cambio'
+        : 'Importación completada',
+      datos: {
+        simulacion: simular,
+        resumen,
+        filas: vistaPrevia
+      }
+    });
+  
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error importando productos:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error importando productos',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - PRODUCTOS
+// ============================================
+
+app.get('/api/admin/productos', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const { estado, buscar } = req.query;
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_PRODUCTO,
+      ordenPorDefecto: 'fecha',
+      limitePorDefecto: 500,
+      limiteMaximo: 500
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
     }
     
+    const condiciones = [];
+    const params = [];
+    
+    agregarFiltrosProducto(req.query, condiciones, params);
+    agregarFiltroEstadoProducto(estado, condiciones);
+    
+    // En el panel también se busca por fragmentos del nombre ("refri") o del SKU
     if (buscar) {
-      query += ` AND LOWER(p.nombre) LIKE LOWER($${paramIndex})`;
-      params.push(`%${buscar}%`);
-      paramIndex++;
+      params.push(buscar, `%${buscar}%`);
+      condiciones.push(`(
+        p.busqueda @@ ${CONSULTA_BUSQUEDA(params.length - 1)} OR
+        unaccent(p.nombre) ILIKE unaccent($${params.length}) OR
+        p.sku ILIKE $${params.length}
+      )`);
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: `
+        p.id,
+        p.nombre,
+        p.sku,
+        p.categoria_id,
+        p.subcategoria_id,
+        p.precio,
+        p.invertido,
+        p.descripcion,
+        img.clave AS imagen_clave,
+        p.stock,
+        p.stock_minimo,
+        COALESCE(p.stock, 0) <= p.stock_minimo AS stock_bajo,
+        p.estado,
+        p.destacado,
+        p.fecha_creacion,
+        c.nombre AS nombre_categoria,
+        s.nombre AS nombre_subcategoria
+      `,
+      origen: `
+        FROM productos p
+        LEFT JOIN categorias c ON p.categoria_id = c.id
+        LEFT JOIN subcategorias s ON p.subcategoria_id = s.id
+        ${JOIN_IMAGEN_PRINCIPAL}
+      `,
+      condiciones,
+      params,
+      columnaId: 'p.id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas.map(conUrlImagen),
+      paginacion: meta
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo productos:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo productos',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/productos/:id', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `SELECT 
+        p.*,
+        c.nombre AS nombre_categoria,
+        s.nombre AS nombre_subcategoria
+      FROM productos p
+      LEFT JOIN categorias c ON p.categoria_id = c.id
+      LEFT JOIN subcategorias s ON p.subcategoria_id = s.id
+      WHERE p.id = $1 AND p.eliminado_en IS NULL`,
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    const producto = limpiarProducto(resultado.rows[0]);
+    const imagenes = await obtenerImagenesProducto(producto.id);
+    const variantes = await obtenerVariantesProducto(producto);
+    
+    res.json({
+      exito: true,
+      datos: {
+        ...producto,
+        imagen_url: imagenes.length > 0 ? imagenes[0].urls.mediana : null,
+        imagenes,
+        variantes,
+        opciones: opcionesDeVariantes(variantes)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo producto:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo producto',
+      error: error.message
+    });
+  }
+});
+
+// El SKU es opcional; vacío equivale a no tenerlo
+const normalizarSku = valor => (valor === undefined || valor === null || String(valor).trim() === ''
+  ? null
+  : String(valor).trim());
+
+// stock_minimo es opcional; devuelve { error } o { valor } (null si no viene)
+function leerStockMinimo(valor) {
+  if (valor === undefined || valor === null || valor === '') return { valor: null };
+  const numero = Number(valor);
+  return Number.isInteger(numero) && numero >= 0 && numero <= MAXIMO_ENTERO
+    ? { valor: numero }
+    : { error: 'Stock mínimo inválido' };
+}
+
+// Incluye los productos de la papelera: al restaurarlos conservan su SKU
+async function skuEnUso(db, sku, exceptoId = null) {
+  const resultado = await db.query(
+    'SELECT id FROM productos WHERE sku = $1 AND id <> COALESCE($2, 0)',
+    [sku, exceptoId]
+  );
+  return resultado.rows.length > 0;
+}
+
+app.post('/api/admin/productos', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const {
+    nombre,
+    sku,
+    categoria_id,
+    subcategoria_id,
+    precio,
+    invertido,
+    descripcion,
+    imagen_base64,
+    stock,
+    stock_minimo,
+    estado,
+    destacado
+  } = req.body;
+  
+  if (!nombre || !precio) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Nombre y precio son requeridos'
+    });
+  }
+  
+  const imagenLegada = imagen_base64 ? medios.decodificarImagenBase64(imagen_base64) : null;
+  
+  if (imagenLegada && !(await medios.esImagenValida(imagenLegada))) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Imagen inválida'
+    });
+  }
+  
+  const skuNuevo = normalizarSku(sku);
+  
+  if (skuNuevo && await skuEnUso(pool, skuNuevo)) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'El SKU ya está registrado'
+    });
+  }
+  
+  const stockMinimo = leerStockMinimo(stock_minimo);
+  
+  if (stockMinimo.error) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: stockMinimo.error
+    });
+  }
+  
+  const cliente = await pool.connect();
+  let imagenAgregada = null;
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const resultado = await cliente.query(
+      `INSERT INTO productos 
+        (nombre, categoria_id, subcategoria_id, precio, invertido, descripcion, stock, estado, destacado, sku, stock_minimo)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        nombre,
+        categoria_id || null,
+        subcategoria_id || null,
+        parseFloat(precio),
+        parseFloat(invertido) || 0,
+        descripcion || '',
+        parseInt(stock) || 0,
+        estado || 'ACTIVO',
+        destacado || false,
+        skuNuevo,
+        stockMinimo.valor || 0
+      ]
+    );
+    
+    const producto = resultado.rows[0];
+    
+    if (imagenLegada) {
+      imagenAgregada = await agregarImagenProducto(cliente, producto.id, imagenLegada, { alInicio: true });
+    }
+    
+    if (producto.stock > 0) {
+      await registrarMovimientoInventario(cliente, {
+        productoId: producto.id,
+        tipo: 'ajuste',
+        cantidad: producto.stock,
+        stockResultante: producto.stock,
+        motivo: 'Stock inicial',
+        usuario: req.usuario
+      });
+    }
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'crear',
+      entidad: 'producto',
+      entidadId: producto.id,
+      despues: limpiarProducto(producto)
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Producto creado:', producto.id);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Producto creado exitosamente',
+      datos: limpiarProducto(producto)
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    await descartarImagenAgregada(imagenAgregada);
+    console.error('Error creando producto:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error creando producto',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+app.put('/api/admin/productos/:id', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const {
+    nombre,
+    sku,
+    categoria_id,
+    subcategoria_id,
+    precio,
+    invertido,
+    descripcion,
+    imagen_base64,
+    stock,
+    stock_minimo,
+    estado,
+    destacado,
+    motivo_stock
+  } = req.body;
+  
+  const nuevoStock = stock !== undefined && stock !== null && stock !== '' ? parseInt(stock) : null;
+  
+  if (nuevoStock !== null && (isNaN(nuevoStock) || nuevoStock < 0)) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Stock inválido'
+    });
+  }
+  
+  const stockMinimo = leerStockMinimo(stock_minimo);
+  
+  if (stockMinimo.error) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: stockMinimo.error
+    });
+  }
+  
+  const imagenLegada = imagen_base64 ? medios.decodificarImagenBase64(imagen_base64) : null;
+  
+  if (imagenLegada && !(await medios.esImagenValida(imagenLegada))) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Imagen inválida'
+    });
+  }
+  
+  const cliente = await pool.connect();
+  let imagenAgregada = null;
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const actual = await cliente.query(
+      'SELECT * FROM productos WHERE id = $1 AND eliminado_en IS NULL FOR UPDATE',
+      [req.params.id]
+    );
+    
+    if (actual.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    const stockActual = actual.rows[0].stock || 0;
+    const skuNuevo = normalizarSku(sku);
+    
+    if (skuNuevo && await skuEnUso(cliente, skuNuevo, req.params.id)) {
+      await cliente.query('ROLLBACK');
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El SKU ya está registrado'
+      });
+    }
+    
+    if (nuevoStock !== null && nuevoStock !== stockActual &&
+        await productoTieneVariantes(cliente, req.params.id)) {
+      await cliente.query('ROLLBACK');
+      return res.status(409).json({
+        exito: false,
+        mensaje: 'El producto tiene variantes: su stock es la suma del de sus variantes'
+      });
+    }
+    
+    const resultado = await cliente.query(
+      `UPDATE productos SET
+        nombre = COALESCE($1, nombre),
+        categoria_id = COALESCE($2, categoria_id),
+        subcategoria_id = COALESCE($3, subcategoria_id),
+        precio = COALESCE($4, precio),
+        invertido = COALESCE($5, invertido),
+        descripcion = COALESCE($6, descripcion),
+        stock = COALESCE($7, stock),
+        estado = COALESCE($8, estado),
+        destacado = COALESCE($9, destacado),
+        sku = COALESCE($10, sku),
+        stock_minimo = COALESCE($11, stock_minimo),
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $12
+      RETURNING *`,
+      [
+        nombre,
+        categoria_id,
+        subcategoria_id,
+        precio ? parseFloat(precio) : null,
+        invertido !== undefined ? parseFloat(invertido) : null,
+        descripcion,
+        nuevoStock,
+        estado,
+        destacado,
+        skuNuevo,
+        stockMinimo.valor,
+        req.params.id
+      ]
+    );
+    const producto = resultado.rows[0];
+    
+    // El panel anterior envía una sola imagen: pasa a ser la principal
+    if (imagenLegada) {
+      imagenAgregada = await agregarImagenProducto(cliente, producto.id, imagenLegada, { alInicio: true });
+    }
+    const diferencia = nuevoStock !== null ? nuevoStock - stockActual : 0;
+    
+    if (diferencia !== 0) {
+      await registrarMovimientoInventario(cliente, {
+        productoId: producto.id,
+        tipo: 'ajuste',
+        cantidad: diferencia,
+        stockResultante: producto.stock,
+        motivo: motivo_stock || 'Ajuste manual',
+        usuario: req.usuario
+      });
+    }
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'actualizar',
+      entidad: 'producto',
+      entidadId: producto.id,
+      antes: limpiarProducto(actual.rows[0]),
+      despues: limpiarProducto(producto)
+    });
+    
+    await encolarEvento(cliente, 'producto.actualizado', {
+      producto: limpiarProducto(producto),
+      cambios: diferenciasAuditoria(limpiarProducto(actual.rows[0]), limpiarProducto(producto))
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Producto actualizado:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Producto actualizado exitosamente',
+      datos: limpiarProducto(producto)
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    await descartarImagenAgregada(imagenAgregada);
+    console.error('Error actualizando producto:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error actualizando producto',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// Pasa el producto a la papelera; las imágenes se conservan para poder
+// restaurarlo (ver RUTAS DE ADMIN - PAPELERA)
+app.delete('/api/admin/productos/:id', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `UPDATE productos SET
+        eliminado_en = CURRENT_TIMESTAMP,
+        eliminado_por_id = $1,
+        eliminado_por = $2
+      WHERE id = $3 AND eliminado_en IS NULL
+      RETURNING id, nombre`,
+      [req.usuario.idUsuario, req.usuario.usuario, req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'eliminar',
+      entidad: 'producto',
+      entidadId: resultado.rows[0].id,
+      detalle: resultado.rows[0].nombre
+    });
+    
+    console.log('✅ Producto enviado a la papelera:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Producto enviado a la papelera'
+    });
+    
+  } catch (error) {
+    console.error('Error eliminando producto:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando producto',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - IMÁGENES DE PRODUCTOS
+// ============================================
+
+// Primera imagen (por orden) de cada producto, para los listados
+const JOIN_IMAGEN_PRINCIPAL = `
+  LEFT JOIN LATERAL (
+    SELECT pi.clave
+    FROM producto_imagenes pi
+    WHERE pi.producto_id = p.id
+    ORDER BY pi.orden, pi.id
+    LIMIT 1
+  ) img ON true
+`;
+
+const subidaImagenes = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 10 },
+  fileFilter: (req, archivo, callback) => {
+    callback(null, medios.TIPOS_IMAGEN_PERMITIDOS.includes(archivo.mimetype));
+  }
+}).array('imagenes', 10);
+
+function recibirImagenes(req, res, next) {
+  subidaImagenes(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: error.code === 'LIMIT_FILE_SIZE'
+          ? 'Cada imagen puede pesar como máximo 5 MB'
+          : `Error recibiendo imágenes: ${error.message}`
+      });
+    }
+    next();
+  });
+}
+
+// Quita de una fila de productos las columnas internas que no van en las
+// respuestas (la imagen base64 heredada y el vector de búsqueda)
+function limpiarProducto(fila) {
+  const { imagen_base64, busqueda, ...producto } = fila;
+  return producto;
+}
+
+// Cambia imagen_clave por imagen_url en las filas de los listados
+function conUrlImagen(fila) {
+  const { imagen_clave, ...producto } = fila;
+  return {
+    ...producto,
+    imagen_url: imagen_clave ? medios.urlsImagen(almacenamiento, imagen_clave).mediana : null
+  };
+}
+
+function formatearImagen(fila) {
+  return {
+    id: fila.id,
+    orden: fila.orden,
+    ancho: fila.ancho,
+    alto: fila.alto,
+    urls: medios.urlsImagen(almacenamiento, fila.clave)
+  };
+}
+
+async function obtenerImagenesProducto(productoId) {
+  const resultado = await pool.query(
+    `SELECT id, clave, orden, ancho, alto
+     FROM producto_imagenes
+     WHERE producto_id = $1
+     ORDER BY orden, id`,
+    [productoId]
+  );
+  return resultado.rows.map(formatearImagen);
+}
+
+// Guarda los archivos de la imagen y su fila. Con `alInicio` queda como
+// imagen principal; si no, se agrega al final.
+async function agregarImagenProducto(db, productoId, buffer, { alInicio = false } = {}) {
+  const guardada = await medios.guardarImagenProducto(almacenamiento, productoId, buffer);
+  
+  try {
+    const resultado = await db.query(
+      `INSERT INTO producto_imagenes (producto_id, clave, orden, ancho, alto, tamano_bytes)
+      VALUES ($1, $2, (
+        SELECT ${alInicio ? 'COALESCE(MIN(orden), 1) - 1' : 'COALESCE(MAX(orden), 0) + 1'}
+        FROM producto_imagenes WHERE producto_id = $1
+      ), $3, $4, $5)
+      RETURNING id, clave, orden, ancho, alto`,
+      [productoId, guardada.clave, guardada.ancho, guardada.alto, guardada.tamano_bytes]
+    );
+    return resultado.rows[0];
+  } catch (error) {
+    await medios.eliminarImagenProducto(almacenamiento, guardada.clave);
+    throw error;
+  }
+}
+
+// El archivo se escribe antes del COMMIT de la ruta que agrega la imagen: si
+// la transacción se deshace la fila desaparece y el archivo queda huérfano
+async function descartarImagenAgregada(imagen) {
+  if (!imagen) return;
+  await medios.eliminarImagenProducto(almacenamiento, imagen.clave)
+    .catch(error => console.error('Error borrando imagen descartada:', error));
+}
+
+app.get('/api/admin/productos/:id/imagenes', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    res.json({
+      exito: true,
+      datos: await obtenerImagenesProducto(req.params.id)
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo imágenes:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo imágenes',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/productos/:id/imagenes', autenticarToken, requierePermiso('catalogo:escribir'), recibirImagenes, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `Envía al menos una imagen (${medios.TIPOS_IMAGEN_PERMITIDOS.join(', ')}) en el campo "imagenes"`
+      });
+    }
+    
+    const producto = await pool.query(
+      'SELECT id FROM productos WHERE id = $1 AND eliminado_en IS NULL',
+      [req.params.id]
+    );
+    
+    if (producto.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    for (const archivo of req.files) {
+      if (!(await medios.esImagenValida(archivo.buffer))) {
+        return res.status(400).json({
+          exito: false,
+          mensaje: `El archivo "${archivo.originalname}" no es una imagen válida`
+        });
+      }
+    }
+    
+    const creadas = [];
+    for (const archivo of req.files) {
+      creadas.push(await agregarImagenProducto(pool, producto.rows[0].id, archivo.buffer));
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'agregar_imagenes',
+      entidad: 'producto',
+      entidadId: producto.rows[0].id,
+      despues: { imagenes: creadas.map(imagen => imagen.id) }
+    });
+    
+    console.log(`✅ ${creadas.length} imágenes agregadas al producto ${req.params.id}`);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Imágenes agregadas exitosamente',
+      datos: creadas.map(formatearImagen)
+    });
+    
+  } catch (error) {
+    console.error('Error subiendo imágenes:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error subiendo imágenes',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/productos/:id/imagenes/orden', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const { ids } = req.body;
+  
+  if (!validarListaIds(ids)) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Se requiere la lista de ids en el nuevo orden'
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const anterior = await cliente.query(
+      'SELECT id FROM producto_imagenes WHERE producto_id = $1 ORDER BY orden, id',
+      [req.params.id]
+    );
+    
+    for (let i = 0; i < ids.length; i++) {
+      await cliente.query(
+        'UPDATE producto_imagenes SET orden = $1 WHERE id = $2 AND producto_id = $3',
+        [i + 1, ids[i], req.params.id]
+      );
+    }
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'ordenar_imagenes',
+      entidad: 'producto',
+      entidadId: parseInt(req.params.id),
+      antes: { orden: anterior.rows.map(fila => fila.id) },
+      despues: { orden: ids.map(Number) }
+    });
+    
+    await cliente.query('COMMIT');
+    
+    res.json({
+      exito: true,
+      mensaje: 'Orden de imágenes actualizado',
+      datos: await obtenerImagenesProducto(req.params.id)
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error ordenando imágenes:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error ordenando imágenes',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+app.delete('/api/admin/productos/:id/imagenes/:imagenId', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      'DELETE FROM producto_imagenes WHERE id = $1 AND producto_id = $2 RETURNING id, producto_id, clave',
+      [req.params.imagenId, req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Imagen no encontrada'
+      });
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'eliminar_imagen',
+      entidad: 'producto',
+      entidadId: resultado.rows[0].producto_id,
+      antes: { imagen_id: resultado.rows[0].id, clave: resultado.rows[0].clave }
+    });
+    
+    await medios.eliminarImagenProducto(almacenamiento, resultado.rows[0].clave);
+    
+    console.log('✅ Imagen eliminada:', req.params.imagenId);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Imagen eliminada exitosamente'
+    });
+    
+  } catch (error) {
+    console.error('Error eliminando imagen:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando imagen',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - VARIANTES DE PRODUCTOS
+// ============================================
+
+// El stock de un producto con variantes es siempre la suma del de sus
+// variantes: todo cambio pasa por ajustarStockVariante, que mueve los dos.
+
+const CONSULTA_VARIANTES = `
+  SELECT v.*, pi.clave AS imagen_clave
+  FROM producto_variantes v
+  LEFT JOIN producto_imagenes pi ON v.imagen_id = pi.id
+`;
+
+// Acepta { talla: 'M', color: 'Rojo' }; claves y valores se guardan como
+// texto sin espacios de más. Devuelve { error } o { atributos }.
+function normalizarAtributos(atributos) {
+  if (!atributos || typeof atributos !== 'object' || Array.isArray(atributos)) {
+    return { error: 'Los atributos deben ser un objeto, por ejemplo {"talla": "M", "color": "Rojo"}' };
+  }
+  
+  const normalizados = {};
+  for (const [clave, valor] of Object.entries(atributos)) {
+    const nombre = String(clave).trim().toLowerCase();
+    const texto = valor === null || valor === undefined ? '' : String(valor).trim();
+    if (!nombre || !texto || typeof valor === 'object') {
+      return { error: `Atributo inválido: "${clave}"` };
+    }
+    normalizados[nombre] = texto;
+  }
+  
+  if (Object.keys(normalizados).length === 0) {
+    return { error: 'La variante necesita al menos un atributo' };
+  }
+  
+  return { atributos: normalizados };
+}
+
+function formatearVariante(fila, precioProducto) {
+  const precio = fila.precio !== null ? parseFloat(fila.precio) : null;
+  return {
+    id: fila.id,
+    producto_id: fila.producto_id,
+    sku: fila.sku,
+    atributos: fila.atributos,
+    precio,
+    precio_final: precio !== null ? precio : parseFloat(precioProducto),
+    stock: fila.stock,
+    activo: fila.activo,
+    orden: fila.orden,
+    imagen_id: fila.imagen_id,
+    imagen_urls: fila.imagen_clave ? medios.urlsImagen(almacenamiento, fila.imagen_clave) : null
+  };
+}
+
+async function obtenerVariantesProducto(producto, { soloActivas = false } = {}) {
+  const resultado = await pool.query(
+    `${CONSULTA_VARIANTES}
+     WHERE v.producto_id = $1 ${soloActivas ? 'AND v.activo = true' : ''}
+     ORDER BY v.orden, v.id`,
+    [producto.id]
+  );
+  return resultado.rows.map(fila => formatearVariante(fila, producto.precio));
+}
+
+// Valores disponibles por atributo, en el orden de las variantes, para que la
+// tienda arme los selectores (talla: [S, M, L], color: [...])
+function opcionesDeVariantes(variantes) {
+  const opciones = {};
+  for (const variante of variantes) {
+    for (const [clave, valor] of Object.entries(variante.atributos)) {
+      opciones[clave] = opciones[clave] || [];
+      if (!opciones[clave].includes(valor)) opciones[clave].push(valor);
+    }
+  }
+  return opciones;
+}
+
+async function productoTieneVariantes(db, productoId) {
+  const resultado = await db.query(
+    'SELECT 1 FROM producto_variantes WHERE producto_id = $1 LIMIT 1',
+    [productoId]
+  );
+  return resultado.rows.length > 0;
+}
+
+// Suma `cantidad` al stock de la variante y al de su producto y lo registra en
+// el libro. Bloquea primero el producto y después la variante, el mismo orden
+// que usa el checkout. Debe llamarse dentro de una transacción.
+async function ajustarStockVariante(db, { productoId, varianteId, cantidad, tipo, motivo, ventaId, usuario }) {
+  const producto = await db.query(
+    `UPDATE productos SET
+      stock = COALESCE(stock, 0) + $1,
+      fecha_actualizacion = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING stock`,
+    [cantidad, productoId]
+  );
+  const variante = await db.query(
+    `UPDATE producto_variantes SET
+      stock = stock + $1,
+      fecha_actualizacion = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING stock`,
+    [cantidad, varianteId]
+  );
+  
+  await registrarMovimientoInventario(db, {
+    productoId,
+    varianteId,
+    tipo,
+    cantidad,
+    stockResultante: variante.rows[0].stock,
+    motivo,
+    ventaId,
+    usuario
+  });
+  
+  return { stockProducto: producto.rows[0].stock, stockVariante: variante.rows[0].stock };
+}
+
+// Valida los campos comunes de alta y edición. Devuelve { error } o los
+// valores ya convertidos (solo los que vienen en el cuerpo).
+async function leerDatosVariante(db, productoId, cuerpo, { parcial }) {
+  const datos = {};
+  
+  if (cuerpo.sku !== undefined || !parcial) {
+    const sku = String(cuerpo.sku ?? '').trim();
+    if (!sku) return { error: 'El SKU es requerido' };
+    datos.sku = sku;
+  }
+  
+  if (cuerpo.atributos !== undefined || !parcial) {
+    const { error, atributos } = normalizarAtributos(cuerpo.atributos);
+    if (error) return { error };
+    datos.atributos = atributos;
+  }
+  
+  if (cuerpo.precio !== undefined && cuerpo.precio !== null && cuerpo.precio !== '') {
+    const precio = parseFloat(cuerpo.precio);
+    if (isNaN(precio) || precio < 0) return { error: 'Precio inválido' };
+    datos.precio = precio;
+  } else if (cuerpo.precio !== undefined) {
+    // null o '' quitan el precio propio: la variante vuelve al del producto
+    datos.precio = null;
+  }
+  
+  if (cuerpo.stock !== undefined) {
+    const stock = parseInt(cuerpo.stock);
+    if (isNaN(stock) || stock < 0) return { error: 'Stock inválido' };
+    datos.stock = stock;
+  }
+  
+  if (cuerpo.imagen_id !== undefined && cuerpo.imagen_id !== null) {
+    const imagen = await db.query(
+      'SELECT id FROM producto_imagenes WHERE id = $1 AND producto_id = $2',
+      [cuerpo.imagen_id, productoId]
+    );
+    if (imagen.rows.length === 0) return { error: 'La imagen no pertenece a este producto' };
+    datos.imagen_id = imagen.rows[0].id;
+  } else if (cuerpo.imagen_id === null) {
+    datos.imagen_id = null;
+  }
+  
+  if (cuerpo.activo !== undefined) datos.activo = Boolean(cuerpo.activo);
+  if (cuerpo.orden !== undefined) {
+    const orden = parseInt(cuerpo.orden);
+    if (isNaN(orden)) return { error: 'Orden inválido' };
+    datos.orden = orden;
+  }
+  
+  return { datos };
+}
+
+app.get('/api/admin/productos/:id/variantes', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const producto = await pool.query(
+      'SELECT id, precio FROM productos WHERE id = $1 AND eliminado_en IS NULL',
+      [req.params.id]
+    );
+    
+    if (producto.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    res.json({
+      exito: true,
+      datos: await obtenerVariantesProducto(producto.rows[0])
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo variantes:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo variantes',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/productos/:id/variantes', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const producto = await cliente.query(
+      'SELECT id, precio, COALESCE(stock, 0) AS stock FROM productos WHERE id = $1 AND eliminado_en IS NULL FOR UPDATE',
+      [req.params.id]
+    );
+    
+    if (producto.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    const { error, datos } = await leerDatosVariante(cliente, req.params.id, req.body, { parcial: false });
+    
+    if (error) {
+      await cliente.query('ROLLBACK');
+      return res.status(400).json({
+        exito: false,
+        mensaje: error
+      });
+    }
+    
+    const duplicada = await cliente.query(
+      'SELECT sku, producto_id FROM producto_variantes WHERE sku = $1 OR (producto_id = $2 AND atributos = $3)',
+      [datos.sku, req.params.id, JSON.stringify(datos.atributos)]
+    );
+    
+    if (duplicada.rows.length > 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(400).json({
+        exito: false,
+        mensaje: duplicada.rows[0].sku === datos.sku
+          ? 'El SKU ya está registrado'
+          : 'El producto ya tiene una variante con esos atributos'
+      });
+    }
+    
+    // Con la primera variante el stock del producto pasa a ser la suma de
+    // las variantes, así que el stock suelto que tenía sale del libro.
+    const esPrimera = !(await productoTieneVariantes(cliente, req.params.id));
+    
+    if (esPrimera && producto.rows[0].stock !== 0) {
+      await cliente.query(
+        'UPDATE productos SET stock = 0, fecha_actualizacion = CURRENT_TIMESTAMP WHERE id = $1',
+        [req.params.id]
+      );
+      await registrarMovimientoInventario(cliente, {
+        productoId: producto.rows[0].id,
+        tipo: 'ajuste',
+        cantidad: -producto.rows[0].stock,
+        stockResultante: 0,
+        motivo: 'Stock pasado a variantes',
+        usuario: req.usuario
+      });
+    }
+    
+    const insertada = await cliente.query(
+      `INSERT INTO producto_variantes
+        (producto_id, sku, atributos, precio, stock, imagen_id, activo, orden)
+      VALUES ($1, $2, $3, $4, 0, $5, $6, COALESCE($7, (
+        SELECT COALESCE(MAX(orden), 0) + 1 FROM producto_variantes WHERE producto_id = $1
+      )))
+      RETURNING id`,
+      [
+        req.params.id,
+        datos.sku,
+        JSON.stringify(datos.atributos),
+        datos.precio ?? null,
+        datos.imagen_id ?? null,
+        datos.activo ?? true,
+        datos.orden ?? null
+      ]
+    );
+    const varianteId = insertada.rows[0].id;
+    
+    if (datos.stock > 0) {
+      await ajustarStockVariante(cliente, {
+        productoId: producto.rows[0].id,
+        varianteId,
+        cantidad: datos.stock,
+        tipo: 'ajuste',
+        motivo: 'Stock inicial',
+        usuario: req.usuario
+      });
+    }
+    
+    const variante = await cliente.query(`${CONSULTA_VARIANTES} WHERE v.id = $1`, [varianteId]);
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'crear',
+      entidad: 'variante',
+      entidadId: varianteId,
+      despues: variante.rows[0],
+      detalle: `Producto ${producto.rows[0].id}`
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log(`✅ Variante creada: ${datos.sku} (producto ${req.params.id})`);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Variante creada exitosamente',
+      datos: formatearVariante(variante.rows[0], producto.rows[0].precio)
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error creando variante:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error creando variante',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+app.put('/api/admin/productos/:id/variantes/:varianteId', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const producto = await cliente.query(
+      'SELECT id, precio FROM productos WHERE id = $1 AND eliminado_en IS NULL FOR UPDATE',
+      [req.params.id]
+    );
+    const actual = producto.rows.length === 0 ? { rows: [] } : await cliente.query(
+      'SELECT * FROM producto_variantes WHERE id = $1 AND producto_id = $2 FOR UPDATE',
+      [req.params.varianteId, req.params.id]
+    );
+    
+    if (actual.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Variante no encontrada'
+      });
+    }
+    
+    const { error, datos } = await leerDatosVariante(cliente, req.params.id, req.body, { parcial: true });
+    
+    if (error) {
+      await cliente.query('ROLLBACK');
+      return res.status(400).json({
+        exito: false,
+        mensaje: error
+      });
+    }
+    
+    const sku = datos.sku ?? actual.rows[0].sku;
+    const atributos = datos.atributos ?? actual.rows[0].atributos;
+    const duplicada = await cliente.query(
+      `SELECT sku FROM producto_variantes
+       WHERE id <> $1 AND (sku = $2 OR (producto_id = $3 AND atributos = $4))`,
+      [req.params.varianteId, sku, req.params.id, JSON.stringify(atributos)]
+    );
+    
+    if (duplicada.rows.length > 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(400).json({
+        exito: false,
+        mensaje: duplicada.rows[0].sku === sku
+          ? 'El SKU ya está registrado'
+          : 'El producto ya tiene una variante con esos atributos'
+      });
+    }
+    
+    await cliente.query(
+      `UPDATE producto_variantes SET
+        sku = $1,
+        atributos = $2,
+        precio = $3,
+        imagen_id = $4,
+        activo = $5,
+        orden = $6,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $7`,
+      [
+        sku,
+        JSON.stringify(atributos),
+        'precio' in datos ? datos.precio : actual.rows[0].precio,
+        'imagen_id' in datos ? datos.imagen_id : actual.rows[0].imagen_id,
+        datos.activo ?? actual.rows[0].activo,
+        datos.orden ?? actual.rows[0].orden,
+        req.params.varianteId
+      ]
+    );
+    
+    const diferencia = datos.stock !== undefined ? datos.stock - actual.rows[0].stock : 0;
+    
+    if (diferencia !== 0) {
+      await ajustarStockVariante(cliente, {
+        productoId: producto.rows[0].id,
+        varianteId: actual.rows[0].id,
+        cantidad: diferencia,
+        tipo: 'ajuste',
+        motivo: req.body.motivo_stock || 'Ajuste manual',
+        usuario: req.usuario
+      });
+    }
+    
+    const variante = await cliente.query(`${CONSULTA_VARIANTES} WHERE v.id = $1`, [req.params.varianteId]);
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'actualizar',
+      entidad: 'variante',
+      entidadId: actual.rows[0].id,
+      antes: actual.rows[0],
+      despues: variante.rows[0],
+      detalle: `Producto ${producto.rows[0].id}`
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Variante actualizada:', req.params.varianteId);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Variante actualizada exitosamente',
+      datos: formatearVariante(variante.rows[0], producto.rows[0].precio)
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error actualizando variante:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error actualizando variante',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// Las ventas conservan SKU y atributos en venta_items, así que la variante se
+// puede borrar; su stock se descuenta del producto antes de hacerlo.
+app.delete('/api/admin/productos/:id/variantes/:varianteId', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const producto = await cliente.query(
+      'SELECT id FROM productos WHERE id = $1 AND eliminado_en IS NULL FOR UPDATE',
+      [req.params.id]
+    );
+    const actual = producto.rows.length === 0 ? { rows: [] } : await cliente.query(
+      'SELECT * FROM producto_variantes WHERE id = $1 AND producto_id = $2 FOR UPDATE',
+      [req.params.varianteId, req.params.id]
+    );
+    
+    if (actual.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Variante no encontrada'
+      });
+    }
+    
+    if (actual.rows[0].stock !== 0) {
+      await ajustarStockVariante(cliente, {
+        productoId: producto.rows[0].id,
+        varianteId: actual.rows[0].id,
+        cantidad: -actual.rows[0].stock,
+        tipo: 'ajuste',
+        motivo: `Variante ${actual.rows[0].sku} eliminada`,
+        usuario: req.usuario
+      });
+    }
+    
+    await cliente.query('DELETE FROM producto_variantes WHERE id = $1', [actual.rows[0].id]);
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'eliminar',
+      entidad: 'variante',
+      entidadId: actual.rows[0].id,
+      antes: actual.rows[0],
+      detalle: `Producto ${producto.rows[0].id}`
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Variante eliminada:', req.params.varianteId);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Variante eliminada exitosamente'
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error eliminando variante:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando variante',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - INVENTARIO
+// ============================================
+
+const TIPOS_MOVIMIENTO = ['venta', 'cancelacion', 'ajuste', 'importacion'];
+
+// Debe llamarse con el mismo cliente de la transacción que cambió el stock,
+// para que el movimiento y el nuevo saldo se confirmen juntos.
+async function registrarMovimientoInventario(db, { productoId, varianteId, tipo, cantidad, stockResultante, motivo, ventaId, usuario }) {
+  await db.query(
+    `INSERT INTO movimientos_inventario
+      (producto_id, variante_id, tipo, cantidad, stock_resultante, motivo, venta_id, usuario_id, usuario)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      productoId,
+      varianteId || null,
+      tipo,
+      cantidad,
+      stockResultante,
+      motivo || null,
+      ventaId || null,
+      usuario ? usuario.idUsuario : null,
+      usuario ? usuario.usuario : null
+    ]
+  );
+}
+
+app.get('/api/admin/productos/:id/movimientos', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const { tipo, variante_id, limite = 100 } = req.query;
+    
+    const producto = await pool.query(
+      'SELECT id, nombre, stock FROM productos WHERE id = $1 AND eliminado_en IS NULL',
+      [req.params.id]
+    );
+    
+    if (producto.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    let query = `
+      SELECT 
+        m.id,
+        m.variante_id,
+        pv.sku,
+        m.tipo,
+        m.cantidad,
+        m.stock_resultante,
+        m.motivo,
+        m.venta_id,
+        v.numero_orden,
+        m.usuario_id,
+        m.usuario,
+        m.fecha
+      FROM movimientos_inventario m
+      LEFT JOIN ventas v ON m.venta_id = v.id
+      LEFT JOIN producto_variantes pv ON m.variante_id = pv.id
+      WHERE m.producto_id = $1
+    `;
+    
+    const params = [req.params.id];
+    let paramIndex = 2;
+    
+    if (tipo && TIPOS_MOVIMIENTO.includes(tipo)) {
+      query += ` AND m.tipo = $${paramIndex}`;
+      params.push(tipo);
+      paramIndex++;
+    }
+    
+    if (variante_id) {
+      query += ` AND m.variante_id = $${paramIndex}`;
+      params.push(parseInt(variante_id));
+      paramIndex++;
+    }
+    
+    query += ` ORDER BY m.fecha DESC, m.id DESC LIMIT $${paramIndex}`;
+    params.push(parseInt(limite));
+    
+    const resultado = await pool.query(query, params);
+    
+    res.json({
+      exito: true,
+      datos: {
+        producto: producto.rows[0],
+        movimientos: resultado.rows
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo movimientos:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo movimientos de inventario',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/productos/:id/movimientos', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const cantidad = parseInt(req.body.cantidad);
+  const { motivo, variante_id } = req.body;
+  
+  if (isNaN(cantidad) || cantidad === 0 || !motivo) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Cantidad distinta de cero y motivo son requeridos'
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const actual = await cliente.query(
+      'SELECT id, COALESCE(stock, 0) AS stock FROM productos WHERE id = $1 AND eliminado_en IS NULL FOR UPDATE',
+      [req.params.id]
+    );
+    
+    if (actual.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Producto no encontrado'
+      });
+    }
+    
+    // En productos con variantes el stock se ajusta variante por variante
+    if (variante_id) {
+      const variante = await cliente.query(
+        'SELECT id, sku, stock FROM producto_variantes WHERE id = $1 AND producto_id = $2 FOR UPDATE',
+        [variante_id, req.params.id]
+      );
+      
+      if (variante.rows.length === 0) {
+        await cliente.query('ROLLBACK');
+        return res.status(404).json({
+          exito: false,
+          mensaje: 'Variante no encontrada'
+        });
+      }
+      
+      if (variante.rows[0].stock + cantidad < 0) {
+        await cliente.query('ROLLBACK');
+        return res.status(409).json({
+          exito: false,
+          mensaje: `Stock insuficiente: disponible ${variante.rows[0].stock}`
+        });
+      }
+      
+      const ajustado = await ajustarStockVariante(cliente, {
+        productoId: actual.rows[0].id,
+        varianteId: variante.rows[0].id,
+        cantidad,
+        tipo: 'ajuste',
+        motivo,
+        usuario: req.usuario
+      });
+      
+      await registrarAuditoria(cliente, req, {
+        accion: 'ajustar_stock',
+        entidad: 'variante',
+        entidadId: variante.rows[0].id,
+        antes: { stock: variante.rows[0].stock },
+        despues: { stock: ajustado.stockVariante },
+        detalle: motivo
+      });
+      
+      await cliente.query('COMMIT');
+      
+      console.log(`✅ Stock ajustado: variante ${variante.rows[0].sku} (${cantidad > 0 ? '+' : ''}${cantidad})`);
+      
+      return res.status(201).json({
+        exito: true,
+        mensaje: 'Stock ajustado',
+        datos: {
+          id: actual.rows[0].id,
+          stock: ajustado.stockProducto,
+          variante_id: variante.rows[0].id,
+          sku: variante.rows[0].sku,
+          stock_variante: ajustado.stockVariante
+        }
+      });
+    }
+    
+    if (await productoTieneVariantes(cliente, req.params.id)) {
+      await cliente.query('ROLLBACK');
+      return res.status(409).json({
+        exito: false,
+        mensaje: 'El producto tiene variantes: indica variante_id para ajustar su stock'
+      });
+    }
+    
+    if (actual.rows[0].stock + cantidad < 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(409).json({
+        exito: false,
+        mensaje: `Stock insuficiente: disponible ${actual.rows[0].stock}`
+      });
+    }
+    
+    const resultado = await cliente.query(
+      `UPDATE productos SET
+        stock = COALESCE(stock, 0) + $1,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, nombre, stock`,
+      [cantidad, req.params.id]
+    );
+    
+    await registrarMovimientoInventario(cliente, {
+      productoId: resultado.rows[0].id,
+      tipo: 'ajuste',
+      cantidad,
+      stockResultante: resultado.rows[0].stock,
+      motivo,
+      usuario: req.usuario
+    });
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'ajustar_stock',
+      entidad: 'producto',
+      entidadId: resultado.rows[0].id,
+      antes: { stock: actual.rows[0].stock },
+      despues: { stock: resultado.rows[0].stock },
+      detalle: motivo
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log(`✅ Stock ajustado: producto ${req.params.id} (${cantidad > 0 ? '+' : ''}${cantidad})`);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Stock ajustado',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error ajustando stock:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error ajustando stock',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - ALERTAS DE STOCK
+// ============================================
+
+// Un producto está bajo mínimo cuando su stock es menor o igual a
+// stock_minimo; con stock 0 está agotado. En los productos con variantes se
+// mira el stock total (la suma de las variantes).
+const FILTROS_STOCK_BAJO = {
+  todos: 'COALESCE(p.stock, 0) <= p.stock_minimo',
+  bajo: 'COALESCE(p.stock, 0) > 0 AND COALESCE(p.stock, 0) <= p.stock_minimo',
+  agotado: 'COALESCE(p.stock, 0) <= 0'
+};
+
+const ORDENES_STOCK_BAJO = {
+  stock: ORDENES_PRODUCTO.stock,
+  faltante: { expresion: 'p.stock_minimo - COALESCE(p.stock, 0)', tipo: 'int' },
+  nombre: ORDENES_PRODUCTO.nombre
+};
+
+// Productos que una venta dejó en su mínimo o por debajo. Solo cuenta el
+// cruce: si ya estaban bajo mínimo antes de la venta no se repite el aviso.
+// `productosAntes` son las filas leídas antes de descontar (con stock y
+// stock_minimo) y `stockFinal` un Map de id → stock después de la venta.
+function detectarStockBajo(productosAntes, stockFinal, origen) {
+  const avisos = [];
+  
+  stockFinal.forEach((stock, productoId) => {
+    const producto = productosAntes.get(productoId);
+    
+    if (!producto || producto.stock <= producto.stock_minimo || stock > producto.stock_minimo) {
+      return;
+    }
+    
+    avisos.push({
+      producto_id: productoId,
+      nombre: producto.nombre,
+      sku: producto.sku || null,
+      stock,
+      stock_minimo: producto.stock_minimo,
+      agotado: stock <= 0,
+      origen
+    });
+  });
+  
+  return avisos;
+}
+
+// Envía los avisos por el notificador una vez confirmada la venta (el evento
+// stock.bajo de los webhooks se encola antes, dentro de la transacción). No
+// espera el envío: un fallo del notificador no afecta la venta.
+function avisarStockBajo(avisos) {
+  for (const aviso of avisos) {
+    const referencia = aviso.sku ? `${aviso.nombre} (SKU ${aviso.sku})` : aviso.nombre;
+    
+    notificador.notificar({
+      evento: 'stock.bajo',
+      asunto: aviso.agotado ? `Producto agotado: ${aviso.nombre}` : `Stock bajo: ${aviso.nombre}`,
+      texto: `${referencia} quedó con ${aviso.stock} unidad(es) tras ${aviso.origen}. Stock mínimo: ${aviso.stock_minimo}.`,
+      datos: aviso
+    }).catch(error => console.error('Error enviando aviso de stock bajo:', error));
+  }
+}
+
+app.get('/api/admin/inventario/stock-bajo', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const { tipo = 'todos', estado } = req.query;
+    
+    if (!FILTROS_STOCK_BAJO[tipo]) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `Tipo inválido (use ${Object.keys(FILTROS_STOCK_BAJO).join(', ')})`
+      });
+    }
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_STOCK_BAJO,
+      ordenPorDefecto: 'stock',
+      direccionPorDefecto: 'asc',
+      limitePorDefecto: 100,
+      limiteMaximo: 500
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
+    }
+    
+    const condiciones = [];
+    const params = [];
+    
+    agregarFiltrosProducto(req.query, condiciones, params);
+    agregarFiltroEstadoProducto(estado, condiciones);
+    
+    // Los totales no dependen de ?tipo=, para mostrar los dos contadores
+    const resumen = await pool.query(
+      `SELECT
+        COUNT(*) FILTER (WHERE ${FILTROS_STOCK_BAJO.agotado})::int AS agotados,
+        COUNT(*) FILTER (WHERE ${FILTROS_STOCK_BAJO.bajo})::int AS bajo_minimo
+      FROM productos p
+      WHERE ${condiciones.join(' AND ')}`,
+      params
+    );
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: `
+        p.id,
+        p.nombre,
+        p.sku,
+        COALESCE(p.stock, 0) AS stock,
+        p.stock_minimo,
+        GREATEST(p.stock_minimo - COALESCE(p.stock, 0), 0) AS faltante,
+        COALESCE(p.stock, 0) <= 0 AS agotado,
+        p.estado,
+        p.categoria_id,
+        c.nombre AS nombre_categoria,
+        EXISTS (SELECT 1 FROM producto_variantes pv WHERE pv.producto_id = p.id) AS tiene_variantes
+      `,
+      origen: `
+        FROM productos p
+        LEFT JOIN categorias c ON p.categoria_id = c.id
+      `,
+      condiciones: [...condiciones, FILTROS_STOCK_BAJO[tipo]],
+      params,
+      columnaId: 'p.id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas,
+      resumen: resumen.rows[0],
+      paginacion: meta
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo productos con stock bajo:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo productos con stock bajo',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - CATEGORÍAS
+// ============================================
+
+app.get('/api/admin/categorias', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      'SELECT * FROM categorias ORDER BY orden, nombre'
+    );
+    
+    res.json({
+      exito: true,
+      datos: resultado.rows
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo categorías:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo categorías',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/categorias/:id/subcategorias', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      'SELECT * FROM subcategorias WHERE categoria_id = $1 ORDER BY orden, nombre',
+      [req.params.id]
+    );
+    
+    res.json({
+      exito: true,
+      datos: resultado.rows
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo subcategorías:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo subcategorías',
+      error: error.message
+    });
+  }
+});
+
+// Guarda el orden recibido como lista de ids (el primero queda con orden 1).
+// Los ids que no pertenecen al conjunto indicado por `filtro` se ignoran.
+async function aplicarOrden(db, tabla, ids, filtro = {}) {
+  const condicion = filtro.categoriaId ? ' AND categoria_id = $3' : '';
+  
+  for (let i = 0; i < ids.length; i++) {
+    const params = [i + 1, ids[i]];
+    if (filtro.categoriaId) params.push(filtro.categoriaId);
+    
+    await db.query(`UPDATE ${tabla} SET orden = $1 WHERE id = $2${condicion}`, params);
+  }
+}
+
+function validarListaIds(ids) {
+  return Array.isArray(ids) && ids.length > 0 && ids.every(id => Number.isInteger(id) && id > 0);
+}
+
+app.post('/api/admin/categorias', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  try {
+    const nombre = (req.body.nombre || '').trim();
+    
+    if (!nombre) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El nombre es requerido'
+      });
+    }
+    
+    const existente = await pool.query(
+      'SELECT id FROM categorias WHERE LOWER(nombre) = LOWER($1)',
+      [nombre]
+    );
+    
+    if (existente.rows.length > 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Ya existe una categoría con ese nombre'
+      });
+    }
+    
+    const resultado = await pool.query(
+      `INSERT INTO categorias (nombre, orden)
+      VALUES ($1, (SELECT COALESCE(MAX(orden), 0) + 1 FROM categorias))
+      RETURNING *`,
+      [nombre]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'crear',
+      entidad: 'categoria',
+      entidadId: resultado.rows[0].id,
+      despues: resultado.rows[0]
+    });
+    
+    console.log('✅ Categoría creada:', resultado.rows[0].id);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Categoría creada exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error creando categoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error creando categoría',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/categorias/orden', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const { ids } = req.body;
+  
+  if (!validarListaIds(ids)) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Se requiere la lista de ids en el nuevo orden'
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const anterior = await cliente.query('SELECT id FROM categorias ORDER BY orden, nombre');
+    await aplicarOrden(cliente, 'categorias', ids);
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'ordenar',
+      entidad: 'categoria',
+      antes: { orden: anterior.rows.map(fila => fila.id) },
+      despues: { orden: ids.map(Number) }
+    });
+    
+    await cliente.query('COMMIT');
+    
+    const resultado = await pool.query('SELECT * FROM categorias ORDER BY orden, nombre');
+    
+    res.json({
+      exito: true,
+      mensaje: 'Orden de categorías actualizado',
+      datos: resultado.rows
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error ordenando categorías:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error ordenando categorías',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+app.put('/api/admin/categorias/:id', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  try {
+    const nombre = (req.body.nombre || '').trim();
+    
+    if (!nombre) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El nombre es requerido'
+      });
+    }
+    
+    const existente = await pool.query(
+      'SELECT id FROM categorias WHERE LOWER(nombre) = LOWER($1) AND id <> $2',
+      [nombre, req.params.id]
+    );
+    
+    if (existente.rows.length > 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Ya existe una categoría con ese nombre'
+      });
+    }
+    
+    const anterior = await pool.query('SELECT * FROM categorias WHERE id = $1', [req.params.id]);
+    
+    if (anterior.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Categoría no encontrada'
+      });
+    }
+    
+    const resultado = await pool.query(
+      'UPDATE categorias SET nombre = $1 WHERE id = $2 RETURNING *',
+      [nombre, req.params.id]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'actualizar',
+      entidad: 'categoria',
+      entidadId: resultado.rows[0].id,
+      antes: anterior.rows[0],
+      despues: resultado.rows[0]
+    });
+    
+    console.log('✅ Categoría renombrada:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Categoría actualizada exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error actualizando categoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error actualizando categoría',
+      error: error.message
+    });
+  }
+});
+
+// Si la categoría tiene productos hay que decidir qué hacer con ellos:
+// ?mover_a=<id> (y opcionalmente &mover_a_subcategoria=<id>) los pasa a otra
+// categoría; ?dejar_sin_categoria=true los deja sin categoría explícitamente.
+app.delete('/api/admin/categorias/:id', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  const moverA = req.query.mover_a ? parseInt(req.query.mover_a) : null;
+  const moverASubcategoria = req.query.mover_a_subcategoria ? parseInt(req.query.mover_a_subcategoria) : null;
+  const dejarSinCategoria = req.query.dejar_sin_categoria === 'true';
+  
+  if (moverA === id) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'No se pueden mover los productos a la misma categoría que se elimina'
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const categoria = await cliente.query(
+      'SELECT * FROM categorias WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (categoria.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Categoría no encontrada'
+      });
+    }
+    
+    const afectados = await cliente.query(
+      'SELECT COUNT(*)::int AS total FROM productos WHERE categoria_id = $1 AND eliminado_en IS NULL',
+      [id]
+    );
+    const productosAfectados = afectados.rows[0].total;
+    
+    if (productosAfectados > 0 && !moverA && !dejarSinCategoria) {
+      await cliente.query('ROLLBACK');
+      return res.status(409).json({
+        exito: false,
+        mensaje: 'La categoría tiene productos. Indica mover_a con la categoría destino o dejar_sin_categoria=true',
+        datos: {
+          productos_afectados: productosAfectados
+        }
+      });
+    }
+    
+    if (productosAfectados > 0 && moverA) {
+      const destino = await cliente.query('SELECT id FROM categorias WHERE id = $1', [moverA]);
+      
+      if (destino.rows.length === 0) {
+        await cliente.query('ROLLBACK');
+        return res.status(400).json({
+          exito: false,
+          mensaje: 'La categoría destino no existe'
+        });
+      }
+      
+      if (moverASubcategoria) {
+        const subDestino = await cliente.query(
+          'SELECT id FROM subcategorias WHERE id = $1 AND categoria_id = $2',
+          [moverASubcategoria, moverA]
+        );
+        
+        if (subDestino.rows.length === 0) {
+          await cliente.query('ROLLBACK');
+          return res.status(400).json({
+            exito: false,
+            mensaje: 'La subcategoría destino no pertenece a la categoría destino'
+          });
+        }
+      }
+      
+      await cliente.query(
+        `UPDATE productos SET
+          categoria_id = $1,
+          subcategoria_id = $2,
+          fecha_actualizacion = CURRENT_TIMESTAMP
+        WHERE categoria_id = $3`,
+        [moverA, moverASubcategoria, id]
+      );
+    }
+    
+    await cliente.query('DELETE FROM categorias WHERE id = $1', [id]);
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'eliminar',
+      entidad: 'categoria',
+      entidadId: id,
+      antes: categoria.rows[0],
+      detalle: productosAfectados > 0
+        ? (moverA ? `${productosAfectados} productos movidos a la categoría ${moverA}` : `${productosAfectados} productos sin categoría`)
+        : null
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Categoría eliminada:', id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Categoría eliminada exitosamente',
+      datos: {
+        productos_afectados: productosAfectados,
+        movidos_a: productosAfectados > 0 ? moverA : null
+      }
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error eliminando categoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando categoría',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+app.post('/api/admin/categorias/:id/subcategorias', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  try {
+    const nombre = (req.body.nombre || '').trim();
+    
+    if (!nombre) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El nombre es requerido'
+      });
+    }
+    
+    const categoria = await pool.query('SELECT id FROM categorias WHERE id = $1', [req.params.id]);
+    
+    if (categoria.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Categoría no encontrada'
+      });
+    }
+    
+    const existente = await pool.query(
+      'SELECT id FROM subcategorias WHERE categoria_id = $1 AND LOWER(nombre) = LOWER($2)',
+      [req.params.id, nombre]
+    );
+    
+    if (existente.rows.length > 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Ya existe una subcategoría con ese nombre en la categoría'
+      });
+    }
+    
+    const resultado = await pool.query(
+      `INSERT INTO subcategorias (categoria_id, nombre, orden)
+      VALUES ($1, $2, (SELECT COALESCE(MAX(orden), 0) + 1 FROM subcategorias WHERE categoria_id = $1))
+      RETURNING *`,
+      [req.params.id, nombre]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'crear',
+      entidad: 'subcategoria',
+      entidadId: resultado.rows[0].id,
+      despues: resultado.rows[0]
+    });
+    
+    console.log('✅ Subcategoría creada:', resultado.rows[0].id);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Subcategoría creada exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error creando subcategoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error creando subcategoría',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/categorias/:id/subcategorias/orden', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const { ids } = req.body;
+  
+  if (!validarListaIds(ids)) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'Se requiere la lista de ids en el nuevo orden'
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const anterior = await cliente.query(
+      'SELECT id FROM subcategorias WHERE categoria_id = $1 ORDER BY orden, nombre',
+      [req.params.id]
+    );
+    await aplicarOrden(cliente, 'subcategorias', ids, { categoriaId: req.params.id });
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'ordenar',
+      entidad: 'subcategoria',
+      antes: { orden: anterior.rows.map(fila => fila.id) },
+      despues: { orden: ids.map(Number) },
+      detalle: `Categoría ${req.params.id}`
+    });
+    
+    await cliente.query('COMMIT');
+    
+    const resultado = await pool.query(
+      'SELECT * FROM subcategorias WHERE categoria_id = $1 ORDER BY orden, nombre',
+      [req.params.id]
+    );
+    
+    res.json({
+      exito: true,
+      mensaje: 'Orden de subcategorías actualizado',
+      datos: resultado.rows
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error ordenando subcategorías:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error ordenando subcategorías',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+app.put('/api/admin/subcategorias/:id', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  try {
+    const nombre = (req.body.nombre || '').trim();
+    
+    if (!nombre) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El nombre es requerido'
+      });
+    }
+    
+    const existente = await pool.query(
+      `SELECT otra.id FROM subcategorias otra
+       JOIN subcategorias actual ON actual.categoria_id = otra.categoria_id
+       WHERE actual.id = $1 AND otra.id <> $1 AND LOWER(otra.nombre) = LOWER($2)`,
+      [req.params.id, nombre]
+    );
+    
+    if (existente.rows.length > 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Ya existe una subcategoría con ese nombre en la categoría'
+      });
+    }
+    
+    const anterior = await pool.query('SELECT * FROM subcategorias WHERE id = $1', [req.params.id]);
+    
+    if (anterior.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Subcategoría no encontrada'
+      });
+    }
+    
+    const resultado = await pool.query(
+      'UPDATE subcategorias SET nombre = $1 WHERE id = $2 RETURNING *',
+      [nombre, req.params.id]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'actualizar',
+      entidad: 'subcategoria',
+      entidadId: resultado.rows[0].id,
+      antes: anterior.rows[0],
+      despues: resultado.rows[0]
+    });
+    
+    console.log('✅ Subcategoría renombrada:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Subcategoría actualizada exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error actualizando subcategoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error actualizando subcategoría',
+      error: error.message
+    });
+  }
+});
+
+// Igual que con las categorías: ?mover_a=<id de subcategoría> reasigna los
+// productos (y su categoría) o ?dejar_sin_subcategoria=true los deja sin ella.
+app.delete('/api/admin/subcategorias/:id', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  const id = parseInt(req.params.id);
+  const moverA = req.query.mover_a ? parseInt(req.query.mover_a) : null;
+  const dejarSinSubcategoria = req.query.dejar_sin_subcategoria === 'true';
+  
+  if (moverA === id) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'No se pueden mover los productos a la misma subcategoría que se elimina'
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const subcategoria = await cliente.query(
+      'SELECT * FROM subcategorias WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    
+    if (subcategoria.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Subcategoría no encontrada'
+      });
+    }
+    
+    const afectados = await cliente.query(
+      'SELECT COUNT(*)::int AS total FROM productos WHERE subcategoria_id = $1 AND eliminado_en IS NULL',
+      [id]
+    );
+    const productosAfectados = afectados.rows[0].total;
+    
+    if (productosAfectados > 0 && !moverA && !dejarSinSubcategoria) {
+      await cliente.query('ROLLBACK');
+      return res.status(409).json({
+        exito: false,
+        mensaje: 'La subcategoría tiene productos. Indica mover_a con la subcategoría destino o dejar_sin_subcategoria=true',
+        datos: {
+          productos_afectados: productosAfectados
+        }
+      });
+    }
+    
+    if (productosAfectados > 0 && moverA) {
+      const destino = await cliente.query(
+        'SELECT id, categoria_id FROM subcategorias WHERE id = $1',
+        [moverA]
+      );
+      
+      if (destino.rows.length === 0) {
+        await cliente.query('ROLLBACK');
+        return res.status(400).json({
+          exito: false,
+          mensaje: 'La subcategoría destino no existe'
+        });
+      }
+      
+      await cliente.query(
+        `UPDATE productos SET
+          categoria_id = $1,
+          subcategoria_id = $2,
+          fecha_actualizacion = CURRENT_TIMESTAMP
+        WHERE subcategoria_id = $3`,
+        [destino.rows[0].categoria_id, moverA, id]
+      );
+    }
+    
+    await cliente.query('DELETE FROM subcategorias WHERE id = $1', [id]);
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'eliminar',
+      entidad: 'subcategoria',
+      entidadId: id,
+      antes: subcategoria.rows[0],
+      detalle: productosAfectados > 0
+        ? (moverA ? `${productosAfectados} productos movidos a la subcategoría ${moverA}` : `${productosAfectados} productos sin subcategoría`)
+        : null
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Subcategoría eliminada:', id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Subcategoría eliminada exitosamente',
+      datos: {
+        productos_afectados: productosAfectados,
+        movidos_a: productosAfectados > 0 ? moverA : null
+      }
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error eliminando subcategoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando subcategoría',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - DASHBOARD
+// ============================================
+
+app.get('/api/admin/dashboard', autenticarToken, requierePermiso('dashboard:leer'), async (req, res) => {
+  try {
+    const statsQuery = await pool.query(`
+      SELECT 
+        COUNT(*) as total_productos,
+        COALESCE(SUM(invertido * stock), 0) as total_invertido,
+        COALESCE(SUM(precio * stock), 0) as valor_inventario,
+        COALESCE(SUM((precio - invertido) * stock), 0) as ganancia_potencial
+      FROM productos
+      WHERE estado = 'ACTIVO' AND eliminado_en IS NULL
+    `);
+    
+    const stats = statsQuery.rows[0];
+    
+    res.json({
+      success: true,
+      data: {
+        totalProductos: parseInt(stats.total_productos),
+        totalInvertido: parseFloat(stats.total_invertido),
+        valorInventario: parseFloat(stats.valor_inventario),
+        gananciaPotencial: parseFloat(stats.ganancia_potencial)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo dashboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo estadísticas',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/dashboard/top-products', autenticarToken, requierePermiso('dashboard:leer'), async (req, res) => {
+  try {
+    const resultado = await pool.query(`
+      SELECT 
+        vi.producto_id as id,
+        COALESCE(MAX(p.nombre), MAX(vi.nombre)) as name,
+        SUM(vi.cantidad)::int as quantity,
+        SUM(vi.precio_unitario * vi.cantidad)::float as total_sales
+      FROM venta_items vi
+      JOIN ventas v ON vi.venta_id = v.id
+      LEFT JOIN productos p ON vi.producto_id = p.id
+      WHERE v.estado <> 'cancelado'
+      GROUP BY vi.producto_id
+      ORDER BY quantity DESC
+      LIMIT 10
+    `);
+    
+    res.json({
+      success: true,
+      data: resultado.rows
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo productos top:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo productos más vendidos',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/dashboard/top-categories', autenticarToken, requierePermiso('dashboard:leer'), async (req, res) => {
+  try {
+    const resultado = await pool.query(`
+      WITH vendidos AS (
+        SELECT 
+          p.categoria_id,
+          SUM(vi.cantidad) as unidades,
+          SUM(vi.precio_unitario * vi.cantidad) as ingresos
+        FROM venta_items vi
+        JOIN ventas v ON vi.venta_id = v.id
+        JOIN productos p ON vi.producto_id = p.id
+        WHERE v.estado <> 'cancelado'
+        GROUP BY p.categoria_id
+      )
+      SELECT 
+        c.nombre as category_name,
+        COUNT(DISTINCT p.id)::int as product_count,
+        COALESCE(SUM(p.stock), 0)::int as total_stock,
+        COALESCE(MAX(vd.unidades), 0)::int as units_sold,
+        COALESCE(MAX(vd.ingresos), 0)::float as total_sales
+      FROM categorias c
+      LEFT JOIN productos p ON p.categoria_id = c.id AND p.estado = 'ACTIVO' AND p.eliminado_en IS NULL
+      LEFT JOIN vendidos vd ON vd.categoria_id = c.id
+      GROUP BY c.id, c.nombre
+      ORDER BY units_sold DESC, product_count DESC
+      LIMIT 5
+    `);
+    
+    res.json({
+      success: true,
+      data: resultado.rows
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo categorías top:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo categorías más vendidas',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/dashboard/daily-sales', autenticarToken, requierePermiso('dashboard:leer'), async (req, res) => {
+  try {
+    const resultado = await pool.query(`
+      SELECT 
+        DATE(v.fecha_creacion) as date,
+        COUNT(*)::int as orders,
+        SUM(v.total)::float as total_sales,
+        COALESCE(SUM(u.unidades), 0)::int as units
+      FROM ventas v
+      LEFT JOIN (
+        SELECT venta_id, SUM(cantidad) as unidades
+        FROM venta_items
+        GROUP BY venta_id
+      ) u ON u.venta_id = v.id
+      WHERE v.fecha_creacion >= CURRENT_DATE - INTERVAL '30 days'
+        AND v.estado <> 'cancelado'
+      GROUP BY DATE(v.fecha_creacion)
+      ORDER BY date DESC
+    `);
+    
+    res.json({
+      success: true,
+      data: resultado.rows
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo ventas diarias:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo ventas diarias',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - REPORTES DE VENTAS
+// ============================================
+
+// A diferencia del dashboard (valores teóricos del inventario), los reportes
+// salen de las ventas reales: precio y costo tal como quedaron en venta_items
+// al vender. Las ventas canceladas no cuentan.
+
+const GRANULARIDADES_REPORTE = { dia: 'day', semana: 'week', mes: 'month' };
+const DIAS_MAXIMOS_REPORTE = 366 * 3;
+const DIAS_MAXIMOS_SERIE_DIARIA = 366;
+const FECHA_REPORTE = /^\d{4}-\d{2}-\d{2}$/;
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+const fechaISO = fecha => fecha.toISOString().slice(0, 10);
+const redondear = (valor, decimales = 2) => Math.round(valor * 10 ** decimales) / 10 ** decimales;
+
+// Variación porcentual respecto al periodo anterior (null si antes era 0)
+const variacion = (actual, anterior) => (anterior ? redondear((actual - anterior) / anterior * 100, 1) : null);
+
+function leerFechaReporte(texto) {
+  if (!FECHA_REPORTE.test(texto)) return null;
+  const fecha = new Date(`${texto}T00:00:00Z`);
+  return isNaN(fecha) || fechaISO(fecha) !== texto ? null : fecha;
+}
+
+// Lee ?desde=&hasta= (AAAA-MM-DD, ambos incluidos; por defecto los últimos 30
+// días) y ?granularidad=dia|semana|mes. El periodo anterior tiene la misma
+// cantidad de días y termina el día antes de `desde`.
+// Devuelve { error } o { desde, hasta, granularidad, anteriorDesde, anteriorHasta, dias }.
+function leerRangoReporte(consulta) {
+  const { granularidad = 'dia' } = consulta;
+  
+  if (!GRANULARIDADES_REPORTE[granularidad]) {
+    return { error: `Granularidad inválida (use ${Object.keys(GRANULARIDADES_REPORTE).join(', ')})` };
+  }
+  
+  const hoy = leerFechaReporte(fechaISO(new Date()));
+  const hasta = consulta.hasta ? leerFechaReporte(consulta.hasta) : hoy;
+  const desde = consulta.desde
+    ? leerFechaReporte(consulta.desde)
+    : hasta && new Date(hasta.getTime() - 29 * MS_POR_DIA);
+  
+  if (!desde || !hasta || desde > hasta) {
+    return { error: 'Rango de fechas inválido (use AAAA-MM-DD y desde <= hasta)' };
+  }
+  
+  const dias = Math.round((hasta - desde) / MS_POR_DIA) + 1;
+  
+  if (dias > DIAS_MAXIMOS_REPORTE) {
+    return { error: 'El rango puede abarcar como máximo 3 años' };
+  }
+  
+  if (granularidad === 'dia' && dias > DIAS_MAXIMOS_SERIE_DIARIA) {
+    return { error: 'Para más de un año use granularidad semana o mes' };
+  }
+  
+  const anteriorHasta = new Date(desde.getTime() - MS_POR_DIA);
+  const anteriorDesde = new Date(desde.getTime() - dias * MS_POR_DIA);
+  
+  return {
+    desde: fechaISO(desde),
+    hasta: fechaISO(hasta),
+    granularidad,
+    anteriorDesde: fechaISO(anteriorDesde),
+    anteriorHasta: fechaISO(anteriorHasta),
+    dias
+  };
+}
+
+// Agrega margen, margen_porcentaje y ticket_promedio a unas métricas con
+// ingresos, costo y (opcional) pedidos
+function completarMetricas(metricas) {
+  const margen = redondear(metricas.ingresos - metricas.costo);
+  
+  return {
+    ...metricas,
+    ingresos: redondear(metricas.ingresos),
+    costo: redondear(metricas.costo),
+    margen,
+    margen_porcentaje: metricas.ingresos ? redondear(margen / metricas.ingresos * 100, 1) : null,
+    ...(metricas.pedidos !== undefined && {
+      ticket_promedio: metricas.pedidos ? redondear(metricas.ingresos / metricas.pedidos) : 0
+    })
+  };
+}
+
+// Totales de un periodo. `ingresos` es lo cobrado (total de la venta, ya con
+// el descuento de cupones); `ventas_brutas` es antes del descuento.
+async function resumenVentas(desde, hasta) {
+  const resultado = await pool.query(
+    `SELECT
+      COUNT(*)::int AS pedidos,
+      COALESCE(SUM(i.unidades), 0)::int AS unidades,
+      COALESCE(SUM(COALESCE(v.subtotal, v.total)), 0)::float AS ventas_brutas,
+      COALESCE(SUM(v.descuento), 0)::float AS descuentos,
+      COALESCE(SUM(v.total), 0)::float AS ingresos,
+      COALESCE(SUM(i.costo), 0)::float AS costo
+    FROM ventas v
+    LEFT JOIN LATERAL (
+      SELECT SUM(vi.cantidad) AS unidades, SUM(vi.costo_unitario * vi.cantidad) AS costo
+      FROM venta_items vi
+      WHERE vi.venta_id = v.id
+    ) i ON true
+    WHERE v.estado <> 'cancelado'
+      AND v.fecha_creacion >= $1::date
+      AND v.fecha_creacion < $2::date + INTERVAL '1 day'`,
+    [desde, hasta]
+  );
+  
+  const fila = resultado.rows[0];
+  
+  return completarMetricas({
+    ...fila,
+    ventas_brutas: redondear(fila.ventas_brutas),
+    descuentos: redondear(fila.descuentos)
+  });
+}
+
+// Un punto por día, semana (desde el lunes) o mes del rango, incluidos los
+// periodos sin ventas
+async function serieVentas(rango) {
+  const unidad = GRANULARIDADES_REPORTE[rango.granularidad];
+  
+  const resultado = await pool.query(
+    `WITH periodos AS (
+      SELECT generate_series(
+        date_trunc('${unidad}', $1::timestamp),
+        date_trunc('${unidad}', $2::timestamp),
+        INTERVAL '1 ${unidad}'
+      ) AS inicio
+    ),
+    ventas_periodo AS (
+      SELECT
+        date_trunc('${unidad}', v.fecha_creacion) AS inicio,
+        COUNT(*) AS pedidos,
+        SUM(i.unidades) AS unidades,
+        SUM(v.total) AS ingresos,
+        SUM(i.costo) AS costo
+      FROM ventas v
+      LEFT JOIN LATERAL (
+        SELECT SUM(vi.cantidad) AS unidades, SUM(vi.costo_unitario * vi.cantidad) AS costo
+        FROM venta_items vi
+        WHERE vi.venta_id = v.id
+      ) i ON true
+      WHERE v.estado <> 'cancelado'
+        AND v.fecha_creacion >= $1::date
+        AND v.fecha_creacion < $2::date + INTERVAL '1 day'
+      GROUP BY 1
+    )
+    SELECT
+      to_char(p.inicio, 'YYYY-MM-DD') AS periodo,
+      COALESCE(vp.pedidos, 0)::int AS pedidos,
+      COALESCE(vp.unidades, 0)::int AS unidades,
+      COALESCE(vp.ingresos, 0)::float AS ingresos,
+      COALESCE(vp.costo, 0)::float AS costo
+    FROM periodos p
+    LEFT JOIN ventas_periodo vp ON vp.inicio = p.inicio
+    ORDER BY p.inicio`,
+    [rango.desde, rango.hasta]
+  );
+  
+  return resultado.rows.map(completarMetricas);
+}
+
+// Métricas por línea de venta del periodo actual y del anterior. Usa $1 =
+// inicio del periodo anterior, $2 = fin del actual y $3 = inicio del actual.
+// Los importes son antes del descuento de cupones, que no se reparte por línea.
+const METRICAS_LINEAS_REPORTE = ['', '_anterior'].map((sufijo) => {
+  const filtro = sufijo ? 'v.fecha_creacion < $3::date' : 'v.fecha_creacion >= $3::date';
+  return `
+    COUNT(DISTINCT v.id) FILTER (WHERE ${filtro})::int AS pedidos${sufijo},
+    COALESCE(SUM(vi.cantidad) FILTER (WHERE ${filtro}), 0)::int AS unidades${sufijo},
+    COALESCE(SUM(vi.precio_unitario * vi.cantidad) FILTER (WHERE ${filtro}), 0)::float AS ingresos${sufijo},
+    COALESCE(SUM(vi.costo_unitario * vi.cantidad) FILTER (WHERE ${filtro}), 0)::float AS costo${sufijo}`;
+}).join(',');
+
+const ORIGEN_LINEAS_REPORTE = `
+  FROM venta_items vi
+  JOIN ventas v ON vi.venta_id = v.id
+  LEFT JOIN productos p ON vi.producto_id = p.id
+  LEFT JOIN categorias c ON p.categoria_id = c.id
+  WHERE v.estado <> 'cancelado'
+    AND v.fecha_creacion >= $1::date
+    AND v.fecha_creacion < $2::date + INTERVAL '1 day'
+`;
+
+const ORDENES_DESGLOSE = ['ingresos', 'unidades', 'margen'];
+
+// Separa las columnas *_anterior de una fila de desglose y calcula márgenes,
+// participación en los ingresos del periodo y variaciones
+function armarFilaDesglose(fila, totalIngresos) {
+  const { pedidos_anterior, unidades_anterior, ingresos_anterior, costo_anterior, ...resto } = fila;
+  const actual = completarMetricas(resto);
+  const anterior = completarMetricas({
+    pedidos: pedidos_anterior,
+    unidades: unidades_anterior,
+    ingresos: ingresos_anterior,
+    costo: costo_anterior
+  });
+  
+  return {
+    ...actual,
+    participacion: totalIngresos ? redondear(actual.ingresos / totalIngresos * 100, 1) : null,
+    anterior,
+    variacion: {
+      unidades: variacion(actual.unidades, anterior.unidades),
+      ingresos: variacion(actual.ingresos, anterior.ingresos),
+      margen: variacion(actual.margen, anterior.margen)
+    }
+  };
+}
+
+function ordenarDesglose(filas, orden) {
+  return filas.sort((a, b) => b[orden] - a[orden] || b.ingresos - a.ingresos);
+}
+
+// La categoría es la actual del producto: venta_items no la guarda
+async function ventasPorCategoria(rango, { orden = 'ingresos' } = {}) {
+  const resultado = await pool.query(
+    `SELECT
+      c.id AS categoria_id,
+      COALESCE(c.nombre, 'Sin categoría') AS categoria,
+      ${METRICAS_LINEAS_REPORTE}
+    ${ORIGEN_LINEAS_REPORTE}
+    GROUP BY c.id, c.nombre`,
+    [rango.anteriorDesde, rango.hasta, rango.desde]
+  );
+  
+  const totalIngresos = resultado.rows.reduce((suma, fila) => suma + fila.ingresos, 0);
+  
+  return ordenarDesglose(resultado.rows.map(fila => armarFilaDesglose(fila, totalIngresos)), orden);
+}
+
+// Los productos purgados (producto_id en null) se agrupan por el nombre con
+// que se vendieron
+async function ventasPorProducto(rango, { orden = 'ingresos', limite = null } = {}) {
+  const resultado = await pool.query(
+    `SELECT
+      vi.producto_id,
+      COALESCE(MAX(p.nombre), MAX(vi.nombre)) AS nombre,
+      MAX(p.sku) AS sku,
+      ${METRICAS_LINEAS_REPORTE}
+    ${ORIGEN_LINEAS_REPORTE}
+    GROUP BY vi.producto_id, CASE WHEN vi.producto_id IS NULL THEN vi.nombre END`,
+    [rango.anteriorDesde, rango.hasta, rango.desde]
+  );
+  
+  const totalIngresos = resultado.rows.reduce((suma, fila) => suma + fila.ingresos, 0);
+  const filas = ordenarDesglose(resultado.rows.map(fila => armarFilaDesglose(fila, totalIngresos)), orden);
+  
+  return limite ? filas.slice(0, limite) : filas;
+}
+
+// Devuelve { error } o { rango, orden, limite } con lo que comparten las rutas
+function leerConsultaReporte(consulta) {
+  const rango = leerRangoReporte(consulta);
+  if (rango.error) return rango;
+  
+  const orden = consulta.orden || 'ingresos';
+  if (!ORDENES_DESGLOSE.includes(orden)) {
+    return { error: `Orden inválido (use ${ORDENES_DESGLOSE.join(', ')})` };
+  }
+  
+  const limite = consulta.limite !== undefined ? parseInt(consulta.limite) : null;
+  if (limite !== null && (isNaN(limite) || limite < 1)) {
+    return { error: 'Límite inválido' };
+  }
+  
+  return { rango, orden, limite };
+}
+
+const periodosReporte = rango => ({
+  periodo: { desde: rango.desde, hasta: rango.hasta, granularidad: rango.granularidad },
+  periodo_anterior: { desde: rango.anteriorDesde, hasta: rango.anteriorHasta }
+});
+
+app.get('/api/admin/reportes/ventas', autenticarToken, requierePermiso('reportes:leer'), async (req, res) => {
+  try {
+    const rango = leerRangoReporte(req.query);
+    
+    if (rango.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: rango.error
+      });
+    }
+    
+    const [resumen, anterior, serie] = await Promise.all([
+      resumenVentas(rango.desde, rango.hasta),
+      resumenVentas(rango.anteriorDesde, rango.anteriorHasta),
+      serieVentas(rango)
+    ]);
+    
+    const comparacion = {};
+    for (const metrica of ['pedidos', 'unidades', 'ingresos', 'costo', 'margen', 'ticket_promedio']) {
+      comparacion[metrica] = variacion(resumen[metrica], anterior[metrica]);
+    }
+    
+    res.json({
+      exito: true,
+      datos: {
+        ...periodosReporte(rango),
+        resumen,
+        anterior,
+        variacion: comparacion,
+        serie
+      }
+    });
+  
+  } catch (error) {
+    console.error('Error generando reporte de ventas:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error generando reporte de ventas',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/reportes/ventas/categorias', autenticarToken, requierePermiso('reportes:leer'), async (req, res) => {
+  try {
+    const consulta = leerConsultaReporte(req.query);
+    
+    if (consulta.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: consulta.error
+      });
+    }
+    
+    res.json({
+      exito: true,
+      datos: {
+        ...periodosReporte(consulta.rango),
+        categorias: await ventasPorCategoria(consulta.rango, consulta)
+      }
+    });
+  
+  } catch (error) {
+    console.error('Error generando reporte por categoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error generando reporte por categoría',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/reportes/ventas/productos', autenticarToken, requierePermiso('reportes:leer'), async (req, res) => {
+  try {
+    const consulta = leerConsultaReporte(req.query);
+    
+    if (consulta.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: consulta.error
+      });
+    }
+    
+    res.json({
+      exito: true,
+      datos: {
+        ...periodosReporte(consulta.rango),
+        productos: await ventasPorProducto(consulta.rango, consulta)
+      }
+    });
+  
+  } catch (error) {
+    console.error('Error generando reporte por producto:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error generando reporte por producto',
+      error: error.message
+    });
+  }
+});
+
+// ?formato=csv|xlsx (CSV por defecto) y, para CSV, ?separador=, o ;
+// Devuelve { error } o { formato, separador }.
+function leerFormatoExportacion(consulta) {
+  const { formato = 'csv', separador = ',' } = consulta;
+  
+  if (!FORMATOS_EXPORTACION[formato]) {
+    return { error: `Formato inválido (use ${Object.keys(FORMATOS_EXPORTACION).join(' o ')})` };
+  }
+  
+  if (![',', ';'].includes(separador)) {
+    return { error: 'Separador inválido (use , o ;)' };
+  }
+  
+  return { formato, separador };
+}
+
+// Con las cabeceras ya enviadas no se puede responder con JSON: se corta la
+// descarga para que el archivo no quede incompleto sin aviso
+function fallarExportacion(res, error, mensaje) {
+  console.error(`${mensaje}:`, error);
+  
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+  
+  res.status(500).json({
+    exito: false,
+    mensaje,
+    error: error.message
+  });
+}
+
+const COLUMNAS_METRICAS_REPORTE = [
+  { clave: 'pedidos', titulo: 'Pedidos', tipo: 'numero' },
+  { clave: 'unidades', titulo: 'Unidades', tipo: 'numero' },
+  { clave: 'ingresos', titulo: 'Ingresos', tipo: 'numero' },
+  { clave: 'costo', titulo: 'Costo', tipo: 'numero' },
+  { clave: 'margen', titulo: 'Margen', tipo: 'numero' },
+  { clave: 'margen_porcentaje', titulo: 'Margen %', tipo: 'numero' },
+  { clave: 'ticket_promedio', titulo: 'Ticket promedio', tipo: 'numero' }
+];
+
+const COLUMNAS_DESGLOSE_REPORTE = [
+  ...COLUMNAS_METRICAS_REPORTE,
+  { clave: 'participacion', titulo: 'Participación %', tipo: 'numero' },
+  { clave: 'ingresos_anterior', titulo: 'Ingresos periodo anterior', tipo: 'numero' },
+  { clave: 'unidades_anterior', titulo: 'Unidades periodo anterior', tipo: 'numero' },
+  { clave: 'variacion_ingresos', titulo: 'Variación ingresos %', tipo: 'numero' }
+];
+
+const aplanarDesglose = fila => ({
+  ...fila,
+  ingresos_anterior: fila.anterior.ingresos,
+  unidades_anterior: fila.anterior.unidades,
+  variacion_ingresos: fila.variacion.ingresos
+});
+
+// Cada sección es una hoja del XLSX; el CSV lleva una sola (?seccion=)
+const SECCIONES_REPORTE = {
+  resumen: {
+    titulo: 'Resumen',
+    columnas: [
+      { clave: 'metrica', titulo: 'Métrica', ancho: 20 },
+      { clave: 'actual', titulo: 'Periodo', tipo: 'numero' },
+      { clave: 'anterior', titulo: 'Periodo anterior', tipo: 'numero' },
+      { clave: 'variacion', titulo: 'Variación %', tipo: 'numero' }
+    ],
+    async filas(rango) {
+      const [actual, anterior] = await Promise.all([
+        resumenVentas(rango.desde, rango.hasta),
+        resumenVentas(rango.anteriorDesde, rango.anteriorHasta)
+      ]);
+      return ['pedidos', 'unidades', 'ventas_brutas', 'descuentos', 'ingresos', 'costo', 'margen', 'margen_porcentaje', 'ticket_promedio']
+        .map(metrica => ({
+          metrica,
+          actual: actual[metrica],
+          anterior: anterior[metrica],
+          variacion: variacion(actual[metrica], anterior[metrica])
+        }));
+    }
+  },
+  serie: {
+    titulo: 'Por periodo',
+    columnas: [{ clave: 'periodo', titulo: 'Periodo', ancho: 14 }, ...COLUMNAS_METRICAS_REPORTE],
+    filas: rango => serieVentas(rango)
+  },
+  categorias: {
+    titulo: 'Por categoría',
+    columnas: [{ clave: 'categoria', titulo: 'Categoría', ancho: 24 }, ...COLUMNAS_DESGLOSE_REPORTE],
+    filas: async rango => (await ventasPorCategoria(rango)).map(aplanarDesglose)
+  },
+  productos: {
+    titulo: 'Por producto',
+    columnas: [
+      { clave: 'producto_id', titulo: 'ID producto', tipo: 'numero' },
+      { clave: 'sku', titulo: 'SKU' },
+      { clave: 'nombre', titulo: 'Producto', ancho: 32 },
+      ...COLUMNAS_DESGLOSE_REPORTE
+    ],
+    filas: async rango => (await ventasPorProducto(rango)).map(aplanarDesglose)
+  }
+};
+
+app.get('/api/admin/reportes/ventas/exportar', autenticarToken, requierePermiso('reportes:leer'), async (req, res) => {
+  try {
+    const rango = leerRangoReporte(req.query);
+    const exportacion = leerFormatoExportacion(req.query);
+    const error = rango.error || exportacion.error;
+    
+    if (error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: error
+      });
+    }
+    
+    const { seccion } = req.query;
+    
+    if (seccion && !SECCIONES_REPORTE[seccion]) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `Sección inválida (use ${Object.keys(SECCIONES_REPORTE).join(', ')})`
+      });
+    }
+    
+    if (!seccion && exportacion.formato === 'csv') {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `El CSV lleva una sola tabla: indique ?seccion= (${Object.keys(SECCIONES_REPORTE).join(', ')})`
+      });
+    }
+    
+    const secciones = seccion ? [seccion] : Object.keys(SECCIONES_REPORTE);
+    
+    // Los reportes ya vienen agregados: se calculan antes de enviar las
+    // cabeceras para poder responder con un error si algo falla
+    const contenido = [];
+    for (const clave of secciones) {
+      contenido.push({ ...SECCIONES_REPORTE[clave], filas: await SECCIONES_REPORTE[clave].filas(rango) });
+    }
+    
+    const archivo = crearExportacion(res, {
+      ...exportacion,
+      nombreArchivo: `reporte-ventas-${seccion ? `${seccion}-` : ''}${rango.desde}-a-${rango.hasta}`
+    });
+    
+    for (const { titulo, columnas, filas } of contenido) {
+      await archivo.hoja(titulo, columnas);
+      for (const fila of filas) {
+        await archivo.fila(fila);
+      }
+    }
+    
+    await archivo.terminar();
+    
+  } catch (error) {
+    fallarExportacion(res, error, 'Error exportando reporte de ventas');
+  }
+});
+
+// ============================================
+// RUTAS DE CLIENTES - REGISTRO Y LOGIN
+// ============================================
+
+app.post('/api/clientes/registro', async (req, res) => {
+  try {
+    const { usuario, contrasena, nombre, correo, telefono, direccion, ciudad, pais } = req.body;
+    
+    if (!usuario || !contrasena || !nombre || !correo) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Usuario, contraseña, nombre y correo son requeridos'
+      });
+    }
+    
+    // Un cliente en la papelera conserva su usuario y correo hasta que se purga
+    const usuarioExistente = await pool.query(
+      'SELECT id FROM clientes WHERE usuario = $1 OR correo = $2',
+      [usuario, correo]
+    );
+    
+    if (usuarioExistente.rows.length > 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El usuario o correo ya están registrados'
+      });
+    }
+    
+    const contrasenaHash = await bcrypt.hash(contrasena, 10);
+    
+    const resultado = await pool.query(
+      `INSERT INTO clientes 
+        (usuario, contrasena_hash, nombre, correo, telefono, direccion, ciudad, pais)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, usuario, nombre, correo, telefono, direccion, ciudad, pais, rol, fecha_creacion`,
+      [usuario, contrasenaHash, nombre, correo, telefono || null, direccion || null, ciudad || null, pais || null]
+    );
+    
+    const tokens = await iniciarSesion(pool, 'cliente', resultado.rows[0], req);
+    
+    console.log('✅ Cliente registrado:', resultado.rows[0].id);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Cliente registrado exitosamente',
+      datos: {
+        ...tokens,
+        cliente: resultado.rows[0]
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error en registro:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error en el registro',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// PROTECCIÓN CONTRA FUERZA BRUTA EN LOGIN
+// ============================================
+
+// Tras INTENTOS_ANTES_DE_BLOQUEO fallos seguidos (en 24 h) la cuenta se bloquea
+// un minuto, y cada fallo más duplica el bloqueo hasta BLOQUEO_MAXIMO_MINUTOS.
+// Un acceso correcto o un desbloqueo desde el panel reinician el conteo. Aparte,
+// una IP con LIMITE_FALLOS_IP fallos en VENTANA_IP_MINUTOS queda frenada para
+// cualquier cuenta. Se cuentan también los usuarios que no existen, así el
+// bloqueo no revela cuáles existen.
+const INTENTOS_ANTES_DE_BLOQUEO = 5;
+const BLOQUEO_MAXIMO_MINUTOS = 60;
+const LIMITE_FALLOS_IP = 20;
+const VENTANA_IP_MINUTOS = 15;
+
+const RESULTADOS_INTENTO = ['exito', 'fallo', 'bloqueado', 'desbloqueo'];
+
+// Si el usuario no existe se compara contra este hash, para que la respuesta
+// tarde lo mismo que con un usuario real
+const HASH_FICTICIO = bcrypt.hashSync('usuario-inexistente', 10);
+
+// Segundos que faltan para poder volver a intentar (0 si no hay bloqueo)
+async function segundosDeBloqueoLogin(tipo, usuario, ip) {
+  const cuenta = await pool.query(
+    `SELECT GREATEST(0, EXTRACT(EPOCH FROM (
+        MAX(fecha) + make_interval(mins => LEAST(POWER(2, COUNT(*) - $3), $4)::int) - CURRENT_TIMESTAMP
+      )))::int AS segundos
+     FROM intentos_login
+     WHERE tipo = $1 AND usuario = $2 AND resultado = 'fallo'
+       AND fecha > CURRENT_TIMESTAMP - INTERVAL '24 hours'
+       AND fecha > COALESCE((
+         SELECT MAX(fecha) FROM intentos_login
+         WHERE tipo = $1 AND usuario = $2 AND resultado IN ('exito', 'desbloqueo')
+       ), '-infinity')
+     HAVING COUNT(*) >= $3`,
+    [tipo, usuario, INTENTOS_ANTES_DE_BLOQUEO, BLOQUEO_MAXIMO_MINUTOS]
+  );
+  
+  const porIp = await pool.query(
+    `SELECT GREATEST(0, EXTRACT(EPOCH FROM (
+        MIN(fecha) + make_interval(mins => $2) - CURRENT_TIMESTAMP
+      )))::int AS segundos
+     FROM intentos_login
+     WHERE ip = $1 AND resultado = 'fallo'
+       AND fecha > CURRENT_TIMESTAMP - make_interval(mins => $2)
+       AND fecha > COALESCE((
+         SELECT MAX(fecha) FROM intentos_login
+         WHERE ip = $1 AND resultado = 'desbloqueo'
+       ), '-infinity')
+     HAVING COUNT(*) >= $3`,
+    [ip, VENTANA_IP_MINUTOS, LIMITE_FALLOS_IP]
+  );
+  
+  return Math.max(
+    cuenta.rows.length > 0 ? cuenta.rows[0].segundos : 0,
+    porIp.rows.length > 0 ? porIp.rows[0].segundos : 0
+  );
+}
+
+async function registrarIntentoLogin(tipo, usuario, req, { resultado, cuentaId = null, detalle = null }) {
+  await pool.query(
+    `INSERT INTO intentos_login (tipo, usuario, cuenta_id, ip, resultado, agente_usuario, detalle)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [tipo, usuario, cuentaId, req.ip, resultado, req.get('user-agent') || null, detalle]
+  );
+}
+
+function mensajeBloqueoLogin(segundos) {
+  const minutos = Math.max(1, Math.ceil(segundos / 60));
+  return `Demasiados intentos fallidos. Intenta de nuevo en ${minutos} ${minutos === 1 ? 'minuto' : 'minutos'}.`;
+}
+
+// ============================================
+// RUTA DE LOGIN CORREGIDA - server.js
+// Reemplazar líneas 927-995 con este código
+// ============================================
+
+app.post('/api/clientes/login', async (req, res) => {
+  try {
+    const { usuario, contrasena } = req.body;
+    
+    if (!usuario || !contrasena) {
+      return res.status(400).json({
+        success: false,
+        message: 'Usuario y contraseña requeridos'
+      });
+    }
+    
+    const espera = await segundosDeBloqueoLogin('cliente', usuario, req.ip);
+    
+    if (espera > 0) {
+      await registrarIntentoLogin('cliente', usuario, req, { resultado: 'bloqueado' });
+      res.set('Retry-After', String(espera));
+      return res.status(429).json({
+        success: false,
+        message: mensajeBloqueoLogin(espera)
+      });
+    }
+    
+    const resultado = await pool.query(
+      'SELECT * FROM clientes WHERE usuario = $1 AND eliminado_en IS NULL',
+      [usuario]
+    );
+    
+    const cliente = resultado.rows[0];
+    const contrasenaValida = await bcrypt.compare(contrasena, cliente ? cliente.contrasena_hash : HASH_FICTICIO);
+    
+    // El mismo mensaje si el usuario no existe o la contraseña no coincide
+    if (!cliente || !contrasenaValida) {
+      await registrarIntentoLogin('cliente', usuario, req, {
+        resultado: 'fallo',
+        cuentaId: cliente ? cliente.id : null,
+        detalle: cliente ? 'contrasena_incorrecta' : 'usuario_inexistente'
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario o contraseña incorrectos'
+      });
+    }
+    
+    if (cliente.activo === false) {
+      await registrarIntentoLogin('cliente', usuario, req, {
+        resultado: 'fallo',
+        cuentaId: cliente.id,
+        detalle: 'cuenta_deshabilitada'
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Cuenta deshabilitada'
+      });
+    }
+    
+    await registrarIntentoLogin('cliente', usuario, req, { resultado: 'exito', cuentaId: cliente.id });
+    
+    // Intentar actualizar ultima_sesion (puede fallar si no existe la columna)
+    try {
+      await pool.query(
+        'UPDATE clientes SET ultima_sesion = CURRENT_TIMESTAMP WHERE id = $1',
+        [cliente.id]
+      );
+    } catch (updateError) {
+      // Ignorar el error si la columna no existe
+      console.log('Nota: No se pudo actualizar ultima_sesion');
+    }
+    
+    const tokens = await iniciarSesion(pool, 'cliente', cliente, req);
+    
+    const { contrasena_hash, ...datosCliente } = cliente;
+    
+    // ✅ CORRECCIÓN: Usar formato consistente con el frontend
+    res.json({
+      success: true,
+      message: 'Login exitoso',
+      data: {
+        ...tokens,
+        user: datosCliente
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error en login cliente:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error en el servidor',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE CLIENTES - RECUPERACIÓN DE CONTRASEÑA
+// ============================================
+
+const MINUTOS_VALIDEZ_RESTABLECIMIENTO = parseInt(process.env.RESTABLECIMIENTO_MINUTOS) || 60;
+
+// Freno contra el envío masivo de enlaces: una cuenta no recibe otro mientras
+// tenga uno sin usar pedido hace menos de MINUTOS_ENTRE_RESTABLECIMIENTOS (si
+// no, cada pedido anularía el enlace recién recibido), y una IP no genera más
+// de LIMITE_RESTABLECIMIENTOS_IP por hora.
+const MINUTOS_ENTRE_RESTABLECIMIENTOS = 5;
+const LIMITE_RESTABLECIMIENTOS_IP = 10;
+
+async function restablecimientoFrenado(clienteId, ip) {
+  const resultado = await pool.query(
+    `SELECT
+      EXISTS (
+        SELECT 1 FROM restablecimientos_contrasena
+        WHERE cliente_id = $1 AND usado_en IS NULL
+          AND fecha_creacion > CURRENT_TIMESTAMP - make_interval(mins => $3)
+      ) AS reciente,
+      (
+        SELECT COUNT(*)::int FROM restablecimientos_contrasena
+        WHERE ip = $2 AND fecha_creacion > CURRENT_TIMESTAMP - INTERVAL '1 hour'
+      ) AS por_ip`,
+    [clienteId, ip, MINUTOS_ENTRE_RESTABLECIMIENTOS]
+  );
+  const { reciente, por_ip } = resultado.rows[0];
+  return reciente || por_ip >= LIMITE_RESTABLECIMIENTOS_IP;
+}
+
+// El enlace del correo se arma solo con URL_TIENDA: la cabecera Host la
+// controla quien hace la petición y podría mandar el token a otro dominio.
+const URL_TIENDA = process.env.URL_TIENDA ? process.env.URL_TIENDA.replace(/\/+$/, '') : null;
+
+// La respuesta es la misma exista o no el correo, se frene o no el pedido, y
+// el envío no se espera, para que no se pueda averiguar qué correos tienen
+// cuenta.
+app.post('/api/clientes/olvide-contrasena', async (req, res) => {
+  try {
+    const { correo } = req.body;
+    
+    if (!URL_TIENDA) {
+      console.error('❌ Falta URL_TIENDA: no se pueden enviar enlaces de restablecimiento');
+      return res.status(500).json({
+        exito: false,
+        mensaje: 'El restablecimiento de contraseña no está configurado'
+      });
+    }
+    
+    if (!correo) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El correo es requerido'
+      });
+    }
+    
+    const resultado = await pool.query(
+      `SELECT id, nombre, correo FROM clientes
+       WHERE LOWER(correo) = LOWER($1) AND activo = true AND eliminado_en IS NULL`,
+      [String(correo).trim()]
+    );
+    
+    const cuenta = resultado.rows[0];
+    
+    if (cuenta && await restablecimientoFrenado(cuenta.id, req.ip)) {
+      console.log('ℹ️ Pedido de restablecimiento frenado para cliente:', cuenta.id);
+    } else if (cuenta) {
+      const token = crypto.randomBytes(32).toString('hex');
+      
+      // Pedir un enlace nuevo invalida los anteriores
+      await pool.query(
+        `UPDATE restablecimientos_contrasena SET usado_en = CURRENT_TIMESTAMP
+         WHERE cliente_id = $1 AND usado_en IS NULL`,
+        [cuenta.id]
+      );
+      await pool.query(
+        `INSERT INTO restablecimientos_contrasena (cliente_id, token_hash, expira_en, ip)
+         VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3), $4)`,
+        [cuenta.id, hashToken(token), MINUTOS_VALIDEZ_RESTABLECIMIENTO, req.ip]
+      );
+      
+      const enlace = `${URL_TIENDA}/restablecer-contrasena.html?token=${token}`;
+      
+      transporteCorreo.enviar({
+        para: cuenta.correo,
+        asunto: 'Restablece tu contraseña de El Chicho Shop',
+        texto: `Hola ${cuenta.nombre}:\n\n` +
+          `Para elegir una contraseña nueva entra a este enlace:\n${enlace}\n\n` +
+          `El enlace vence en ${MINUTOS_VALIDEZ_RESTABLECIMIENTO} minutos y solo se puede usar una vez. ` +
+          'Si no lo pediste, ignora este correo.'
+      }).catch(error => {
+        console.error('Error enviando correo de restablecimiento:', error);
+      });
+      
+      console.log('✅ Enlace de restablecimiento generado para cliente:', cuenta.id);
+    }
+    
+    res.json({
+      exito: true,
+      mensaje: 'Si el correo está registrado, te enviamos un enlace para restablecer la contraseña'
+    });
+    
+  } catch (error) {
+    console.error('Error solicitando restablecimiento:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error solicitando restablecimiento de contraseña',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/clientes/restablecer-contrasena', async (req, res) => {
+  const { token, contrasena } = req.body;
+  
+  if (!token) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'El token es requerido'
+    });
+  }
+  
+  const errorContrasena = validarContrasenaNueva(contrasena);
+  if (errorContrasena) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: errorContrasena
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const restablecimiento = await cliente.query(
+      `SELECT r.id, r.cliente_id
+       FROM restablecimientos_contrasena r
+       JOIN clientes c ON r.cliente_id = c.id
+       WHERE r.token_hash = $1
+         AND r.usado_en IS NULL
+         AND r.expira_en > CURRENT_TIMESTAMP
+         AND c.activo = true
+         AND c.eliminado_en IS NULL
+       FOR UPDATE OF r`,
+      [hashToken(token)]
+    );
+    
+    if (restablecimiento.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El enlace no es válido o ya venció. Solicita uno nuevo.'
+      });
+    }
+    
+    const { cliente_id } = restablecimiento.rows[0];
+    const contrasenaHash = await bcrypt.hash(contrasena, 10);
+    
+    await cliente.query(
+      'UPDATE clientes SET contrasena_hash = $1 WHERE id = $2',
+      [contrasenaHash, cliente_id]
+    );
+    await cliente.query(
+      `UPDATE restablecimientos_contrasena SET usado_en = CURRENT_TIMESTAMP
+       WHERE cliente_id = $1 AND usado_en IS NULL`,
+      [cliente_id]
+    );
+    await revocarSesiones(cliente, 'cliente', cliente_id, 'contrasena_restablecida');
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Contraseña restablecida para cliente:', cliente_id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Contraseña actualizada. Ya puedes iniciar sesión.'
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error restableciendo contraseña',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// ============================================
+// RUTAS DE CLIENTES - MI CUENTA
+// ============================================
+
+const COLUMNAS_CUENTA_CLIENTE = `
+  id, usuario, nombre, correo, telefono, direccion,
+  ciudad, pais, fecha_creacion, ultima_sesion
+`;
+
+// Largo máximo de los campos que el cliente puede editar (los de la tabla)
+const LIMITES_PERFIL_CLIENTE = {
+  nombre: 255,
+  telefono: 20,
+  direccion: 2000,
+  ciudad: 100,
+  pais: 100
+};
+
+// Devuelve { error } o los campos recibidos ya recortados; los que no llegan
+// quedan en undefined y no se cambian
+function leerPerfilCliente(cuerpo) {
+  const datos = {};
+  
+  for (const [campo, maximo] of Object.entries(LIMITES_PERFIL_CLIENTE)) {
+    const valor = cuerpo[campo];
+    if (valor === undefined || valor === null) continue;
+    
+    if (typeof valor !== 'string') {
+      return { error: `El campo ${campo} debe ser texto` };
+    }
+    if (valor.trim().length > maximo) {
+      return { error: `El campo ${campo} admite como máximo ${maximo} caracteres` };
+    }
+    datos[campo] = valor.trim();
+  }
+  
+  if (datos.nombre === '') {
+    return { error: 'El nombre no puede quedar vacío' };
+  }
+  
+  return { datos };
+}
+
+app.get('/api/clientes/me', autenticarToken, requiereCliente, async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `SELECT ${COLUMNAS_CUENTA_CLIENTE} FROM clientes WHERE id = $1`,
+      [req.usuario.idUsuario]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Cliente no encontrado'
+      });
+    }
+    
+    res.json({
+      exito: true,
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo cuenta:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo la cuenta',
+      error: error.message
+    });
+  }
+});
+
+// El usuario y el correo no se cambian desde aquí
+app.put('/api/clientes/me', autenticarToken, requiereCliente, async (req, res) => {
+  try {
+    const perfil = leerPerfilCliente(req.body);
+    
+    if (perfil.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: perfil.error
+      });
+    }
+    
+    const { nombre, telefono, direccion, ciudad, pais } = perfil.datos;
+    
+    const resultado = await pool.query(
+      `UPDATE clientes SET
+        nombre = COALESCE($1, nombre),
+        telefono = COALESCE($2, telefono),
+        direccion = COALESCE($3, direccion),
+        ciudad = COALESCE($4, ciudad),
+        pais = COALESCE($5, pais)
+      WHERE id = $6
+      RETURNING ${COLUMNAS_CUENTA_CLIENTE}`,
+      [nombre, telefono, direccion, ciudad, pais, req.usuario.idUsuario]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Cliente no encontrado'
+      });
+    }
+    
+    console.log('✅ Cuenta actualizada por el cliente:', req.usuario.idUsuario);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Datos actualizados exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error actualizando cuenta:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error actualizando la cuenta',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/clientes/me/contrasena', autenticarToken, requiereCliente, async (req, res) => {
+  try {
+    const { contrasena_actual, contrasena_nueva } = req.body;
+    
+    if (!contrasena_actual) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'La contraseña actual es requerida'
+      });
+    }
+    
+    const errorContrasena = validarContrasenaNueva(contrasena_nueva);
+    if (errorContrasena) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: errorContrasena
+      });
+    }
+    
+    const resultado = await pool.query(
+      'SELECT id, contrasena_hash FROM clientes WHERE id = $1',
+      [req.usuario.idUsuario]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Cliente no encontrado'
+      });
+    }
+    
+    const contrasenaValida = await bcrypt.compare(contrasena_actual, resultado.rows[0].contrasena_hash);
+    
+    if (!contrasenaValida) {
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'La contraseña actual no es correcta'
+      });
+    }
+    
+    const contrasenaHash = await bcrypt.hash(contrasena_nueva, 10);
+    
+    await pool.query(
+      'UPDATE clientes SET contrasena_hash = $1 WHERE id = $2',
+      [contrasenaHash, req.usuario.idUsuario]
+    );
+    
+    // Igual que en el panel: la sesión actual sigue abierta y las demás se cierran
+    await revocarSesiones(pool, 'cliente', req.usuario.idUsuario, 'contrasena_cambiada', {
+      exceptoId: req.usuario.sid
+    });
+    
+    console.log('✅ Contraseña cambiada por el cliente:', req.usuario.idUsuario);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Contraseña actualizada exitosamente'
+    });
+    
+  } catch (error) {
+    console.error('Error cambiando contraseña:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error cambiando contraseña',
+      error: error.message
+    });
+  }
+});
+
+// La cuenta no se borra (sus ventas la referencian): queda desactivada y se
+// cierran todas sus sesiones. Pide la contraseña para confirmar.
+app.delete('/api/clientes/me', autenticarToken, requiereCliente, async (req, res) => {
+  try {
+    const { contrasena } = req.body;
+    
+    if (!contrasena) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'La contraseña es requerida para desactivar la cuenta'
+      });
+    }
+    
+    const resultado = await pool.query(
+      'SELECT id, contrasena_hash FROM clientes WHERE id = $1',
+      [req.usuario.idUsuario]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Cliente no encontrado'
+      });
+    }
+    
+    const contrasenaValida = await bcrypt.compare(contrasena, resultado.rows[0].contrasena_hash);
+    
+    if (!contrasenaValida) {
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'La contraseña no es correcta'
+      });
+    }
+    
+    await pool.query('UPDATE clientes SET activo = false WHERE id = $1', [req.usuario.idUsuario]);
+    await revocarSesiones(pool, 'cliente', req.usuario.idUsuario, 'cuenta_desactivada');
+    
+    console.log('✅ Cuenta desactivada por el cliente:', req.usuario.idUsuario);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Cuenta desactivada exitosamente'
+    });
+    
+  } catch (error) {
+    console.error('Error desactivando cuenta:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error desactivando la cuenta',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - GESTIÓN DE CLIENTES
+// ============================================
+
+const ORDENES_CLIENTE = {
+  fecha: { expresion: 'fecha_creacion', tipo: 'timestamp' },
+  nombre: { expresion: 'nombre', tipo: 'text' },
+  ultima_sesion: { expresion: "COALESCE(ultima_sesion, '-infinity'::timestamp)", tipo: 'timestamp' }
+};
+
+app.get('/api/admin/clientes', autenticarToken, requierePermiso('clientes:leer'), async (req, res) => {
+  try {
+    const { buscar, activo } = req.query;
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_CLIENTE,
+      ordenPorDefecto: 'fecha',
+      limitePorDefecto: 100,
+      limiteMaximo: 500
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
+    }
+    
+    const condiciones = ['eliminado_en IS NULL'];
+    const params = [];
+    
+    if (activo !== undefined) {
+      params.push(activo === 'true');
+      condiciones.push(`activo = $${params.length}`);
+    }
+    
+    if (buscar) {
+      params.push(`%${buscar}%`);
+      condiciones.push(`(
+        LOWER(nombre) LIKE LOWER($${params.length}) OR 
+        LOWER(usuario) LIKE LOWER($${params.length}) OR 
+        LOWER(correo) LIKE LOWER($${params.length})
+      )`);
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: `
+        id, usuario, nombre, correo, telefono, direccion, 
+        ciudad, pais, activo, rol, fecha_creacion, ultima_sesion
+      `,
+      origen: 'FROM clientes',
+      condiciones,
+      params,
+      columnaId: 'id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas,
+      paginacion: meta
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo clientes:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo clientes',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/clientes/:id', autenticarToken, requierePermiso('clientes:leer'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `SELECT 
+        id, usuario, nombre, correo, telefono, direccion, 
+        ciudad, pais, activo, rol, fecha_creacion, ultima_sesion
+      FROM clientes 
+      WHERE id = $1 AND eliminado_en IS NULL`,
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Cliente no encontrado'
+      });
+    }
+    
+    // Las canceladas aparecen en la lista pero no suman al total gastado.
+    // El listado completo está en /api/admin/ventas?cliente_id=
+    const resumen = await pool.query(
+      `SELECT
+        COUNT(*)::int AS cantidad_ventas,
+        COALESCE(SUM(total) FILTER (WHERE estado <> 'cancelado'), 0) AS total_gastado,
+        MAX(fecha_creacion) AS ultima_compra
+       FROM ventas
+       WHERE cliente_id = $1`,
+      [req.params.id]
+    );
+    
+    const ventas = await pool.query(
+      `SELECT v.id, v.numero_orden, v.total, v.estado, v.fecha_creacion,
+        (SELECT COUNT(*)::int FROM venta_items vi WHERE vi.venta_id = v.id) AS cantidad_items
+       FROM ventas v
+       WHERE v.cliente_id = $1
+       ORDER BY v.fecha_creacion DESC, v.id DESC
+       LIMIT 20`,
+      [req.params.id]
+    );
+    
+    res.json({
+      exito: true,
+      datos: {
+        ...resultado.rows[0],
+        resumen_ventas: resumen.rows[0],
+        ventas: ventas.rows
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo cliente:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo cliente',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/clientes/:id', autenticarToken, requierePermiso('clientes:escribir'), async (req, res) => {
+  try {
+    const { nombre, correo, telefono, direccion, ciudad, pais, activo } = req.body;
+    
+    const anterior = await pool.query(
+      `SELECT id, usuario, nombre, correo, telefono, direccion, ciudad, pais, activo, rol, fecha_creacion
+       FROM clientes WHERE id = $1 AND eliminado_en IS NULL`,
+      [req.params.id]
+    );
+    
+    if (anterior.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Cliente no encontrado'
+      });
+    }
+    
+    const resultado = await pool.query(
+      `UPDATE clientes SET
+        nombre = COALESCE($1, nombre),
+        correo = COALESCE($2, correo),
+        telefono = COALESCE($3, telefono),
+        direccion = COALESCE($4, direccion),
+        ciudad = COALESCE($5, ciudad),
+        pais = COALESCE($6, pais),
+        activo = COALESCE($7, activo)
+      WHERE id = $8 AND eliminado_en IS NULL
+      RETURNING id, usuario, nombre, correo, telefono, direccion, ciudad, pais, activo, rol, fecha_creacion`,
+      [nombre, correo, telefono, direccion, ciudad, pais, activo, req.params.id]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'actualizar',
+      entidad: 'cliente',
+      entidadId: resultado.rows[0].id,
+      antes: anterior.rows[0],
+      despues: resultado.rows[0]
+    });
+    
+    if (activo === false) {
+      await revocarSesiones(pool, 'cliente', resultado.rows[0].id, 'cuenta_deshabilitada');
+    }
+    
+    console.log('✅ Cliente actualizado:', req.params.id);
+    
+    res.json({
+      exito: true,
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error actualizando cliente:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error actualizando cliente',
+      error: error.message
+    });
+  }
+});
+
+// Pasa el cliente a la papelera: sus ventas siguen asociadas y no puede
+// iniciar sesión hasta que se restaure
+app.delete('/api/admin/clientes/:id', autenticarToken, requierePermiso('clientes:escribir'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `UPDATE clientes SET
+        eliminado_en = CURRENT_TIMESTAMP,
+        eliminado_por_id = $1,
+        eliminado_por = $2
+      WHERE id = $3 AND eliminado_en IS NULL
+      RETURNING id, nombre`,
+      [req.usuario.idUsuario, req.usuario.usuario, req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Cliente no encontrado'
+      });
+    }
+    
+    await revocarSesiones(pool, 'cliente', resultado.rows[0].id, 'cuenta_eliminada');
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'eliminar',
+      entidad: 'cliente',
+      entidadId: resultado.rows[0].id,
+      detalle: resultado.rows[0].nombre
+    });
+    
+    console.log('✅ Cliente enviado a la papelera:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Cliente enviado a la papelera'
+    });
+    
+  } catch (error) {
+    console.error('Error eliminando cliente:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando cliente',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - PAPELERA
+// ============================================
+
+// Lo eliminado desde el panel queda aquí hasta que se restaura o se purga.
+// Purgar es definitivo y solo pueden hacerlo los propietarios.
+
+const ORDENES_PAPELERA = {
+  eliminado: { expresion: 'eliminado_en', tipo: 'timestamp' },
+  nombre: { expresion: 'nombre', tipo: 'text' }
+};
+
+// Lee la paginación y el filtro ?buscar= comunes a los dos listados.
+// Devuelve { error } o { paginacion, condiciones, params }.
+function leerFiltrosPapelera(consulta, camposBusqueda) {
+  const paginacion = leerPaginacion(consulta, {
+    ordenes: ORDENES_PAPELERA,
+    ordenPorDefecto: 'eliminado',
+    limitePorDefecto: 100,
+    limiteMaximo: 500
+  });
+  
+  if (paginacion.error) return paginacion;
+  
+  const condiciones = ['eliminado_en IS NOT NULL'];
+  const params = [];
+  
+  if (consulta.buscar) {
+    params.push(`%${consulta.buscar}%`);
+    condiciones.push(`(${camposBusqueda.map(campo => `${campo} ILIKE $${params.length}`).join(' OR ')})`);
+  }
+  
+  return { paginacion, condiciones, params };
+}
+
+app.get('/api/admin/papelera/productos', autenticarToken, requierePermiso('catalogo:leer'), async (req, res) => {
+  try {
+    const filtros = leerFiltrosPapelera(req.query, ['nombre']);
+    
+    if (filtros.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: filtros.error
+      });
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(filtros.paginacion, {
+      columnas: `
+        id, nombre, categoria_id, subcategoria_id, precio, stock, estado,
+        eliminado_en, eliminado_por_id, eliminado_por
+      `,
+      origen: 'FROM productos',
+      condiciones: filtros.condiciones,
+      params: filtros.params,
+      columnaId: 'id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas,
+      paginacion: meta
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo papelera de productos:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo la papelera de productos',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/papelera/productos/:id/restaurar', autenticarToken, requierePermiso('catalogo:escribir'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `UPDATE productos SET
+        eliminado_en = NULL,
+        eliminado_por_id = NULL,
+        eliminado_por = NULL,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $1 AND eliminado_en IS NOT NULL
+      RETURNING id, nombre, estado`,
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'El producto no está en la papelera'
+      });
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'restaurar',
+      entidad: 'producto',
+      entidadId: resultado.rows[0].id,
+      detalle: resultado.rows[0].nombre
+    });
+    
+    console.log('✅ Producto restaurado:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Producto restaurado exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error restaurando producto:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error restaurando producto',
+      error: error.message
+    });
+  }
+});
+
+// Las ventas conservan nombre y precio en venta_items, así que se pueden
+// borrar productos que ya se vendieron
+app.delete('/api/admin/papelera/productos/:id', autenticarToken, requierePermiso('papelera:purgar'), async (req, res) => {
+  try {
+    const imagenes = await pool.query(
+      'SELECT clave FROM producto_imagenes WHERE producto_id = $1',
+      [req.params.id]
+    );
+    
+    const resultado = await pool.query(
+      'DELETE FROM productos WHERE id = $1 AND eliminado_en IS NOT NULL RETURNING *',
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'El producto no está en la papelera'
+      });
+    }
+    
+    for (const { clave } of imagenes.rows) {
+      await medios.eliminarImagenProducto(almacenamiento, clave);
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'purgar',
+      entidad: 'producto',
+      entidadId: resultado.rows[0].id,
+      antes: limpiarProducto(resultado.rows[0])
+    });
+    
+    console.log('✅ Producto purgado:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Producto eliminado definitivamente'
+    });
+    
+  } catch (error) {
+    console.error('Error purgando producto:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando producto',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/papelera/clientes', autenticarToken, requierePermiso('clientes:leer'), async (req, res) => {
+  try {
+    const filtros = leerFiltrosPapelera(req.query, ['nombre', 'usuario', 'correo']);
+    
+    if (filtros.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: filtros.error
+      });
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(filtros.paginacion, {
+      columnas: `
+        id, usuario, nombre, correo, activo, fecha_creacion,
+        eliminado_en, eliminado_por_id, eliminado_por
+      `,
+      origen: 'FROM clientes',
+      condiciones: filtros.condiciones,
+      params: filtros.params,
+      columnaId: 'id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas,
+      paginacion: meta
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo papelera de clientes:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo la papelera de clientes',
+      error: error.message
+    });
+  }
+});
+
+// Las sesiones se cerraron al eliminarlo; el cliente vuelve a iniciar sesión
+app.post('/api/admin/papelera/clientes/:id/restaurar', autenticarToken, requierePermiso('clientes:escribir'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `UPDATE clientes SET
+        eliminado_en = NULL,
+        eliminado_por_id = NULL,
+        eliminado_por = NULL
+      WHERE id = $1 AND eliminado_en IS NOT NULL
+      RETURNING id, usuario, nombre, correo, activo`,
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'El cliente no está en la papelera'
+      });
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'restaurar',
+      entidad: 'cliente',
+      entidadId: resultado.rows[0].id,
+      detalle: resultado.rows[0].nombre
+    });
+    
+    console.log('✅ Cliente restaurado:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Cliente restaurado exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error restaurando cliente:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error restaurando cliente',
+      error: error.message
+    });
+  }
+});
+
+// Sus ventas se conservan con los datos de contacto copiados en la venta,
+// pero pierden el enlace a la cuenta (cliente_id queda en NULL)
+app.delete('/api/admin/papelera/clientes/:id', autenticarToken, requierePermiso('papelera:purgar'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `DELETE FROM clientes WHERE id = $1 AND eliminado_en IS NOT NULL
+       RETURNING id, usuario, nombre, correo, telefono, direccion, ciudad, pais, activo, fecha_creacion`,
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'El cliente no está en la papelera'
+      });
+    }
+    
+    await pool.query(
+      "DELETE FROM sesiones WHERE tipo = 'cliente' AND usuario_id = $1",
+      [resultado.rows[0].id]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'purgar',
+      entidad: 'cliente',
+      entidadId: resultado.rows[0].id,
+      antes: resultado.rows[0]
+    });
+    
+    console.log('✅ Cliente purgado:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Cliente eliminado definitivamente'
+    });
+    
+  } catch (error) {
+    console.error('Error purgando cliente:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando cliente',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - LOGIN
+// ============================================
+
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { usuario, contrasena } = req.body;
+    
+    if (!usuario || !contrasena) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Usuario y contraseña requeridos'
+      });
+    }
+    
+    const espera = await segundosDeBloqueoLogin('admin', usuario, req.ip);
+    
+    if (espera > 0) {
+      await registrarIntentoLogin('admin', usuario, req, { resultado: 'bloqueado' });
+      res.set('Retry-After', String(espera));
+      return res.status(429).json({
+        exito: false,
+        mensaje: mensajeBloqueoLogin(espera)
+      });
+    }
+    
+    const resultado = await pool.query(
+      'SELECT * FROM administradores WHERE usuario = $1',
+      [usuario]
+    );
+    
+    const admin = resultado.rows[0];
+    const contrasenaValida = await bcrypt.compare(contrasena, admin ? admin.contrasena_hash : HASH_FICTICIO);
+    
+    if (!admin || !contrasenaValida) {
+      await registrarIntentoLogin('admin', usuario, req, {
+        resultado: 'fallo',
+        cuentaId: admin ? admin.id : null,
+        detalle: admin ? 'contrasena_incorrecta' : 'usuario_inexistente'
+      });
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'Credenciales inválidas'
+      });
+    }
+    
+    if (admin.activo === false) {
+      await registrarIntentoLogin('admin', usuario, req, {
+        resultado: 'fallo',
+        cuentaId: admin.id,
+        detalle: 'cuenta_deshabilitada'
+      });
+      return res.status(403).json({
+        exito: false,
+        mensaje: 'Cuenta deshabilitada'
+      });
+    }
+    
+    await registrarIntentoLogin('admin', usuario, req, { resultado: 'exito', cuentaId: admin.id });
+    
+    await pool.query(
+      'UPDATE administradores SET ultima_sesion = CURRENT_TIMESTAMP WHERE id = $1',
+      [admin.id]
+    );
+    
+    const tokens = await iniciarSesion(pool, 'admin', admin, req);
+    
+    const { contrasena_hash, ...datosAdmin } = admin;
+    
+    res.json({
+      exito: true,
+      mensaje: 'Login exitoso',
+      datos: {
+        ...tokens,
+        usuario: datosAdmin
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error en login admin:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error en el servidor',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/verificar', autenticarToken, requierePermiso(), (req, res) => {
+  res.json({
+    exito: true,
+    usuario: req.usuario,
+    permisos: permisosDeRol(req.usuario.rol)
+  });
+});
+
+// ============================================
+// RUTAS DE SESIÓN (REFRESH Y LOGOUT)
+// ============================================
+
+const TABLA_CUENTA = { admin: 'administradores', cliente: 'clientes' };
+
+// Rota el refresh token: el recibido deja de servir y se entrega uno nuevo.
+// Si llega uno que ya se había rotado, otra persona tiene una copia, así que
+// se cierra la sesión completa y hay que volver a iniciar sesión.
+async function refrescarSesion(req, res, tipo) {
+  const { refresh_token } = req.body;
+  
+  if (!refresh_token) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: 'refresh_token es requerido'
+    });
+  }
+  
+  const hash = hashToken(refresh_token);
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const resultado = await cliente.query(
+      `SELECT id, usuario_id, refresh_hash, revocada_en,
+        expira_en > CURRENT_TIMESTAMP AS vigente
+       FROM sesiones
+       WHERE tipo = $1 AND (refresh_hash = $2 OR refresh_anterior_hash = $2)
+       FOR UPDATE`,
+      [tipo, hash]
+    );
+    const sesion = resultado.rows[0];
+    
+    if (sesion && !sesion.revocada_en && sesion.refresh_hash !== hash) {
+      await cliente.query(
+        `UPDATE sesiones SET revocada_en = CURRENT_TIMESTAMP, motivo_revocacion = 'refresh_reutilizado'
+         WHERE id = $1`,
+        [sesion.id]
+      );
+      await cliente.query('COMMIT');
+      console.warn(`⚠️ Refresh token reutilizado en la sesión ${sesion.id}; se cerró la sesión`);
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'Sesión inválida. Inicia sesión de nuevo.'
+      });
+    }
+    
+    if (!sesion || sesion.revocada_en || !sesion.vigente) {
+      await cliente.query('ROLLBACK');
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'Sesión inválida o vencida. Inicia sesión de nuevo.'
+      });
+    }
+    
+    const cuenta = await cliente.query(
+      `SELECT * FROM ${TABLA_CUENTA[tipo]} WHERE id = $1 AND activo = true`,
+      [sesion.usuario_id]
+    );
+    
+    if (cuenta.rows.length === 0) {
+      await revocarSesiones(cliente, tipo, sesion.usuario_id, 'cuenta_deshabilitada');
+      await cliente.query('COMMIT');
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'La cuenta está deshabilitada'
+      });
+    }
+    
+    const nuevoRefresh = crypto.randomBytes(32).toString('hex');
+    
+    await cliente.query(
+      `UPDATE sesiones SET
+        refresh_anterior_hash = refresh_hash,
+        refresh_hash = $1,
+        ultimo_uso = CURRENT_TIMESTAMP
+      WHERE id = $2`,
+      [hashToken(nuevoRefresh), sesion.id]
+    );
+    
+    await cliente.query('COMMIT');
+    
+    res.json({
+      exito: true,
+      mensaje: 'Sesión renovada',
+      datos: firmarTokens(tipo, cuenta.rows[0], sesion.id, nuevoRefresh)
+    });
+    
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error renovando sesión:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error renovando sesión',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+}
+
+async function cerrarSesion(req, res) {
+  try {
+    await pool.query(
+      `UPDATE sesiones SET revocada_en = CURRENT_TIMESTAMP, motivo_revocacion = 'logout'
+       WHERE id = $1 AND revocada_en IS NULL`,
+      [req.usuario.sid]
+    );
+    
+    res.json({
+      exito: true,
+      mensaje: 'Sesión cerrada'
+    });
+    
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error cerrando sesión',
+      error: error.message
+    });
+  }
+}
+
+async function cerrarTodasLasSesiones(req, res) {
+  try {
+    const cerradas = await revocarSesiones(
+      pool,
+      tipoDeRol(req.usuario.rol),
+      req.usuario.idUsuario,
+      'logout_todas'
+    );
+    
+    console.log(`✅ ${cerradas} sesiones cerradas para ${req.usuario.usuario}`);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Se cerraron todas las sesiones',
+      datos: { sesiones_cerradas: cerradas }
+    });
+    
+  } catch (error) {
+    console.error('Error cerrando sesiones:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error cerrando sesiones',
+      error: error.message
+    });
+  }
+}
+
+app.post('/api/admin/refrescar', (req, res) => refrescarSesion(req, res, 'admin'));
+app.post('/api/admin/logout', autenticarToken, requierePermiso(), cerrarSesion);
+app.post('/api/admin/logout-todas', autenticarToken, requierePermiso(), cerrarTodasLasSesiones);
+
+app.post('/api/clientes/refrescar', (req, res) => refrescarSesion(req, res, 'cliente'));
+app.post('/api/clientes/logout', autenticarToken, requiereCliente, cerrarSesion);
+app.post('/api/clientes/logout-todas', autenticarToken, requiereCliente, cerrarTodasLasSesiones);
+
+// ============================================
+// RUTAS DE ADMIN - WEBHOOKS
+// ============================================
+
+// Las suscripciones se administran aquí; el envío, la firma y los reintentos
+// están en servicios/webhooks.js. El secreto solo se muestra al crear el
+// webhook o al generar uno nuevo. Las URL de la red interna solo se aceptan
+// con WEBHOOKS_PERMITIR_INTERNOS=true (para probar en desarrollo).
+
+const WEBHOOKS_PERMITIR_INTERNOS = process.env.WEBHOOKS_PERMITIR_INTERNOS === 'true';
+
+const despachadorWebhooks = crearDespachador({
+  pool,
+  intervaloMs: parseInt(process.env.WEBHOOKS_INTERVALO_MS) || 5000,
+  permitirInternos: WEBHOOKS_PERMITIR_INTERNOS
+});
+
+const ESTADOS_ENTREGA_WEBHOOK = ['pendiente', 'entregado', 'fallido'];
+
+const ORDENES_ENTREGAS_WEBHOOK = {
+  fecha: { expresion: 'e.fecha_creacion', tipo: 'timestamp' }
+};
+
+const COLUMNAS_WEBHOOK = `
+  w.id,
+  w.url,
+  w.descripcion,
+  w.eventos,
+  w.activo,
+  w.creado_por,
+  w.fecha_creacion,
+  w.fecha_actualizacion
+`;
+
+// Valida los campos de alta y edición. Devuelve { error } o { datos } con los
+// que vienen en el cuerpo.
+function leerDatosWebhook(cuerpo, { parcial }) {
+  const datos = {};
+  
+  if (cuerpo.url !== undefined || !parcial) {
+    let url;
+    try {
+      url = new URL(String(cuerpo.url ?? ''));
+    } catch (error) {
+      return { error: 'URL inválida' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return { error: 'La URL debe empezar con http:// o https://' };
+    if (!WEBHOOKS_PERMITIR_INTERNOS && esDestinoInterno(url.toString())) {
+      return { error: 'La URL no puede apuntar a la red interna' };
+    }
+    datos.url = url.toString();
+  }
+  
+  if (cuerpo.eventos !== undefined || !parcial) {
+    if (!Array.isArray(cuerpo.eventos) || cuerpo.eventos.length === 0) {
+      return { error: `Indique los eventos: ${EVENTOS_WEBHOOK.join(', ')} o * para todos` };
+    }
+    const desconocidos = cuerpo.eventos.filter(evento => evento !== '*' && !EVENTOS_WEBHOOK.includes(evento));
+    if (desconocidos.length > 0) return { error: `Eventos desconocidos: ${desconocidos.join(', ')}` };
+    datos.eventos = [...new Set(cuerpo.eventos)];
+  }
+  
+  if (cuerpo.descripcion !== undefined) {
+    datos.descripcion = cuerpo.descripcion ? String(cuerpo.descripcion).trim() : null;
+  }
+  
+  if (cuerpo.activo !== undefined) datos.activo = Boolean(cuerpo.activo);
+  
+  return { datos };
+}
+
+app.get('/api/admin/webhooks', autenticarToken, requierePermiso('webhooks:gestionar'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `SELECT
+        ${COLUMNAS_WEBHOOK},
+        COUNT(e.id) FILTER (WHERE e.estado = 'pendiente')::int AS entregas_pendientes,
+        COUNT(e.id) FILTER (WHERE e.estado = 'fallido')::int AS entregas_fallidas,
+        MAX(e.fecha_entrega) AS ultima_entrega
+      FROM webhooks w
+      LEFT JOIN webhook_entregas e ON e.webhook_id = w.id
+      GROUP BY w.id
+      ORDER BY w.id`
+    );
+    
+    res.json({
+      exito: true,
+      datos: resultado.rows,
+      eventos_disponibles: EVENTOS_WEBHOOK
+    });
+  
+  } catch (error) {
+    console.error('Error obteniendo webhooks:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo webhooks',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/webhooks', autenticarToken, requierePermiso('webhooks:gestionar'), async (req, res) => {
+  const { error, datos } = leerDatosWebhook(req.body, { parcial: false });
+  
+  if (error) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: error
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const resultado = await cliente.query(
+      `INSERT INTO webhooks (url, descripcion, eventos, secreto, activo, creado_por_id, creado_por)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        datos.url,
+        datos.descripcion || null,
+        datos.eventos,
+        generarSecreto(),
+        datos.activo ?? true,
+        req.usuario.idUsuario,
+        req.usuario.usuario
+      ]
+    );
+    const webhook = resultado.rows[0];
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'crear',
+      entidad: 'webhook',
+      entidadId: webhook.id,
+      despues: webhook
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log('✅ Webhook creado:', webhook.id);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Webhook creado. Guarde el secreto: no se vuelve a mostrar',
+      datos: webhook
+    });
+  
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error creando webhook:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error creando webhook',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+app.put('/api/admin/webhooks/:id', autenticarToken, requierePermiso('webhooks:gestionar'), async (req, res) => {
+  const { error, datos } = leerDatosWebhook(req.body, { parcial: true });
+  
+  if (error) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: error
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
+  try {
+    await cliente.query('BEGIN');
+    
+    const actual = await cliente.query('SELECT * FROM webhooks WHERE id = $1 FOR UPDATE', [req.params.id]);
+    
+    if (actual.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Webhook no encontrado'
+      });
+    }
+    
+    const anterior = actual.rows[0];
+    
+    const resultado = await cliente.query(
+      `UPDATE webhooks SET
+        url = $1,
+        descripcion = $2,
+        eventos = $3,
+        activo = $4,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING ${COLUMNAS_WEBHOOK.replace(/w\./g, '')}`,
+      [
+        datos.url ?? anterior.url,
+        'descripcion' in datos ? datos.descripcion : anterior.descripcion,
+        datos.eventos ?? anterior.eventos,
+        datos.activo ?? anterior.activo,
+        req.params.id
+      ]
+    );
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'actualizar',
+      entidad: 'webhook',
+      entidadId: anterior.id,
+      antes: anterior,
+      despues: { ...anterior, ...resultado.rows[0] }
+    });
+    
+    await cliente.query('COMMIT');
+    
+    res.json({
+      exito: true,
+      mensaje: 'Webhook actualizado',
+      datos: resultado.rows[0]
+    });
+  
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    console.error('Error actualizando webhook:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error actualizando webhook',
+      error: error.message
+    });
+  } finally {
+    cliente.release();
+  }
+});
+
+// Las entregas del webhook (su historial) se borran con él
+app.delete('/api/admin/webhooks/:id', autenticarToken, requierePermiso('webhooks:gestionar'), async (req, res) => {
+  try {
+    const resultado = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING *', [req.params.id]);
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Webhook no encontrado'
+      });
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'eliminar',
+      entidad: 'webhook',
+      entidadId: resultado.rows[0].id,
+      antes: resultado.rows[0]
+    });
+    
+    console.log('✅ Webhook eliminado:', req.params.id);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Webhook eliminado'
+    });
+  
+  } catch (error) {
+    console.error('Error eliminando webhook:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error eliminando webhook',
+      error: error.message
+    });
+  }
+});
+
+// El secreto anterior deja de servir en el acto, incluso para las entregas
+// que estén pendientes
+app.post('/api/admin/webhooks/:id/secreto', autenticarToken, requierePermiso('webhooks:gestionar'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `UPDATE webhooks SET
+        secreto = $1,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, secreto`,
+      [generarSecreto(), req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Webhook no encontrado'
+      });
+    }
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'rotar_secreto',
+      entidad: 'webhook',
+      entidadId: resultado.rows[0].id
+    });
+    
+    res.json({
+      exito: true,
+      mensaje: 'Secreto generado. Guárdelo: no se vuelve a mostrar',
+      datos: resultado.rows[0]
+    });
+  
+  } catch (error) {
+    console.error('Error generando secreto de webhook:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error generando secreto de webhook',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/admin/webhooks/:id/entregas', autenticarToken, requierePermiso('webhooks:gestionar'), async (req, res) => {
+  try {
+    const { estado, evento } = req.query;
+    
+    if (estado && !ESTADOS_ENTREGA_WEBHOOK.includes(estado)) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `Estado inválido (use ${ESTADOS_ENTREGA_WEBHOOK.join(', ')})`
+      });
+    }
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_ENTREGAS_WEBHOOK,
+      ordenPorDefecto: 'fecha',
+      limitePorDefecto: 50,
+      limiteMaximo: 200
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
+    }
+    
+    const webhook = await pool.query('SELECT id FROM webhooks WHERE id = $1', [req.params.id]);
+    
+    if (webhook.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Webhook no encontrado'
+      });
+    }
+    
+    const condiciones = ['e.webhook_id = $1'];
+    const params = [webhook.rows[0].id];
+    
+    if (estado) {
+      params.push(estado);
+      condiciones.push(`e.estado = $${params.length}`);
+    }
+    
+    if (evento) {
+      params.push(evento);
+      condiciones.push(`e.evento = $${params.length}`);
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: `
+        e.id,
+        e.evento,
+        e.carga,
+        e.estado,
+        e.intentos,
+        e.proximo_intento,
+        e.ultimo_codigo,
+        e.ultimo_error,
+        e.duracion_ms,
+        e.reenvio_de,
+        e.fecha_creacion,
+        e.fecha_entrega
+      `,
+      origen: 'FROM webhook_entregas e',
+      condiciones,
+      params,
+      columnaId: 'e.id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas,
+      paginacion: meta
+    });
+  
+  } catch (error) {
+    console.error('Error obteniendo entregas de webhook:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo entregas de webhook',
+      error: error.message
+    });
+  }
+});
+
+// Crea una entrega nueva con la misma carga (la original queda en el
+// historial) y la envía sin esperar a la próxima vuelta del despachador
+app.post('/api/admin/webhooks/:id/entregas/:entregaId/reenviar', autenticarToken, requierePermiso('webhooks:gestionar'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `INSERT INTO webhook_entregas (webhook_id, evento, carga, reenvio_de)
+      SELECT webhook_id, evento, carga, id
+      FROM webhook_entregas
+      WHERE id = $1 AND webhook_id = $2
+      RETURNING id, evento, estado, reenvio_de, fecha_creacion`,
+      [req.params.entregaId, req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Entrega no encontrada'
+      });
+    }
+    
+    const entrega = resultado.rows[0];
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'reenviar',
+      entidad: 'webhook',
+      entidadId: parseInt(req.params.id),
+      detalle: `Entrega ${entrega.reenvio_de} reenviada como ${entrega.id}`
+    });
+    
+    despachadorWebhooks.procesarPendientes()
+      .catch(error => console.error('Error despachando webhooks:', error));
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Entrega encolada para reenvío',
+      datos: entrega
+    });
+  
+  } catch (error) {
+    console.error('Error reenviando entrega de webhook:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error reenviando entrega de webhook',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - AUDITORÍA
+// ============================================
+
+const ORDENES_AUDITORIA = {
+  fecha: { expresion: 'fecha', tipo: 'timestamp' }
+};
+
+app.get('/api/admin/auditoria', autenticarToken, requierePermiso('auditoria:leer'), async (req, res) => {
+  try {
+    const { usuario, usuario_id, entidad, entidad_id, accion, desde, hasta } = req.query;
+    
+    if ((desde && isNaN(Date.parse(desde))) || (hasta && isNaN(Date.parse(hasta)))) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Rango de fechas inválido'
+      });
+    }
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_AUDITORIA,
+      ordenPorDefecto: 'fecha',
+      limitePorDefecto: 100,
+      limiteMaximo: 500
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
+    }
+    
+    const condiciones = [];
+    const params = [];
+    
+    if (usuario) {
+      params.push(usuario);
+      condiciones.push(`usuario = $${params.length}`);
+    }
+    
+    if (usuario_id) {
+      params.push(parseInt(usuario_id) || 0);
+      condiciones.push(`usuario_id = $${params.length}`);
+    }
+    
+    if (entidad) {
+      params.push(entidad);
+      condiciones.push(`entidad = $${params.length}`);
+    }
+    
+    if (entidad_id) {
+      params.push(parseInt(entidad_id) || 0);
+      condiciones.push(`entidad_id = $${params.length}`);
+    }
+    
+    if (accion) {
+      params.push(accion);
+      condiciones.push(`accion = $${params.length}`);
+    }
+    
+    if (desde) {
+      params.push(desde);
+      condiciones.push(`fecha >= $${params.length}::date`);
+    }
+    
+    if (hasta) {
+      params.push(hasta);
+      condiciones.push(`fecha < $${params.length}::date + INTERVAL '1 day'`);
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: 'id, usuario_id, usuario, accion, entidad, entidad_id, cambios, detalle, ip, fecha',
+      origen: 'FROM auditoria',
+      condiciones,
+      params,
+      columnaId: 'id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas,
+      paginacion: meta
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo auditoría:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo auditoría',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - INTENTOS DE LOGIN Y BLOQUEOS
+// ============================================
+
+const ORDENES_INTENTO_LOGIN = {
+  fecha: { expresion: 'fecha', tipo: 'timestamp' }
+};
+
+app.get('/api/admin/intentos-login', autenticarToken, requierePermiso('seguridad:gestionar'), async (req, res) => {
+  try {
+    const { tipo, usuario, ip, resultado } = req.query;
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_INTENTO_LOGIN,
+      ordenPorDefecto: 'fecha',
+      limitePorDefecto: 100,
+      limiteMaximo: 500
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
+    }
+    
+    const condiciones = [];
+    const params = [];
+    
+    if (tipo) {
+      params.push(tipo);
+      condiciones.push(`tipo = $${params.length}`);
+    }
+    
+    if (usuario) {
+      params.push(usuario);
+      condiciones.push(`usuario = $${params.length}`);
+    }
+    
+    if (ip) {
+      params.push(ip);
+      condiciones.push(`ip = $${params.length}`);
+    }
+    
+    if (resultado && RESULTADOS_INTENTO.includes(resultado)) {
+      params.push(resultado);
+      condiciones.push(`resultado = $${params.length}`);
+    }
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: 'id, tipo, usuario, cuenta_id, ip, resultado, detalle, agente_usuario, fecha',
+      origen: 'FROM intentos_login',
+      condiciones,
+      params,
+      columnaId: 'id'
+    });
+    
+    res.json({
+      exito: true,
+      datos: filas,
+      paginacion: meta
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo intentos de login:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo intentos de login',
+      error: error.message
+    });
+  }
+});
+
+// Cuentas e IPs bloqueadas en este momento
+app.get('/api/admin/intentos-login/bloqueos', autenticarToken, requierePermiso('seguridad:gestionar'), async (req, res) => {
+  try {
+    const cuentas = await pool.query(
+      `SELECT tipo, usuario, COUNT(*)::int AS fallos, MAX(fecha) AS ultimo_fallo
+       FROM intentos_login
+       WHERE resultado = 'fallo' AND fecha > CURRENT_TIMESTAMP - INTERVAL '24 hours'
+       GROUP BY tipo, usuario
+       HAVING COUNT(*) >= $1`,
+      [INTENTOS_ANTES_DE_BLOQUEO]
+    );
+    const ips = await pool.query(
+      `SELECT ip, COUNT(*)::int AS fallos, MAX(fecha) AS ultimo_fallo
+       FROM intentos_login
+       WHERE resultado = 'fallo' AND fecha > CURRENT_TIMESTAMP - make_interval(mins => $1)
+       GROUP BY ip
+       HAVING COUNT(*) >= $2`,
+      [VENTANA_IP_MINUTOS, LIMITE_FALLOS_IP]
+    );
+    
+    // Los candidatos se confirman con el mismo cálculo que usa el login
+    const cuentasBloqueadas = [];
+    for (const cuenta of cuentas.rows) {
+      const segundos = await segundosDeBloqueoLogin(cuenta.tipo, cuenta.usuario, null);
+      if (segundos > 0) cuentasBloqueadas.push({ ...cuenta, segundos_restantes: segundos });
+    }
+    
+    const ipsBloqueadas = [];
+    for (const fila of ips.rows) {
+      const segundos = await segundosDeBloqueoLogin(null, null, fila.ip);
+      if (segundos > 0) ipsBloqueadas.push({ ...fila, segundos_restantes: segundos });
+    }
+    
+    res.json({
+      exito: true,
+      datos: {
+        cuentas: cuentasBloqueadas,
+        ips: ipsBloqueadas
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo bloqueos:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo bloqueos de login',
+      error: error.message
+    });
+  }
+});
+
+// Reinicia el conteo de fallos de una cuenta, de una IP o de ambas
+app.post('/api/admin/intentos-login/desbloquear', autenticarToken, requierePermiso('seguridad:gestionar'), async (req, res) => {
+  try {
+    const { tipo, usuario, ip } = req.body;
+    
+    if (!['admin', 'cliente'].includes(tipo) || (!usuario && !ip)) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Indica el tipo (admin o cliente) y el usuario o la IP a desbloquear'
+      });
+    }
+    
+    await pool.query(
+      `INSERT INTO intentos_login (tipo, usuario, ip, resultado, detalle)
+       VALUES ($1, $2, $3, 'desbloqueo', $4)`,
+      [tipo, usuario || null, ip || null, `Desbloqueado por ${req.usuario.usuario}`]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'desbloquear_login',
+      entidad: tipo === 'admin' ? 'administrador' : 'cliente',
+      despues: { usuario: usuario || null, ip: ip || null }
+    });
+    
+    console.log(`✅ Login desbloqueado (${tipo}) ${usuario || ''} ${ip || ''} por ${req.usuario.usuario}`);
+    
+    res.json({
+      exito: true,
+      mensaje: 'Desbloqueo registrado'
+    });
+    
+  } catch (error) {
+    console.error('Error desbloqueando login:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error desbloqueando login',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - ADMINISTRADORES
+// ============================================
+
+const LONGITUD_MINIMA_CONTRASENA = 8;
+
+const COLUMNAS_ADMINISTRADOR = `
+  id, usuario, nombre, correo, rol, activo,
+  fecha_creacion, fecha_actualizacion, ultima_sesion
+`;
+
+function validarContrasenaNueva(contrasena) {
+  if (!contrasena || String(contrasena).length < LONGITUD_MINIMA_CONTRASENA) {
+    return `La contraseña debe tener al menos ${LONGITUD_MINIMA_CONTRASENA} caracteres`;
+  }
+  return null;
+}
+
+// Impide dejar el panel sin ningún propietario activo al degradar o
+// deshabilitar a uno.
+async function esUltimoPropietario(adminId) {
+  const resultado = await pool.query(
+    `SELECT COUNT(*) FROM administradores
+     WHERE rol = 'owner' AND activo = true AND id <> $1`,
+    [adminId]
+  );
+  return parseInt(resultado.rows[0].count) === 0;
+}
+
+app.get('/api/admin/administradores', autenticarToken, requierePermiso('administradores:gestionar'), async (req, res) => {
+  try {
+    const resultado = await pool.query(
+      `SELECT ${COLUMNAS_ADMINISTRADOR} FROM administradores ORDER BY fecha_creacion`
+    );
+    
+    res.json({
+      exito: true,
+      datos: resultado.rows
+    });
+    
+  } catch (error) {
+    console.error('Error obteniendo administradores:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo administradores',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/admin/administradores', autenticarToken, requierePermiso('administradores:gestionar'), async (req, res) => {
+  try {
+    const { usuario, contrasena, nombre, correo, rol } = req.body;
+    
+    if (!usuario || !contrasena || !nombre || !correo || !rol) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Usuario, contraseña, nombre, correo y rol son requeridos'
+      });
+    }
+    
+    if (!ROLES_ADMIN.includes(rol)) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `Rol inválido. Valores permitidos: ${ROLES_ADMIN.join(', ')}`
+      });
+    }
+    
+    const errorContrasena = validarContrasenaNueva(contrasena);
+    if (errorContrasena) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: errorContrasena
+      });
+    }
+    
+    const existente = await pool.query(
+      'SELECT id FROM administradores WHERE usuario = $1',
+      [usuario]
+    );
+    
+    if (existente.rows.length > 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El usuario ya está registrado'
+      });
+    }
+    
+    const contrasenaHash = await bcrypt.hash(contrasena, 10);
+    
+    const resultado = await pool.query(
+      `INSERT INTO administradores (usuario, contrasena_hash, nombre, correo, rol)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${COLUMNAS_ADMINISTRADOR}`,
+      [usuario, contrasenaHash, nombre, correo, rol]
+    );
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'crear',
+      entidad: 'administrador',
+      entidadId: resultado.rows[0].id,
+      despues: resultado.rows[0]
+    });
+    
+    console.log('✅ Administrador creado:', resultado.rows[0].id);
+    
+    res.status(201).json({
+      exito: true,
+      mensaje: 'Administrador creado exitosamente',
+      datos: resultado.rows[0]
+    });
+    
+  } catch (error) {
+    console.error('Error creando administrador:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error creando administrador',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/admin/administradores/:id', autenticarToken, requierePermiso('administradores:gestionar'), async (req, res) => {
+  try {
+    const { nombre, correo, rol, activo } = req.body;
+    const id = parseInt(req.params.id);
+    
+    if (rol !== undefined && !ROLES_ADMIN.includes(rol)) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `Rol inválido. Valores permitidos: ${ROLES_ADMIN.join(', ')}`
+      });
+    }
+    
+    const cambiaAcceso = (rol !== undefined && rol !== 'owner') || activo === false;
+    
+    if (cambiaAcceso && id === req.usuario.idUsuario) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'No puedes cambiar tu propio rol ni deshabilitar tu propia cuenta'
+      });
+    }
+    
+    const actual = await pool.query(
+      `SELECT ${COLUMNAS_ADMINISTRADOR} FROM administradores WHERE id = $1`,
+      [id]
+    );
+    
+    if (actual.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Administrador no encontrado'
+      });
+    }
+    
+    if (cambiaAcceso && actual.rows[0].rol === 'owner' && actual.rows[0].activo && await esUltimoPropietario(id)) {
+      return res.status(409).json({
+        exito: false,
+        mensaje: 'Debe quedar al menos un propietario activo'
+      });
+    }
+    
+    const resultado = await pool.query(
+      `UPDATE administradores SET
+        nombre = COALESCE($1, nombre),
+        correo = COALESCE($2, correo),
+        rol = COALESCE($3, rol),
+        activo = COALESCE($4, activo),
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING ${COLUMNAS_ADMINISTRADOR}`,
+      [nombre, correo, rol, activo, id]
+    );
+    
+    if (activo === false) {
+      await revocarSesiones(pool, 'admin', id, 'cuenta_deshabilitada');
     }
     
-    query += ` ORDER BY p.fecha_creacion DESC LIMIT $${paramIndex}`;
-    params.push(parseInt(limite));
+    await registrarAuditoria(pool, req, {
+      accion: 'actualizar',
+      entidad: 'administrador',
+      entidadId: id,
+      antes: actual.rows[0],
+      despues: resultado.rows[0]
+    });
     
-    const resultado = await pool.query(query, params);
+    console.log('✅ Administrador actualizado:', id);
     
     res.json({
       exito: true,
-      datos: resultado.rows
+      mensaje: 'Administrador actualizado exitosamente',
+      datos: resultado.rows[0]
     });
     
   } catch (error) {
-    console.error('Error obteniendo productos:', error);
+    console.error('Error actualizando administrador:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error obteniendo productos',
+      mensaje: 'Error actualizando administrador',
       error: error.message
     });
   }
 });
 
-app.get('/api/admin/productos/:id', autenticarToken, async (req, res) => {
+app.post('/api/admin/administradores/:id/contrasena', autenticarToken, requierePermiso('administradores:gestionar'), async (req, res) => {
   try {
+    const { contrasena } = req.body;
+    
+    const errorContrasena = validarContrasenaNueva(contrasena);
+    if (errorContrasena) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: errorContrasena
+      });
+    }
+    
+    const contrasenaHash = await bcrypt.hash(contrasena, 10);
+    
     const resultado = await pool.query(
-      `SELECT 
-        p.*,
-        c.nombre AS nombre_categoria,
-        s.nombre AS nombre_subcategoria
-      FROM productos p
-      LEFT JOIN categorias c ON p.categoria_id = c.id
-      LEFT JOIN subcategorias s ON p.subcategoria_id = s.id
-      WHERE p.id = $1`,
-      [req.params.id]
+      `UPDATE administradores SET
+        contrasena_hash = $1,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id`,
+      [contrasenaHash, req.params.id]
     );
     
     if (resultado.rows.length === 0) {
       return res.status(404).json({
         exito: false,
-        mensaje: 'Producto no encontrado'
+        mensaje: 'Administrador no encontrado'
       });
     }
     
+    await revocarSesiones(pool, 'admin', resultado.rows[0].id, 'contrasena_restablecida');
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'restablecer_contrasena',
+      entidad: 'administrador',
+      entidadId: resultado.rows[0].id
+    });
+    
+    console.log('✅ Contraseña restablecida para administrador:', req.params.id);
+    
     res.json({
       exito: true,
-      datos: resultado.rows[0]
+      mensaje: 'Contraseña restablecida exitosamente'
     });
     
   } catch (error) {
-    console.error('Error obteniendo producto:', error);
+    console.error('Error restableciendo contraseña:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error obteniendo producto',
+      mensaje: 'Error restableciendo contraseña',
       error: error.message
     });
   }
 });
 
-app.post('/api/admin/productos', autenticarToken, async (req, res) => {
+app.put('/api/admin/perfil/contrasena', autenticarToken, requierePermiso(), async (req, res) => {
   try {
-    const {
-      nombre,
-      categoria_id,
-      subcategoria_id,
-      precio,
-      invertido,
-      descripcion,
-      imagen_base64,
-      stock,
-      estado,
-      destacado
-    } = req.body;
+    const { contrasena_actual, contrasena_nueva } = req.body;
+    
+    if (!contrasena_actual) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'La contraseña actual es requerida'
+      });
+    }
     
-    if (!nombre || !precio) {
+    const errorContrasena = validarContrasenaNueva(contrasena_nueva);
+    if (errorContrasena) {
       return res.status(400).json({
         exito: false,
-        mensaje: 'Nombre y precio son requeridos'
+        mensaje: errorContrasena
       });
     }
     
     const resultado = await pool.query(
-      `INSERT INTO productos 
-        (nombre, categoria_id, subcategoria_id, precio, invertido, descripcion, imagen_base64, stock, estado, destacado)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *`,
-      [
-        nombre,
-        categoria_id || null,
-        subcategoria_id || null,
-        parseFloat(precio),
-        parseFloat(invertido) || 0,
-        descripcion || '',
-        imagen_base64 || null,
-        parseInt(stock) || 0,
-        estado || 'ACTIVO',
-        destacado || false
-      ]
+      'SELECT id, contrasena_hash FROM administradores WHERE id = $1',
+      [req.usuario.idUsuario]
     );
     
-    console.log('✅ Producto creado:', resultado.rows[0].id);
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Administrador no encontrado'
+      });
+    }
+    
+    const contrasenaValida = await bcrypt.compare(contrasena_actual, resultado.rows[0].contrasena_hash);
     
-    res.status(201).json({
+    if (!contrasenaValida) {
+      return res.status(401).json({
+        exito: false,
+        mensaje: 'La contraseña actual no es correcta'
+      });
+    }
+    
+    const contrasenaHash = await bcrypt.hash(contrasena_nueva, 10);
+    
+    await pool.query(
+      `UPDATE administradores SET
+        contrasena_hash = $1,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $2`,
+      [contrasenaHash, req.usuario.idUsuario]
+    );
+    
+    // La sesión desde la que se cambió sigue abierta; las demás se cierran
+    await revocarSesiones(pool, 'admin', req.usuario.idUsuario, 'contrasena_cambiada', {
+      exceptoId: req.usuario.sid
+    });
+    
+    await registrarAuditoria(pool, req, {
+      accion: 'cambiar_contrasena',
+      entidad: 'administrador',
+      entidadId: req.usuario.idUsuario
+    });
+    
+    console.log('✅ Contraseña cambiada por el administrador:', req.usuario.idUsuario);
+    
+    res.json({
       exito: true,
-      mensaje: 'Producto creado exitosamente',
-      datos: resultado.rows[0]
+      mensaje: 'Contraseña actualizada exitosamente'
     });
     
   } catch (error) {
-    console.error('Error creando producto:', error);
+    console.error('Error cambiando contraseña:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error creando producto',
+      mensaje: 'Error cambiando contraseña',
       error: error.message
     });
   }
 });
 
-app.put('/api/admin/productos/:id', autenticarToken, async (req, res) => {
-  try {
-    const {
-      nombre,
-      categoria_id,
-      subcategoria_id,
-      precio,
-      invertido,
-      descripcion,
-      imagen_base64,
-      stock,
-      estado,
-      destacado
-    } = req.body;
+// ============================================
+// RUTA DE VENTAS
+// ============================================
+
+// Número o texto que representa un entero exacto; "1.5" o "2abc" no se
+// truncan como haría parseInt sino que se rechazan (null).
+function enteroDelCarrito(valor) {
+  if (typeof valor !== 'number' && (typeof valor !== 'string' || valor.trim() === '')) {
+    return null;
+  }
+  
+  const numero = Number(valor);
+  return Number.isInteger(numero) ? numero : null;
+}
+
+// El frontend ha enviado el carrito con nombres de campos en español y en
+// inglés según la versión, así que se aceptan ambos. Un elemento que no es un
+// objeto se devuelve como null. Sin cantidad se asume 1; una cantidad que no es
+// un entero queda en null para que la validación la rechace.
+function normalizarItemCarrito(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+  
+  const precio = parseFloat(item.precio ?? item.price);
+  const cantidad = item.cantidad ?? item.quantity;
+  const productoId = enteroDelCarrito(item.producto_id ?? item.product_id ?? item.id);
+  const varianteId = enteroDelCarrito(item.variante_id ?? item.variant_id);
+  
+  return {
+    producto_id: productoId > 0 ? productoId : null,
+    variante_id: varianteId > 0 ? varianteId : null,
+    nombre: item.nombre ?? item.name ?? null,
+    precio: isNaN(precio) ? null : precio,
+    cantidad: cantidad === undefined || cantidad === null ? 1 : enteroDelCarrito(cantidad)
+  };
+}
+
+// Índice de la primera línea que no es un objeto, no tiene producto o no tiene
+// una cantidad entera mayor a cero; -1 si todas son válidas.
+function buscarLineaInvalida(datosCarrito) {
+  return datosCarrito
+    .map(normalizarItemCarrito)
+    .findIndex(linea => !linea || !linea.producto_id || !Number.isInteger(linea.cantidad) || linea.cantidad < 1);
+}
+
+const centavos = valor => Math.round(parseFloat(valor) * 100);
+
+// Recalcula el carrito con los precios de la base de datos. Devuelve las
+// líneas verificadas, el total en centavos y la lista de líneas que no
+// coinciden con el catálogo (producto o variante inexistente o inactivo,
+// variante sin elegir o precio distinto).
+// Con `bloquear` las filas de productos y después las de sus variantes quedan
+// bloqueadas hasta el final de la transacción de `db`, en orden de id para no
+// provocar interbloqueos.
+async function verificarCarrito(db, datosCarrito, { bloquear = false } = {}) {
+  const lineas = datosCarrito.map(normalizarItemCarrito);
+  const idsProductos = [...new Set(lineas.map(linea => linea.producto_id).filter(Boolean))];
+  
+  const productos = await db.query(
+    `SELECT id, nombre, sku, categoria_id, precio, invertido, COALESCE(stock, 0) AS stock, stock_minimo, estado
+     FROM productos
+     WHERE id = ANY($1::int[]) AND eliminado_en IS NULL
+     ORDER BY id
+     ${bloquear ? 'FOR UPDATE' : ''}`,
+    [idsProductos]
+  );
+  const productosPorId = new Map(productos.rows.map(p => [p.id, p]));
+  
+  const variantes = await db.query(
+    `SELECT id, producto_id, sku, atributos, precio, stock, activo
+     FROM producto_variantes
+     WHERE producto_id = ANY($1::int[])
+     ORDER BY id
+     ${bloquear ? 'FOR UPDATE' : ''}`,
+    [idsProductos]
+  );
+  const variantesPorId = new Map(variantes.rows.map(v => [v.id, v]));
+  const productosConVariantes = new Set(variantes.rows.map(v => v.producto_id));
+  
+  const verificadas = [];
+  const problemas = [];
+  let totalCentavos = 0;
+  
+  lineas.forEach((linea, indice) => {
+    const producto = productosPorId.get(linea.producto_id);
     
-    let query = `
-      UPDATE productos SET
-        nombre = COALESCE($1, nombre),
-        categoria_id = COALESCE($2, categoria_id),
-        subcategoria_id = COALESCE($3, subcategoria_id),
-        precio = COALESCE($4, precio),
-        invertido = COALESCE($5, invertido),
-        descripcion = COALESCE($6, descripcion),
-        stock = COALESCE($7, stock),
-        estado = COALESCE($8, estado),
-        destacado = COALESCE($9, destacado),
-        fecha_actualizacion = CURRENT_TIMESTAMP
-    `;
+    if (!producto) {
+      problemas.push({ linea: indice + 1, producto_id: linea.producto_id, motivo: 'no_encontrado' });
+      return;
+    }
+    
+    if (String(producto.estado).toUpperCase() !== 'ACTIVO') {
+      problemas.push({ linea: indice + 1, producto_id: producto.id, nombre: producto.nombre, motivo: 'inactivo' });
+      return;
+    }
+    
+    let variante = null;
+    
+    if (linea.variante_id) {
+      variante = variantesPorId.get(linea.variante_id);
+      
+      if (!variante || variante.producto_id !== producto.id) {
+        problemas.push({
+          linea: indice + 1,
+          producto_id: producto.id,
+          variante_id: linea.variante_id,
+          nombre: producto.nombre,
+          motivo: 'variante_no_encontrada'
+        });
+        return;
+      }
+      
+      if (!variante.activo) {
+        problemas.push({
+          linea: indice + 1,
+          producto_id: producto.id,
+          variante_id: variante.id,
+          nombre: producto.nombre,
+          motivo: 'variante_inactiva'
+        });
+        return;
+      }
+    } else if (productosConVariantes.has(producto.id)) {
+      problemas.push({ linea: indice + 1, producto_id: producto.id, nombre: producto.nombre, motivo: 'variante_requerida' });
+      return;
+    }
+    
+    const precio = variante && variante.precio !== null ? variante.precio : producto.precio;
+    const nombre = variante
+      ? `${producto.nombre} (${Object.values(variante.atributos).join(' / ')})`
+      : producto.nombre;
+    
+    if (linea.precio !== null && centavos(linea.precio) !== centavos(precio)) {
+      problemas.push({
+        linea: indice + 1,
+        producto_id: producto.id,
+        ...(variante && { variante_id: variante.id }),
+        nombre,
+        motivo: 'precio_cambiado',
+        precio_enviado: linea.precio,
+        precio_actual: parseFloat(precio)
+      });
+    }
     
-    const params = [
+    const subtotalCentavos = centavos(precio) * linea.cantidad;
+    totalCentavos += subtotalCentavos;
+    
+    verificadas.push({
+      producto_id: producto.id,
+      ...(variante && {
+        variante_id: variante.id,
+        sku: variante.sku,
+        atributos: variante.atributos
+      }),
       nombre,
-      categoria_id,
-      subcategoria_id,
-      precio ? parseFloat(precio) : null,
-      invertido !== undefined ? parseFloat(invertido) : null,
-      descripcion,
-      parseInt(stock) || null,
-      estado,
-      destacado
-    ];
+      precio: parseFloat(precio),
+      cantidad: linea.cantidad,
+      subtotal: subtotalCentavos / 100
+    });
+  });
+  
+  return { lineas: verificadas, problemas, totalCentavos, productosPorId, variantesPorId };
+}
+
+// Con sesión de cliente la venta queda asociada a su cuenta y los datos de
+// contacto que no se envíen se toman de ella; sin sesión es una compra de
+// invitado.
+app.post('/api/ventas', autenticarOpcional, async (req, res) => {
+  try {
+    console.log('💰 Creando venta:', req.body);
     
-    if (imagen_base64) {
-      query += `, imagen_base64 = $10 WHERE id = $11 RETURNING *`;
-      params.push(imagen_base64, req.params.id);
-    } else {
-      query += ` WHERE id = $10 RETURNING *`;
-      params.push(req.params.id);
+    const { datos_carrito, total, codigo_cupon } = req.body;
+    let { nombre_cliente, correo_cliente, telefono_cliente } = req.body;
+    
+    if (!datos_carrito || !Array.isArray(datos_carrito) || datos_carrito.length === 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Carrito vacío'
+      });
     }
     
-    const resultado = await pool.query(query, params);
+    const lineaInvalida = buscarLineaInvalida(datos_carrito);
     
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
+    if (lineaInvalida !== -1) {
+      return res.status(400).json({
         exito: false,
-        mensaje: 'Producto no encontrado'
+        mensaje: `Línea ${lineaInvalida + 1} del carrito inválida: se requiere producto y cantidad mayor a cero`
+      });
+    }
+    
+    if (total !== undefined && (isNaN(parseFloat(total)) || parseFloat(total) <= 0)) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'Total inválido'
+      });
+    }
+    
+    const clienteId = req.usuario && req.usuario.rol === 'cliente' ? req.usuario.idUsuario : null;
+    
+    if (clienteId) {
+      const cuenta = await pool.query(
+        'SELECT nombre, correo, telefono FROM clientes WHERE id = $1',
+        [clienteId]
+      );
+      if (cuenta.rows.length > 0) {
+        nombre_cliente = nombre_cliente || cuenta.rows[0].nombre;
+        correo_cliente = correo_cliente || cuenta.rows[0].correo;
+        telefono_cliente = telefono_cliente || cuenta.rows[0].telefono;
+      }
+    }
+    
+    // El cupón también se puede probar al comprar, así que el freno vale aquí
+    if (codigo_cupon) {
+      const espera = await segundosDeBloqueoCupon(req.ip);
+      
+      if (espera > 0) {
+        res.set('Retry-After', String(espera));
+        return res.status(429).json({
+          exito: false,
+          mensaje: mensajeBloqueoLogin(espera)
+        });
+      }
+    }
+    
+    const cliente = await pool.connect();
+    
+    try {
+      await cliente.query('BEGIN');
+      
+      const carrito = await verificarCarrito(cliente, datos_carrito, { bloquear: true });
+      
+      // El descuento se calcula aquí aunque el cliente ya lo haya validado:
+      // el cupón pudo agotarse o vencer entre la validación y la compra.
+      let cupon = null;
+      let descuentoCentavos = 0;
+      
+      if (codigo_cupon && carrito.problemas.length === 0) {
+        const aplicado = await aplicarCupon(cliente, codigo_cupon, carrito, {
+          clienteId,
+          bloquear: true
+        });
+        
+        if (aplicado.error) {
+          await cliente.query('ROLLBACK');
+          if (aplicado.motivo === 'no_valido') {
+            await registrarCuponNoValido(codigo_cupon, req.ip);
+          }
+          return res.status(409).json({
+            exito: false,
+            mensaje: aplicado.error,
+            datos: {
+              cupon: { codigo: normalizarCodigoCupon(codigo_cupon), motivo: aplicado.motivo }
+            }
+          });
+        }
+        
+        cupon = aplicado.cupon;
+        descuentoCentavos = aplicado.descuentoCentavos;
+      }
+      
+      const totalCalculado = (carrito.totalCentavos - descuentoCentavos) / 100;
+      const totalNoCoincide = total !== undefined && centavos(total) !== carrito.totalCentavos - descuentoCentavos;
+      
+      if (carrito.problemas.length > 0 || totalNoCoincide) {
+        await cliente.query('ROLLBACK');
+        return res.status(409).json({
+          exito: false,
+          mensaje: 'El carrito no coincide con el catálogo actual. Actualiza el carrito e intenta de nuevo.',
+          datos: {
+            lineas: carrito.problemas,
+            total_enviado: total !== undefined ? parseFloat(total) : null,
+            total_calculado: totalCalculado
+          }
+        });
+      }
+      
+      // Las cantidades se agrupan por variante o, si no tiene, por producto
+      const cantidadesPorArticulo = new Map();
+      carrito.lineas.forEach(linea => {
+        const clave = linea.variante_id ? `v${linea.variante_id}` : `p${linea.producto_id}`;
+        const articulo = cantidadesPorArticulo.get(clave) ||
+          { productoId: linea.producto_id, varianteId: linea.variante_id || null, nombre: linea.nombre, cantidad: 0 };
+        articulo.cantidad += linea.cantidad;
+        cantidadesPorArticulo.set(clave, articulo);
+      });
+      
+      const sinStock = [];
+      cantidadesPorArticulo.forEach(({ productoId, varianteId, nombre, cantidad }) => {
+        const disponible = varianteId
+          ? carrito.variantesPorId.get(varianteId).stock
+          : carrito.productosPorId.get(productoId).stock;
+        if (disponible < cantidad) {
+          sinStock.push({
+            producto_id: productoId,
+            ...(varianteId && { variante_id: varianteId }),
+            nombre,
+            motivo: 'stock_insuficiente',
+            solicitado: cantidad,
+            disponible
+          });
+        }
+      });
+      
+      if (sinStock.length > 0) {
+        await cliente.query('ROLLBACK');
+        return res.status(409).json({
+          exito: false,
+          mensaje: 'Stock insuficiente para algunos productos',
+          datos: {
+            productos: sinStock
+          }
+        });
+      }
+      
+      const numeroOrden = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+      
+      const resultado = await cliente.query(
+        `INSERT INTO ventas
+          (numero_orden, cliente_id, datos_carrito, subtotal, descuento, total, cupon_id, codigo_cupon,
+           nombre_cliente, correo_cliente, telefono_cliente, estado)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          numeroOrden,
+          clienteId,
+          JSON.stringify(carrito.lineas),
+          carrito.totalCentavos / 100,
+          descuentoCentavos / 100,
+          totalCalculado,
+          cupon ? cupon.id : null,
+          cupon ? cupon.codigo : null,
+          nombre_cliente || 'Cliente',
+          correo_cliente || '',
+          telefono_cliente || '',
+          'pendiente'
+        ]
+      );
+      
+      const venta = resultado.rows[0];
+      
+      if (cupon) {
+        await cliente.query(
+          `INSERT INTO cupon_usos (cupon_id, venta_id, cliente_id, correo, descuento)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [cupon.id, venta.id, clienteId, correo_cliente || null, descuentoCentavos / 100]
+        );
+      }
+      
+      for (const linea of carrito.lineas) {
+        await cliente.query(
+          `INSERT INTO venta_items
+            (venta_id, producto_id, variante_id, sku, atributos, nombre, precio_unitario, costo_unitario, cantidad)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            venta.id,
+            linea.producto_id,
+            linea.variante_id || null,
+            linea.sku || null,
+            linea.atributos ? JSON.stringify(linea.atributos) : null,
+            linea.nombre,
+            linea.precio,
+            carrito.productosPorId.get(linea.producto_id).invertido || 0,
+            linea.cantidad
+          ]
+        );
+      }
+      
+      // Stock de cada producto después de la venta, para los avisos de stock bajo
+      const stockFinal = new Map();
+      
+      for (const { productoId, varianteId, cantidad } of cantidadesPorArticulo.values()) {
+        if (varianteId) {
+          const ajustado = await ajustarStockVariante(cliente, {
+            productoId,
+            varianteId,
+            cantidad: -cantidad,
+            tipo: 'venta',
+            motivo: `Venta ${numeroOrden}`,
+            ventaId: venta.id
+          });
+          stockFinal.set(productoId, ajustado.stockProducto);
+          continue;
+        }
+        
+        const actualizado = await cliente.query(
+          `UPDATE productos SET
+            stock = COALESCE(stock, 0) - $1,
+            fecha_actualizacion = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING stock`,
+          [cantidad, productoId]
+        );
+        
+        await registrarMovimientoInventario(cliente, {
+          productoId,
+          tipo: 'venta',
+          cantidad: -cantidad,
+          stockResultante: actualizado.rows[0].stock,
+          motivo: `Venta ${numeroOrden}`,
+          ventaId: venta.id
+        });
+        stockFinal.set(productoId, actualizado.rows[0].stock);
+      }
+      
+      await cliente.query(
+        `INSERT INTO ventas_historial_estados (venta_id, estado_anterior, estado_nuevo, nota)
+         VALUES ($1, NULL, $2, $3)`,
+        [venta.id, 'pendiente', 'Venta creada']
+      );
+      
+      await encolarEvento(cliente, 'venta.creada', {
+        venta_id: venta.id,
+        numero_orden: numeroOrden,
+        estado: venta.estado,
+        cliente_id: clienteId,
+        nombre_cliente: venta.nombre_cliente,
+        correo_cliente: venta.correo_cliente,
+        telefono_cliente: venta.telefono_cliente,
+        subtotal: carrito.totalCentavos / 100,
+        descuento: descuentoCentavos / 100,
+        codigo_cupon: cupon ? cupon.codigo : null,
+        total: totalCalculado,
+        items: carrito.lineas
+      });
+      
+      const avisosStock = detectarStockBajo(carrito.productosPorId, stockFinal, `la venta ${numeroOrden}`);
+      
+      for (const aviso of avisosStock) {
+        await encolarEvento(cliente, 'stock.bajo', aviso);
+      }
+      
+      await cliente.query('COMMIT');
+      
+      console.log('✅ Venta creada:', venta.id);
+      
+      avisarStockBajo(avisosStock);
+      
+      res.status(201).json({
+        exito: true,
+        mensaje: 'Venta registrada',
+        datos: {
+          idVenta: venta.id,
+          numeroOrden: numeroOrden,
+          cliente_id: clienteId,
+          subtotal: carrito.totalCentavos / 100,
+          descuento: descuentoCentavos / 100,
+          codigo_cupon: cupon ? cupon.codigo : null,
+          total: totalCalculado,
+          items: carrito.lineas
+        }
+      });
+      
+    } catch (error) {
+      await cliente.query('ROLLBACK');
+      throw error;
+    } finally {
+      cliente.release();
+    }
+    
+  } catch (error) {
+    console.error('❌ Error en venta:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error registrando venta',
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ADMIN - VENTAS
+// ============================================
+
+const ESTADOS_VENTA = ['pendiente', 'pagado', 'enviado', 'entregado', 'cancelado'];
+
+// Flujo permitido: pendiente → pagado → enviado → entregado, o cancelado
+// mientras la venta todavía no ha salido del almacén.
+const TRANSICIONES_VENTA = {
+  pendiente: ['pagado', 'cancelado'],
+  pagado: ['enviado', 'cancelado'],
+  enviado: ['entregado'],
+  entregado: [],
+  cancelado: []
+};
+
+const ORDENES_VENTA = {
+  fecha: { expresion: 'v.fecha_creacion', tipo: 'timestamp' },
+  total: { expresion: 'v.total', tipo: 'numeric' }
+};
+
+// Filtros del listado y de la exportación de ventas.
+// Devuelve { error } o { condiciones, params }.
+function leerFiltrosVentas(consulta) {
+  const { estado, desde, hasta, numero_orden, correo_cliente, cliente_id } = consulta;
+  
+  if ((desde && isNaN(Date.parse(desde))) || (hasta && isNaN(Date.parse(hasta)))) {
+    return { error: 'Rango de fechas inválido' };
+  }
+  
+  const condiciones = [];
+  const params = [];
+  
+  if (estado && estado !== 'all') {
+    params.push(estado.toLowerCase());
+    condiciones.push(`v.estado = $${params.length}`);
+  }
+  
+  if (desde) {
+    params.push(desde);
+    condiciones.push(`v.fecha_creacion >= $${params.length}::date`);
+  }
+  
+  if (hasta) {
+    params.push(hasta);
+    condiciones.push(`v.fecha_creacion < $${params.length}::date + INTERVAL '1 day'`);
+  }
+  
+  if (numero_orden) {
+    params.push(`%${numero_orden}%`);
+    condiciones.push(`LOWER(v.numero_orden) LIKE LOWER($${params.length})`);
+  }
+  
+  if (correo_cliente) {
+    params.push(`%${correo_cliente}%`);
+    condiciones.push(`LOWER(v.correo_cliente) LIKE LOWER($${params.length})`);
+  }
+  
+  if (cliente_id) {
+    params.push(parseInt(cliente_id) || 0);
+    condiciones.push(`v.cliente_id = $${params.length}`);
+  }
+  
+  return { condiciones, params };
+}
+
+app.get('/api/admin/ventas', autenticarToken, requierePermiso('ventas:leer'), async (req, res) => {
+  try {
+    const filtros = leerFiltrosVentas(req.query);
+    
+    if (filtros.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: filtros.error
+      });
+    }
+    
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_VENTA,
+      ordenPorDefecto: 'fecha',
+      limitePorDefecto: 100,
+      limiteMaximo: 500
+    });
+    
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
       });
     }
     
-    console.log('✅ Producto actualizado:', req.params.id);
+    const { condiciones, params } = filtros;
+    
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: `
+        v.id,
+        v.numero_orden,
+        v.cliente_id,
+        v.total,
+        v.nombre_cliente,
+        v.correo_cliente,
+        v.telefono_cliente,
+        v.estado,
+        v.metodo_pago,
+        v.fecha_creacion,
+        v.fecha_actualizacion,
+        (SELECT COUNT(*)::int FROM venta_items vi WHERE vi.venta_id = v.id) AS cantidad_items
+      `,
+      origen: 'FROM ventas v',
+      condiciones,
+      params,
+      columnaId: 'v.id'
+    });
     
     res.json({
       exito: true,
-      mensaje: 'Producto actualizado exitosamente',
-      datos: resultado.rows[0]
+      datos: filas,
+      paginacion: meta
     });
     
   } catch (error) {
-    console.error('Error actualizando producto:', error);
+    console.error('Error obteniendo ventas:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error actualizando producto',
+      mensaje: 'Error obteniendo ventas',
       error: error.message
     });
   }
 });
 
-app.delete('/api/admin/productos/:id', autenticarToken, async (req, res) => {
+// Una fila por línea de venta, con los datos de la venta repetidos. Las ventas
+// se leen por lotes en orden de id para no cargarlas todas en memoria.
+const LOTE_EXPORTACION_VENTAS = 500;
+
+const COLUMNAS_EXPORTACION_VENTAS = [
+  { clave: 'numero_orden', titulo: 'Orden', ancho: 26 },
+  { clave: 'fecha_creacion', titulo: 'Fecha', tipo: 'fecha', ancho: 18 },
+  { clave: 'estado', titulo: 'Estado' },
+  { clave: 'metodo_pago', titulo: 'Método de pago', ancho: 16 },
+  { clave: 'cliente_id', titulo: 'ID cliente', tipo: 'numero' },
+  { clave: 'nombre_cliente', titulo: 'Cliente', ancho: 24 },
+  { clave: 'correo_cliente', titulo: 'Correo', ancho: 28 },
+  { clave: 'telefono_cliente', titulo: 'Teléfono', ancho: 16 },
+  { clave: 'codigo_cupon', titulo: 'Cupón' },
+  { clave: 'subtotal', titulo: 'Subtotal venta', tipo: 'numero' },
+  { clave: 'descuento', titulo: 'Descuento venta', tipo: 'numero' },
+  { clave: 'total', titulo: 'Total venta', tipo: 'numero' },
+  { clave: 'producto_id', titulo: 'ID producto', tipo: 'numero' },
+  { clave: 'sku', titulo: 'SKU' },
+  { clave: 'producto', titulo: 'Producto', ancho: 32 },
+  { clave: 'atributos', titulo: 'Atributos', ancho: 20 },
+  { clave: 'cantidad', titulo: 'Cantidad', tipo: 'numero' },
+  { clave: 'precio_unitario', titulo: 'Precio unitario', tipo: 'numero' },
+  { clave: 'costo_unitario', titulo: 'Costo unitario', tipo: 'numero' },
+  { clave: 'importe', titulo: 'Importe línea', tipo: 'numero' }
+];
+
+app.get('/api/admin/ventas/exportar', autenticarToken, requierePermiso('ventas:leer'), async (req, res) => {
   try {
-    const resultado = await pool.query(
-      'DELETE FROM productos WHERE id = $1 RETURNING id, nombre',
-      [req.params.id]
-    );
+    const filtros = leerFiltrosVentas(req.query);
+    const exportacion = leerFormatoExportacion(req.query);
+    const error = filtros.error || exportacion.error;
     
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
+    if (error) {
+      return res.status(400).json({
         exito: false,
-        mensaje: 'Producto no encontrado'
+        mensaje: error
       });
     }
     
-    console.log('✅ Producto eliminado:', req.params.id);
+    const { condiciones, params } = filtros;
+    const fecha = new Date().toISOString().slice(0, 10);
+    const archivo = crearExportacion(res, { ...exportacion, nombreArchivo: `ventas-${fecha}` });
     
-    res.json({
-      exito: true,
-      mensaje: 'Producto eliminado exitosamente'
-    });
+    await archivo.hoja('Ventas', COLUMNAS_EXPORTACION_VENTAS);
+    
+    let ultimoId = 0;
+    
+    while (!res.destroyed) {
+      const lote = await pool.query(
+        `WITH lote AS (
+          SELECT v.*
+          FROM ventas v
+          WHERE ${[...condiciones, `v.id > $${params.length + 1}`].join(' AND ')}
+          ORDER BY v.id
+          LIMIT ${LOTE_EXPORTACION_VENTAS}
+        )
+        SELECT
+          l.id,
+          l.numero_orden,
+          l.fecha_creacion,
+          l.estado,
+          l.metodo_pago,
+          l.cliente_id,
+          l.nombre_cliente,
+          l.correo_cliente,
+          l.telefono_cliente,
+          l.codigo_cupon,
+          COALESCE(l.subtotal, l.total) AS subtotal,
+          l.descuento,
+          l.total,
+          vi.producto_id,
+          vi.sku,
+          vi.nombre AS producto,
+          vi.atributos,
+          vi.cantidad,
+          vi.precio_unitario,
+          vi.costo_unitario,
+          vi.precio_unitario * vi.cantidad AS importe
+        FROM lote l
+        LEFT JOIN venta_items vi ON vi.venta_id = l.id
+        ORDER BY l.id, vi.id`,
+        [...params, ultimoId]
+      );
+      
+      if (lote.rows.length === 0) break;
+      
+      for (const fila of lote.rows) {
+        await archivo.fila(fila);
+      }
+      
+      ultimoId = lote.rows[lote.rows.length - 1].id;
+    }
+    
+    await archivo.terminar();
     
   } catch (error) {
-    console.error('Error eliminando producto:', error);
-    res.status(500).json({
-      exito: false,
-      mensaje: 'Error eliminando producto',
-      error: error.message
-    });
+    fallarExportacion(res, error, 'Error exportando ventas');
   }
 });
 
-// ============================================
-// RUTAS DE ADMIN - CATEGORÍAS
-// ============================================
-
-app.get('/api/admin/categorias', autenticarToken, async (req, res) => {
+app.get('/api/admin/ventas/:id', autenticarToken, requierePermiso('ventas:leer'), async (req, res) => {
   try {
     const resultado = await pool.query(
-      'SELECT * FROM categorias ORDER BY nombre'
+      'SELECT * FROM ventas WHERE id = $1',
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Venta no encontrada'
+      });
+    }
+    
+    const venta = resultado.rows[0];
+    
+    const items = await pool.query(
+      `SELECT 
+        vi.id,
+        vi.producto_id,
+        vi.variante_id,
+        vi.sku,
+        vi.atributos,
+        vi.nombre,
+        vi.precio_unitario,
+        vi.costo_unitario,
+        vi.cantidad,
+        vi.precio_unitario * vi.cantidad AS subtotal,
+        p.nombre AS nombre_actual,
+        p.stock,
+        p.estado AS estado_producto
+      FROM venta_items vi
+      LEFT JOIN productos p ON vi.producto_id = p.id
+      WHERE vi.venta_id = $1
+      ORDER BY vi.id`,
+      [venta.id]
+    );
+    
+    const historial = await pool.query(
+      `SELECT id, estado_anterior, estado_nuevo, usuario_id, usuario, nota, fecha
+       FROM ventas_historial_estados
+       WHERE venta_id = $1
+       ORDER BY fecha, id`,
+      [venta.id]
     );
     
     res.json({
       exito: true,
-      datos: resultado.rows
+      datos: {
+        ...venta,
+        items: items.rows,
+        historial: historial.rows,
+        transiciones_permitidas: TRANSICIONES_VENTA[venta.estado] || []
+      }
     });
     
   } catch (error) {
-    console.error('Error obteniendo categorías:', error);
+    console.error('Error obteniendo venta:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error obteniendo categorías',
+      mensaje: 'Error obteniendo venta',
       error: error.message
     });
   }
 });
 
-app.get('/api/admin/categorias/:id/subcategorias', autenticarToken, async (req, res) => {
+app.put('/api/admin/ventas/:id/estado', autenticarToken, requierePermiso('ventas:escribir'), async (req, res) => {
+  const { estado, nota } = req.body;
+  
+  if (!estado || !ESTADOS_VENTA.includes(estado)) {
+    return res.status(400).json({
+      exito: false,
+      mensaje: `Estado inválido. Valores permitidos: ${ESTADOS_VENTA.join(', ')}`
+    });
+  }
+  
+  const cliente = await pool.connect();
+  
   try {
-    const resultado = await pool.query(
-      'SELECT * FROM subcategorias WHERE categoria_id = $1 ORDER BY nombre',
+    await cliente.query('BEGIN');
+    
+    const actual = await cliente.query(
+      'SELECT id, estado FROM ventas WHERE id = $1 FOR UPDATE',
       [req.params.id]
     );
     
+    if (actual.rows.length === 0) {
+      await cliente.query('ROLLBACK');
+      return res.status(404).json({
+        exito: false,
+        mensaje: 'Venta no encontrada'
+      });
+    }
+    
+    const estadoAnterior = actual.rows[0].estado;
+    const permitidas = TRANSICIONES_VENTA[estadoAnterior] || [];
+    
+    if (!permitidas.includes(estado)) {
+      await cliente.query('ROLLBACK');
+      return res.status(409).json({
+        exito: false,
+        mensaje: `No se puede cambiar una venta de "${estadoAnterior}" a "${estado}"`,
+        datos: {
+          estado_actual: estadoAnterior,
+          transiciones_permitidas: permitidas
+        }
+      });
+    }
+    
+    const resultado = await cliente.query(
+      `UPDATE ventas SET
+        estado = $1,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *`,
+      [estado, req.params.id]
+    );
+    
+    // Al cancelar se devuelve exactamente lo que la venta descontó según el
+    // libro de inventario (las ventas anteriores al libro no se reponen).
+    // Lo que se descontó del producto sin variante elegida (porque entonces no
+    // tenía variantes o porque la variante se borró después) no se repone si
+    // ahora tiene variantes: su stock es la suma del de ellas y no se sabe a
+    // cuál corresponde. Queda anotado en el historial para ajustarlo a mano.
+    const sinReponer = [];
+    
+    if (estado === 'cancelado') {
+      const descontado = await cliente.query(
+        `SELECT producto_id, variante_id, -SUM(cantidad)::int AS cantidad
+         FROM movimientos_inventario
+         WHERE venta_id = $1 AND tipo = 'venta'
+         GROUP BY producto_id, variante_id
+         ORDER BY producto_id, variante_id`,
+        [req.params.id]
+      );
+      
+      for (const { producto_id, variante_id, cantidad } of descontado.rows) {
+        if (variante_id) {
+          await ajustarStockVariante(cliente, {
+            productoId: producto_id,
+            varianteId: variante_id,
+            cantidad,
+            tipo: 'cancelacion',
+            motivo: `Cancelación ${resultado.rows[0].numero_orden}`,
+            ventaId: resultado.rows[0].id,
+            usuario: req.usuario
+          });
+          continue;
+        }
+        
+        const producto = await cliente.query(
+          'SELECT nombre FROM productos WHERE id = $1 FOR UPDATE',
+          [producto_id]
+        );
+        
+        if (producto.rows.length === 0) {
+          sinReponer.push(`${cantidad} u. de un producto eliminado`);
+          continue;
+        }
+        
+        if (await productoTieneVariantes(cliente, producto_id)) {
+          sinReponer.push(`${cantidad} u. de ${producto.rows[0].nombre} (ahora tiene variantes)`);
+          continue;
+        }
+        
+        const repuesto = await cliente.query(
+          `UPDATE productos SET
+            stock = COALESCE(stock, 0) + $1,
+            fecha_actualizacion = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING stock`,
+          [cantidad, producto_id]
+        );
+        
+        await registrarMovimientoInventario(cliente, {
+          productoId: producto_id,
+          tipo: 'cancelacion',
+          cantidad,
+          stockResultante: repuesto.rows[0].stock,
+          motivo: `Cancelación ${resultado.rows[0].numero_orden}`,
+          ventaId: resultado.rows[0].id,
+          usuario: req.usuario
+        });
+      }
+    }
+    
+    const notaHistorial = [
+      nota,
+      sinReponer.length > 0 ? `Sin reponer: ${sinReponer.join(', ')}` : null
+    ].filter(Boolean).join('. ');
+    
+    await cliente.query(
+      `INSERT INTO ventas_historial_estados
+        (venta_id, estado_anterior, estado_nuevo, usuario_id, usuario, nota)
+      VALUES ($1, $2, $3, $4, $5, $6)`,
+      [req.params.id, estadoAnterior, estado, req.usuario.idUsuario, req.usuario.usuario, notaHistorial || null]
+    );
+    
+    await registrarAuditoria(cliente, req, {
+      accion: 'cambiar_estado',
+      entidad: 'venta',
+      entidadId: resultado.rows[0].id,
+      antes: { estado: estadoAnterior },
+      despues: { estado },
+      detalle: nota || null
+    });
+    
+    await encolarEvento(cliente, 'venta.estado_cambiado', {
+      venta_id: resultado.rows[0].id,
+      numero_orden: resultado.rows[0].numero_orden,
+      estado_anterior: estadoAnterior,
+      estado,
+      nota: nota || null,
+      usuario: req.usuario.usuario
+    });
+    
+    await cliente.query('COMMIT');
+    
+    console.log(`✅ Venta ${req.params.id}: ${estadoAnterior} → ${estado}`);
+    
     res.json({
       exito: true,
-      datos: resultado.rows
+      mensaje: 'Estado de la venta actualizado',
+      datos: resultado.rows[0]
     });
     
   } catch (error) {
-    console.error('Error obteniendo subcategorías:', error);
+    await cliente.query('ROLLBACK');
+    console.error('Error actualizando estado de venta:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error obteniendo subcategorías',
+      mensaje: 'Error actualizando estado de venta',
       error: error.message
     });
+  } finally {
+    cliente.release();
   }
 });
 
 // ============================================
-// RUTAS DE ADMIN - DASHBOARD
+// RUTAS DE CLIENTES - MIS PEDIDOS
 // ============================================
 
-app.get('/api/admin/dashboard', autenticarToken, async (req, res) => {
+// Solo las ventas hechas con sesión (cliente_id); las compras como invitado
+// no se asocian por correo porque el correo no está verificado.
+app.get('/api/clientes/me/ventas', autenticarToken, requiereCliente, async (req, res) => {
   try {
-    const statsQuery = await pool.query(`
-      SELECT 
-        COUNT(*) as total_productos,
-        COALESCE(SUM(invertido * stock), 0) as total_invertido,
-        COALESCE(SUM(precio * stock), 0) as valor_inventario,
-        COALESCE(SUM((precio - invertido) * stock), 0) as ganancia_potencial
-      FROM productos
-      WHERE estado = 'ACTIVO'
-    `);
-    
-    const stats = statsQuery.rows[0];
-    
-    res.json({
-      success: true,
-      data: {
-        totalProductos: parseInt(stats.total_productos),
-        totalInvertido: parseFloat(stats.total_invertido),
-        valorInventario: parseFloat(stats.valor_inventario),
-        gananciaPotencial: parseFloat(stats.ganancia_potencial)
-      }
-    });
+    const { estado } = req.query;
     
-  } catch (error) {
-    console.error('Error obteniendo dashboard:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error obteniendo estadísticas',
-      error: error.message
+    const paginacion = leerPaginacion(req.query, {
+      ordenes: ORDENES_VENTA,
+      ordenPorDefecto: 'fecha',
+      limitePorDefecto: 20,
+      limiteMaximo: 100
     });
-  }
-});
-
-app.get('/api/admin/dashboard/top-products', autenticarToken, async (req, res) => {
-  try {
-    const resultado = await pool.query(`
-      SELECT 
-        p.id,
-        p.nombre as name,
-        COALESCE(SUM(
-          CAST((v.datos_carrito::jsonb -> 'items' ->> 'quantity') AS INTEGER)
-        ), 0) as quantity
-      FROM productos p
-      LEFT JOIN ventas v ON v.datos_carrito::jsonb @> jsonb_build_array(jsonb_build_object('product_id', p.id))
-      GROUP BY p.id, p.nombre
-      ORDER BY quantity DESC
-      LIMIT 10
-    `);
     
-    res.json({
-      success: true,
-      data: resultado.rows
-    });
+    if (paginacion.error) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: paginacion.error
+      });
+    }
     
-  } catch (error) {
-    console.error('Error obteniendo productos top:', error);
-    res.json({
-      success: true,
-      data: []
-    });
-  }
-});
-
-app.get('/api/admin/dashboard/top-categories', autenticarToken, async (req, res) => {
-  try {
-    const resultado = await pool.query(`
-      SELECT 
-        c.nombre as category_name,
-        COUNT(DISTINCT p.id) as product_count,
-        COALESCE(SUM(p.stock), 0) as total_stock
-      FROM categorias c
-      LEFT JOIN productos p ON p.categoria_id = c.id
-      WHERE p.estado = 'ACTIVO'
-      GROUP BY c.id, c.nombre
-      ORDER BY product_count DESC
-      LIMIT 5
-    `);
+    const condiciones = ['v.cliente_id = $1'];
+    const params = [req.usuario.idUsuario];
     
-    res.json({
-      success: true,
-      data: resultado.rows
-    });
+    if (estado && ESTADOS_VENTA.includes(estado)) {
+      params.push(estado);
+      condiciones.push(`v.estado = $${params.length}`);
+    }
     
-  } catch (error) {
-    console.error('Error obteniendo categorías top:', error);
-    res.json({
-      success: true,
-      data: []
+    const { filas, paginacion: meta } = await consultarPagina(paginacion, {
+      columnas: `
+        v.id,
+        v.numero_orden,
+        v.subtotal,
+        v.descuento,
+        v.total,
+        v.codigo_cupon,
+        v.estado,
+        v.fecha_creacion,
+        v.fecha_actualizacion,
+        (SELECT COALESCE(SUM(vi.cantidad), 0)::int FROM venta_items vi WHERE vi.venta_id = v.id) AS cantidad_articulos
+      `,
+      origen: 'FROM ventas v',
+      condiciones,
+      params,
+      columnaId: 'v.id'
     });
-  }
-});
-
-app.get('/api/admin/dashboard/daily-sales', autenticarToken, async (req, res) => {
-  try {
-    const resultado = await pool.query(`
-      SELECT 
-        DATE(fecha_creacion) as date,
-        COUNT(*) as orders,
-        SUM(total) as total_sales
-      FROM ventas
-      WHERE fecha_creacion >= CURRENT_DATE - INTERVAL '30 days'
-      GROUP BY DATE(fecha_creacion)
-      ORDER BY date DESC
-    `);
     
     res.json({
-      success: true,
-      data: resultado.rows
+      exito: true,
+      datos: filas,
+      paginacion: meta
     });
     
   } catch (error) {
-    console.error('Error obteniendo ventas diarias:', error);
-    res.json({
-      success: true,
-      data: []
+    console.error('Error obteniendo pedidos del cliente:', error);
+    res.status(500).json({
+      exito: false,
+      mensaje: 'Error obteniendo pedidos',
+      error: error.message
     });
   }
 });
 
-// ============================================
-// RUTAS DE CLIENTES - REGISTRO Y LOGIN
-// ============================================
-
-app.post('/api/clientes/registro', async (req, res) => {
+// A diferencia del detalle del panel, no incluye costos ni quién cambió cada estado
+app.get('/api/clientes/me/ventas/:id', autenticarToken, requiereCliente, async (req, res) => {
   try {
-    const { usuario, contrasena, nombre, correo, telefono, direccion, ciudad, pais } = req.body;
-    
-    if (!usuario || !contrasena || !nombre || !correo) {
-      return res.status(400).json({
-        exito: false,
-        mensaje: 'Usuario, contraseña, nombre y correo son requeridos'
-      });
-    }
-    
-    const usuarioExistente = await pool.query(
-      'SELECT id FROM clientes WHERE usuario = $1 OR correo = $2',
-      [usuario, correo]
+    const resultado = await pool.query(
+      `SELECT id, numero_orden, subtotal, descuento, total, codigo_cupon,
+        nombre_cliente, correo_cliente, telefono_cliente, direccion_envio,
+        estado, metodo_pago, fecha_creacion, fecha_actualizacion
+       FROM ventas
+       WHERE id = $1 AND cliente_id = $2`,
+      [req.params.id, req.usuario.idUsuario]
     );
     
-    if (usuarioExistente.rows.length > 0) {
-      return res.status(400).json({
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
         exito: false,
-        mensaje: 'El usuario o correo ya están registrados'
+        mensaje: 'Pedido no encontrado'
       });
     }
     
-    const contrasenaHash = await bcrypt.hash(contrasena, 10);
+    const venta = resultado.rows[0];
     
-    const resultado = await pool.query(
-      `INSERT INTO clientes 
-        (usuario, contrasena_hash, nombre, correo, telefono, direccion, ciudad, pais)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING id, usuario, nombre, correo, telefono, direccion, ciudad, pais, rol, fecha_creacion`,
-      [usuario, contrasenaHash, nombre, correo, telefono || null, direccion || null, ciudad || null, pais || null]
+    const items = await pool.query(
+      `SELECT 
+        producto_id,
+        variante_id,
+        sku,
+        atributos,
+        nombre,
+        precio_unitario,
+        cantidad,
+        precio_unitario * cantidad AS subtotal
+      FROM venta_items
+      WHERE venta_id = $1
+      ORDER BY id`,
+      [venta.id]
     );
     
-    const token = jwt.sign(
-      {
-        idUsuario: resultado.rows[0].id,
-        usuario: resultado.rows[0].usuario,
-        rol: 'cliente'
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
+    const historial = await pool.query(
+      `SELECT estado_anterior, estado_nuevo, fecha
+       FROM ventas_historial_estados
+       WHERE venta_id = $1
+       ORDER BY fecha, id`,
+      [venta.id]
     );
     
-    console.log('✅ Cliente registrado:', resultado.rows[0].id);
-    
-    res.status(201).json({
+    res.json({
       exito: true,
-      mensaje: 'Cliente registrado exitosamente',
       datos: {
-        token: token,
-        cliente: resultado.rows[0]
+        ...venta,
+        items: items.rows,
+        historial: historial.rows
       }
     });
     
   } catch (error) {
-    console.error('Error en registro:', error);
+    console.error('Error obteniendo pedido del cliente:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error en el registro',
+      mensaje: 'Error obteniendo pedido',
       error: error.message
     });
   }
 });
 
 // ============================================
-// RUTA DE LOGIN CORREGIDA - server.js
-// Reemplazar líneas 927-995 con este código
+// CUPONES DE DESCUENTO
 // ============================================
 
-app.post('/api/clientes/login', async (req, res) => {
+const TIPOS_CUPON = ['porcentaje', 'monto'];
+
+const normalizarCodigoCupon = codigo => String(codigo ?? '').trim().toUpperCase();
+
+// Usos que cuentan para los límites (los de ventas canceladas no cuentan).
+// Con `clienteId` cuenta solo los de esa cuenta: el correo de la venta lo
+// escribe el comprador y no sirve para identificarlo.
+async function contarUsosCupon(db, cuponId, { clienteId } = {}) {
+  const params = [cuponId];
+  let filtroCliente = '';
+  
+  if (clienteId) {
+    params.push(clienteId);
+    filtroCliente = 'AND cu.cliente_id = $2';
+  }
+  
+  const resultado = await db.query(
+    `SELECT COUNT(*)::int AS usos
+     FROM cupon_usos cu
+     JOIN ventas v ON cu.venta_id = v.id
+     WHERE cu.cupon_id = $1 AND v.estado <> 'cancelado' ${filtroCliente}`,
+    params
+  );
+  return resultado.rows[0].usos;
+}
+
+// Un código que no existe y uno desactivado reciben la misma respuesta, y una
+// IP que prueba LIMITE_CUPONES_NO_VALIDOS_IP códigos así en
+// VENTANA_CUPONES_MINUTOS queda frenada, como en el login, para que no se
+// puedan adivinar códigos a fuerza de probar.
+const LIMITE_CUPONES_NO_VALIDOS_IP = 10;
+const VENTANA_CUPONES_MINUTOS = 15;
+
+// Segundos que faltan para poder volver a probar cupones (0 si no hay bloqueo)
+async function segundosDeBloqueoCupon(ip) {
+  const resultado = await pool.query(
+    `SELECT GREATEST(0, EXTRACT(EPOCH FROM (
+        MIN(fecha) + make_interval(mins => $2) - CURRENT_TIMESTAMP
+      )))::int AS segundos
+     FROM intentos_cupon
+     WHERE ip = $1 AND fecha > CURRENT_TIMESTAMP - make_interval(mins => $2)
+     HAVING COUNT(*) >= $3`,
+    [ip, VENTANA_CUPONES_MINUTOS, LIMITE_CUPONES_NO_VALIDOS_IP]
+  );
+  return resultado.rows.length > 0 ? resultado.rows[0].segundos : 0;
+}
+
+async function registrarCuponNoValido(codigo, ip) {
+  await pool.query(
+    'INSERT INTO intentos_cupon (ip, codigo) VALUES ($1, $2)',
+    [ip, normalizarCodigoCupon(codigo).slice(0, 50)]
+  );
+}
+
+// Calcula el descuento de un cupón sobre un carrito ya pasado por
+// verificarCarrito. Devuelve { error, motivo } si no se puede usar, o
+// { cupon, descuentoCentavos }. El descuento solo se aplica a las líneas de
+// las categorías o productos del cupón (a todas si no tiene restricciones);
+// la compra mínima se mide con el carrito completo. Los cupones con límite por
+// cliente solo se pueden usar con sesión (`clienteId`). Con `bloquear` la fila
+// del cupón queda bloqueada hasta el final de la transacción para que dos
+// ventas simultáneas no pasen del límite de usos.
+async function aplicarCupon(db, codigo, carrito, { clienteId = null, bloquear = false } = {}) {
+  const resultado = await db.query(
+    `SELECT *,
+      (valido_desde IS NULL OR valido_desde <= CURRENT_TIMESTAMP) AS empezo,
+      (valido_hasta IS NULL OR valido_hasta >= CURRENT_TIMESTAMP) AS sin_vencer
+     FROM cupones
+     WHERE codigo = $1
+     ${bloquear ? 'FOR UPDATE' : ''}`,
+    [normalizarCodigoCupon(codigo)]
+  );
+  const cupon = resultado.rows[0];
+  
+  if (!cupon || !cupon.activo) {
+    return { error: 'El cupón no es válido', motivo: 'no_valido' };
+  }
+  
+  if (!cupon.empezo || !cupon.sin_vencer) {
+    return {
+      error: cupon.empezo ? 'El cupón expiró' : 'El cupón todavía no es válido',
+      motivo: 'no_vigente'
+    };
+  }
+  
+  if (cupon.limite_usos !== null && await contarUsosCupon(db, cupon.id) >= cupon.limite_usos) {
+    return { error: 'El cupón alcanzó su límite de usos', motivo: 'agotado' };
+  }
+  
+  if (cupon.limite_por_cliente !== null) {
+    if (!clienteId) {
+      return { error: 'Inicia sesión para usar este cupón', motivo: 'sesion_requerida' };
+    }
+    if (await contarUsosCupon(db, cupon.id, { clienteId }) >= cupon.limite_por_cliente) {
+      return { error: 'Ya usaste este cupón el máximo de veces permitido', motivo: 'limite_cliente' };
+    }
+  }
+  
+  if (carrito.totalCentavos < centavos(cupon.compra_minima || 0)) {
+    return {
+      error: `El cupón requiere una compra mínima de $${parseFloat(cupon.compra_minima).toFixed(2)}`,
+      motivo: 'compra_minima'
+    };
+  }
+  
+  const restringido = cupon.categoria_ids.length > 0 || cupon.producto_ids.length > 0;
+  const elegibleCentavos = carrito.lineas
+    .filter(linea => {
+      if (!restringido) return true;
+      const producto = carrito.productosPorId.get(linea.producto_id);
+      return cupon.producto_ids.includes(linea.producto_id) ||
+        cupon.categoria_ids.includes(producto.categoria_id);
+    })
+    .reduce((suma, linea) => suma + centavos(linea.subtotal), 0);
+  
+  if (elegibleCentavos === 0) {
+    return { error: 'El cupón no aplica a ningún producto del carrito', motivo: 'no_aplica' };
+  }
+  
+  const descuentoCentavos = cupon.tipo === 'porcentaje'
+    ? Math.round(elegibleCentavos * parseFloat(cupon.valor) / 100)
+    : Math.min(centavos(cupon.valor), elegibleCentavos);
+  
+  return { cupon, descuentoCentavos };
+}
+
+app.post('/api/cupones/validar', autenticarOpcional, async (req, res) => {
   try {
-    const { usuario, contrasena } = req.body;
+    const { codigo, datos_carrito } = req.body;
     
-    if (!usuario || !contrasena) {
+    if (!codigo || !Array.isArray(datos_carrito) || datos_carrito.length === 0) {
       return res.status(400).json({
-        success: false,
-        message: 'Usuario y contraseña requeridos'
+        exito: false,
+        mensaje: 'Código y carrito son requeridos'
       });
     }
     
-    // ✅ CORRECCIÓN: Quitar el filtro de "activo" que causa el error
-    // La columna activo no existe en tu base de datos
-    const resultado = await pool.query(
-      'SELECT * FROM clientes WHERE usuario = $1',
-      [usuario]
-    );
+    const lineaInvalida = buscarLineaInvalida(datos_carrito);
     
-    if (resultado.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'Usuario no encontrado'
+    if (lineaInvalida !== -1) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: `Línea ${lineaInvalida + 1} del carrito inválida: se requiere producto y cantidad mayor a cero`
       });
     }
     
-    const cliente = resultado.rows[0];
-    const contrasenaValida = await bcrypt.compare(contrasena, cliente.contrasena_hash);
+    const espera = await segundosDeBloqueoCupon(req.ip);
     
-    if (!contrasenaValida) {
-      return res.status(401).json({
-        success: false,
-        message: 'Contraseña incorrecta'
+    if (espera > 0) {
+      res.set('Retry-After', String(espera));
+      return res.status(429).json({
+        exito: false,
+        mensaje: mensajeBloqueoLogin(espera)
       });
     }
     
-    // Intentar actualizar ultima_sesion (puede fallar si no existe la columna)
-    try {
-      await pool.query(
-        'UPDATE clientes SET ultima_sesion = CURRENT_TIMESTAMP WHERE id = $1',
-        [cliente.id]
-      );
-    } catch (updateError) {
-      // Ignorar el error si la columna no existe
-      console.log('Nota: No se pudo actualizar ultima_sesion');
+    const carrito = await verificarCarrito(pool, datos_carrito);
+    
+    if (carrito.problemas.length > 0) {
+      return res.status(409).json({
+        exito: false,
+        mensaje: 'El carrito no coincide con el catálogo actual. Actualiza el carrito e intenta de nuevo.',
+        datos: {
+          lineas: carrito.problemas
+        }
+      });
     }
     
-    const token = jwt.sign(
-      {
-        idUsuario: cliente.id,
-        usuario: cliente.usuario,
-        nombre: cliente.nombre,
-        rol: 'cliente'
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const clienteId = req.usuario && req.usuario.rol === 'cliente' ? req.usuario.idUsuario : null;
+    const aplicado = await aplicarCupon(pool, codigo, carrito, { clienteId });
     
-    const { contrasena_hash, ...datosCliente } = cliente;
+    if (aplicado.error) {
+      if (aplicado.motivo === 'no_valido') {
+        await registrarCuponNoValido(codigo, req.ip);
+      }
+      return res.status(409).json({
+        exito: false,
+        mensaje: aplicado.error,
+        datos: {
+          cupon: { codigo: normalizarCodigoCupon(codigo), motivo: aplicado.motivo }
+        }
+      });
+    }
     
-    // ✅ CORRECCIÓN: Usar formato consistente con el frontend
     res.json({
-      success: true,
-      message: 'Login exitoso',
-      data: {
-        token: token,
-        user: datosCliente
+      exito: true,
+      mensaje: 'Cupón aplicado',
+      datos: {
+        codigo: aplicado.cupon.codigo,
+        descripcion: aplicado.cupon.descripcion,
+        tipo: aplicado.cupon.tipo,
+        valor: parseFloat(aplicado.cupon.valor),
+        subtotal: carrito.totalCentavos / 100,
+        descuento: aplicado.descuentoCentavos / 100,
+        total: (carrito.totalCentavos - aplicado.descuentoCentavos) / 100
       }
     });
     
   } catch (error) {
-    console.error('Error en login cliente:', error);
+    console.error('Error validando cupón:', error);
     res.status(500).json({
-      success: false,
-      message: 'Error en el servidor',
+      exito: false,
+      mensaje: 'Error validando cupón',
       error: error.message
     });
   }
 });
 
 // ============================================
-// RUTAS DE ADMIN - GESTIÓN DE CLIENTES
+// RUTAS DE ADMIN - CUPONES
 // ============================================
 
-app.get('/api/admin/clientes', autenticarToken, async (req, res) => {
+const COLUMNAS_CUPON = `
+  c.*,
+  (SELECT COUNT(*)::int
+   FROM cupon_usos cu JOIN ventas v ON cu.venta_id = v.id
+   WHERE cu.cupon_id = c.id AND v.estado <> 'cancelado') AS usos
+`;
+
+const esListaIdsOpcional = ids => Array.isArray(ids) && ids.every(id => Number.isInteger(id) && id > 0);
+
+// Valida los campos de alta y edición. Devuelve { error } o los valores ya
+// convertidos (en edición, solo los que vienen en el cuerpo).
+function leerDatosCupon(cuerpo, { parcial }) {
+  const datos = {};
+  const viene = campo => cuerpo[campo] !== undefined || !parcial;
+  const vacio = valor => valor === undefined || valor === null || valor === '';
+  
+  if (viene('codigo')) {
+    const codigo = normalizarCodigoCupon(cuerpo.codigo);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(codigo)) {
+      return { error: 'El código debe tener de 3 a 50 letras, números, guiones o guiones bajos' };
+    }
+    datos.codigo = codigo;
+  }
+  
+  if (viene('tipo')) {
+    if (!TIPOS_CUPON.includes(cuerpo.tipo)) {
+      return { error: `Tipo inválido. Valores permitidos: ${TIPOS_CUPON.join(', ')}` };
+    }
+    datos.tipo = cuerpo.tipo;
+  }
+  
+  if (viene('valor')) {
+    const valor = parseFloat(cuerpo.valor);
+    if (isNaN(valor) || valor <= 0) return { error: 'El valor debe ser mayor a cero' };
+    datos.valor = valor;
+  }
+  
+  if (cuerpo.descripcion !== undefined) datos.descripcion = cuerpo.descripcion || null;
+  
+  if (cuerpo.compra_minima !== undefined) {
+    const compraMinima = vacio(cuerpo.compra_minima) ? 0 : parseFloat(cuerpo.compra_minima);
+    if (isNaN(compraMinima) || compraMinima < 0) return { error: 'Compra mínima inválida' };
+    datos.compra_minima = compraMinima;
+  }
+  
+  for (const campo of ['valido_desde', 'valido_hasta']) {
+    if (cuerpo[campo] === undefined) continue;
+    if (vacio(cuerpo[campo])) {
+      datos[campo] = null;
+    } else {
+      const fecha = new Date(cuerpo[campo]);
+      if (isNaN(fecha.getTime())) return { error: `Fecha inválida en ${campo}` };
+      datos[campo] = fecha;
+    }
+  }
+  
+  for (const campo of ['limite_usos', 'limite_por_cliente']) {
+    if (cuerpo[campo] === undefined) continue;
+    const limite = vacio(cuerpo[campo]) ? null : Number(cuerpo[campo]);
+    if (limite !== null && (!Number.isInteger(limite) || limite < 1)) {
+      return { error: `${campo} debe ser un entero mayor a cero` };
+    }
+    datos[campo] = limite;
+  }
+  
+  for (const campo of ['categoria_ids', 'producto_ids']) {
+    if (cuerpo[campo] === undefined) continue;
+    if (!esListaIdsOpcional(cuerpo[campo])) {
+      return { error: `${campo} debe ser una lista de ids` };
+    }
+    datos[campo] = [...new Set(cuerpo[campo])];
+  }
+  
+  if (cuerpo.activo !== undefined) datos.activo = Boolean(cuerpo.activo);
+  
+  return { datos };
+}
+
+// Reglas que dependen de varios campos; se comprueban con el cupón ya combinado
+function validarCupon(cupon) {
+  if (cupon.tipo === 'porcentaje' && parseFloat(cupon.valor) > 100) {
+    return 'Un cupón de porcentaje no puede pasar de 100';
+  }
+  if (cupon.valido_desde && cupon.valido_hasta && new Date(cupon.valido_hasta) <= new Date(cupon.valido_desde)) {
+    return 'valido_hasta debe ser posterior a valido_desde';
+  }
+  return null;
+}
+
+app.get('/api/admin/cupones', autenticarToken, requierePermiso('cupones:leer'), async (req, res) => {
   try {
-    const { buscar, limite = 100, activo } = req.query;
-    
-    let query = `
-      SELECT 
-        id, usuario, nombre, correo, telefono, direccion, 
-        ciudad, pais, activo, rol, fecha_creacion, ultima_sesion
-      FROM clientes
-      WHERE 1=1
-    `;
-    
+    const { buscar, activo } = req.query;
+    const condiciones = [];
     const params = [];
-    let paramIndex = 1;
-    
-    if (activo !== undefined) {
-      query += ` AND activo = $${paramIndex}`;
-      params.push(activo === 'true');
-      paramIndex++;
-    }
     
     if (buscar) {
-      query += ` AND (
-        LOWER(nombre) LIKE LOWER($${paramIndex}) OR 
-        LOWER(usuario) LIKE LOWER($${paramIndex}) OR 
-        LOWER(correo) LIKE LOWER($${paramIndex})
-      )`;
       params.push(`%${buscar}%`);
-      paramIndex++;
+      condiciones.push(`(c.codigo ILIKE $${params.length} OR c.descripcion ILIKE $${params.length})`);
     }
     
-    query += ` ORDER BY fecha_creacion DESC LIMIT $${paramIndex}`;
-    params.push(parseInt(limite));
+    if (activo !== undefined) {
+      params.push(activo === 'true');
+      condiciones.push(`c.activo = $${params.length}`);
+    }
     
-    const resultado = await pool.query(query, params);
+    const resultado = await pool.query(
+      `SELECT ${COLUMNAS_CUPON}
+       FROM cupones c
+       ${condiciones.length > 0 ? 'WHERE ' + condiciones.join(' AND ') : ''}
+       ORDER BY c.fecha_creacion DESC, c.id DESC`,
+      params
+    );
     
     res.json({
       exito: true,
@@ -1099,255 +8288,274 @@ app.get('/api/admin/clientes', autenticarToken, async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error obteniendo clientes:', error);
+    console.error('Error obteniendo cupones:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error obteniendo clientes',
+      mensaje: 'Error obteniendo cupones',
       error: error.message
     });
   }
 });
 
-app.get('/api/admin/clientes/:id', autenticarToken, async (req, res) => {
+app.get('/api/admin/cupones/:id', autenticarToken, requierePermiso('cupones:leer'), async (req, res) => {
   try {
     const resultado = await pool.query(
-      `SELECT 
-        id, usuario, nombre, correo, telefono, direccion, 
-        ciudad, pais, activo, rol, fecha_creacion, ultima_sesion
-      FROM clientes 
-      WHERE id = $1`,
+      `SELECT ${COLUMNAS_CUPON} FROM cupones c WHERE c.id = $1`,
       [req.params.id]
     );
     
     if (resultado.rows.length === 0) {
       return res.status(404).json({
         exito: false,
-        mensaje: 'Cliente no encontrado'
+        mensaje: 'Cupón no encontrado'
       });
     }
     
+    const usos = await pool.query(
+      `SELECT 
+        cu.id,
+        cu.venta_id,
+        v.numero_orden,
+        v.estado,
+        cu.correo,
+        cu.descuento,
+        cu.fecha
+      FROM cupon_usos cu
+      JOIN ventas v ON cu.venta_id = v.id
+      WHERE cu.cupon_id = $1
+      ORDER BY cu.fecha DESC
+      LIMIT 100`,
+      [req.params.id]
+    );
+    
     res.json({
       exito: true,
-      datos: resultado.rows[0]
+      datos: {
+        ...resultado.rows[0],
+        ultimos_usos: usos.rows
+      }
     });
     
   } catch (error) {
-    console.error('Error obteniendo cliente:', error);
+    console.error('Error obteniendo cupón:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error obteniendo cliente',
+      mensaje: 'Error obteniendo cupón',
       error: error.message
     });
   }
 });
 
-app.put('/api/admin/clientes/:id', autenticarToken, async (req, res) => {
+app.post('/api/admin/cupones', autenticarToken, requierePermiso('cupones:escribir'), async (req, res) => {
   try {
-    const { nombre, correo, telefono, direccion, ciudad, pais, activo } = req.body;
-    
-    const resultado = await pool.query(
-      `UPDATE clientes SET
-        nombre = COALESCE($1, nombre),
-        correo = COALESCE($2, correo),
-        telefono = COALESCE($3, telefono),
-        direccion = COALESCE($4, direccion),
-        ciudad = COALESCE($5, ciudad),
-        pais = COALESCE($6, pais),
-        activo = COALESCE($7, activo)
-      WHERE id = $8
-      RETURNING id, usuario, nombre, correo, telefono, direccion, ciudad, pais, activo, rol, fecha_creacion`,
-      [nombre, correo, telefono, direccion, ciudad, pais, activo, req.params.id]
-    );
+    const { error, datos } = leerDatosCupon(req.body, { parcial: false });
+    const errorCupon = error || validarCupon(datos);
     
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
+    if (errorCupon) {
+      return res.status(400).json({
         exito: false,
-        mensaje: 'Cliente no encontrado'
+        mensaje: errorCupon
       });
     }
     
-    console.log('✅ Cliente actualizado:', req.params.id);
+    const existente = await pool.query('SELECT id FROM cupones WHERE codigo = $1', [datos.codigo]);
     
-    res.json({
-      exito: true,
-      datos: resultado.rows[0]
-    });
+    if (existente.rows.length > 0) {
+      return res.status(400).json({
+        exito: false,
+        mensaje: 'El código ya está registrado'
+      });
+    }
     
-  } catch (error) {
-    console.error('Error actualizando cliente:', error);
-    res.status(500).json({
-      exito: false,
-      mensaje: 'Error actualizando cliente',
-      error: error.message
-    });
-  }
-});
-
-app.delete('/api/admin/clientes/:id', autenticarToken, async (req, res) => {
-  try {
     const resultado = await pool.query(
-      'DELETE FROM clientes WHERE id = $1 RETURNING id, nombre',
-      [req.params.id]
+      `INSERT INTO cupones
+        (codigo, descripcion, tipo, valor, compra_minima, valido_desde, valido_hasta,
+         limite_usos, limite_por_cliente, categoria_ids, producto_ids, activo)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *`,
+      [
+        datos.codigo,
+        datos.descripcion ?? null,
+        datos.tipo,
+        datos.valor,
+        datos.compra_minima ?? 0,
+        datos.valido_desde ?? null,
+        datos.valido_hasta ?? null,
+        datos.limite_usos ?? null,
+        datos.limite_por_cliente ?? null,
+        datos.categoria_ids ?? [],
+        datos.producto_ids ?? [],
+        datos.activo ?? true
+      ]
     );
     
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
-        exito: false,
-        mensaje: 'Cliente no encontrado'
-      });
-    }
+    await registrarAuditoria(pool, req, {
+      accion: 'crear',
+      entidad: 'cupon',
+      entidadId: resultado.rows[0].id,
+      despues: resultado.rows[0]
+    });
     
-    console.log('✅ Cliente eliminado:', req.params.id);
+    console.log('✅ Cupón creado:', datos.codigo);
     
-    res.json({
+    res.status(201).json({
       exito: true,
-      mensaje: 'Cliente eliminado exitosamente'
+      mensaje: 'Cupón creado exitosamente',
+      datos: resultado.rows[0]
     });
     
   } catch (error) {
-    console.error('Error eliminando cliente:', error);
+    console.error('Error creando cupón:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error eliminando cliente',
+      mensaje: 'Error creando cupón',
       error: error.message
     });
   }
 });
 
-// ============================================
-// RUTAS DE ADMIN - LOGIN
-// ============================================
-
-app.post('/api/admin/login', async (req, res) => {
+app.put('/api/admin/cupones/:id', autenticarToken, requierePermiso('cupones:escribir'), async (req, res) => {
   try {
-    const { usuario, contrasena } = req.body;
+    const actual = await pool.query('SELECT * FROM cupones WHERE id = $1', [req.params.id]);
     
-    if (!usuario || !contrasena) {
-      return res.status(400).json({
+    if (actual.rows.length === 0) {
+      return res.status(404).json({
         exito: false,
-        mensaje: 'Usuario y contraseña requeridos'
+        mensaje: 'Cupón no encontrado'
       });
     }
     
-    const resultado = await pool.query(
-      'SELECT * FROM administradores WHERE usuario = $1',
-      [usuario]
-    );
+    const { error, datos } = leerDatosCupon(req.body, { parcial: true });
+    const cupon = { ...actual.rows[0], ...datos };
+    const errorCupon = error || validarCupon(cupon);
     
-    if (resultado.rows.length === 0) {
-      return res.status(401).json({
+    if (errorCupon) {
+      return res.status(400).json({
         exito: false,
-        mensaje: 'Credenciales inválidas'
+        mensaje: errorCupon
       });
     }
     
-    const admin = resultado.rows[0];
-    const contrasenaValida = await bcrypt.compare(contrasena, admin.contrasena_hash);
-    
-    if (!contrasenaValida) {
-      return res.status(401).json({
-        exito: false,
-        mensaje: 'Credenciales inválidas'
-      });
+    if (datos.codigo && datos.codigo !== actual.rows[0].codigo) {
+      const existente = await pool.query(
+        'SELECT id FROM cupones WHERE codigo = $1 AND id <> $2',
+        [datos.codigo, req.params.id]
+      );
+      
+      if (existente.rows.length > 0) {
+        return res.status(400).json({
+          exito: false,
+          mensaje: 'El código ya está registrado'
+        });
+      }
     }
     
-    const token = jwt.sign(
-      {
-        idUsuario: admin.id,
-        usuario: admin.usuario,
-        nombre: admin.nombre,
-        rol: admin.rol
-      },
-      JWT_SECRET,
-      { expiresIn: '8h' }
+    const resultado = await pool.query(
+      `UPDATE cupones SET
+        codigo = $1,
+        descripcion = $2,
+        tipo = $3,
+        valor = $4,
+        compra_minima = $5,
+        valido_desde = $6,
+        valido_hasta = $7,
+        limite_usos = $8,
+        limite_por_cliente = $9,
+        categoria_ids = $10,
+        producto_ids = $11,
+        activo = $12,
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = $13
+      RETURNING *`,
+      [
+        cupon.codigo,
+        cupon.descripcion,
+        cupon.tipo,
+        cupon.valor,
+        cupon.compra_minima,
+        cupon.valido_desde,
+        cupon.valido_hasta,
+        cupon.limite_usos,
+        cupon.limite_por_cliente,
+        cupon.categoria_ids,
+        cupon.producto_ids,
+        cupon.activo,
+        req.params.id
+      ]
     );
     
-    const { contrasena_hash, ...datosAdmin } = admin;
+    await registrarAuditoria(pool, req, {
+      accion: 'actualizar',
+      entidad: 'cupon',
+      entidadId: resultado.rows[0].id,
+      antes: actual.rows[0],
+      despues: resultado.rows[0]
+    });
+    
+    console.log('✅ Cupón actualizado:', req.params.id);
     
     res.json({
       exito: true,
-      mensaje: 'Login exitoso',
-      datos: {
-        token: token,
-        usuario: datosAdmin
-      }
+      mensaje: 'Cupón actualizado exitosamente',
+      datos: resultado.rows[0]
     });
     
   } catch (error) {
-    console.error('Error en login admin:', error);
+    console.error('Error actualizando cupón:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error en el servidor',
+      mensaje: 'Error actualizando cupón',
       error: error.message
     });
   }
 });
 
-app.get('/api/admin/verificar', autenticarToken, (req, res) => {
-  res.json({
-    exito: true,
-    usuario: req.usuario
-  });
-});
-
-// ============================================
-// RUTA DE VENTAS
-// ============================================
-
-app.post('/api/ventas', async (req, res) => {
+// Un cupón que ya se usó no se borra (las ventas lo referencian): se desactiva
+app.delete('/api/admin/cupones/:id', autenticarToken, requierePermiso('cupones:escribir'), async (req, res) => {
   try {
-    console.log('💰 Creando venta:', req.body);
-    
-    const { datos_carrito, total, nombre_cliente, correo_cliente, telefono_cliente } = req.body;
+    const usos = await pool.query(
+      'SELECT COUNT(*)::int AS usos FROM cupon_usos WHERE cupon_id = $1',
+      [req.params.id]
+    );
     
-    if (!datos_carrito || !Array.isArray(datos_carrito) || datos_carrito.length === 0) {
-      return res.status(400).json({
+    if (usos.rows[0].usos > 0) {
+      return res.status(409).json({
         exito: false,
-        mensaje: 'Carrito vacío'
+        mensaje: 'El cupón ya se usó en ventas; desactívalo en lugar de eliminarlo'
       });
     }
     
-    if (!total || total <= 0) {
-      return res.status(400).json({
+    const resultado = await pool.query(
+      'DELETE FROM cupones WHERE id = $1 RETURNING *',
+      [req.params.id]
+    );
+    
+    if (resultado.rows.length === 0) {
+      return res.status(404).json({
         exito: false,
-        mensaje: 'Total inválido'
+        mensaje: 'Cupón no encontrado'
       });
     }
     
-    const numeroOrden = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-    
-    const resultado = await pool.query(
-      `INSERT INTO ventas (numero_orden, datos_carrito, total, nombre_cliente, correo_cliente, telefono_cliente, estado)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [
-        numeroOrden,
-        JSON.stringify(datos_carrito),
-        parseFloat(total),
-        nombre_cliente || 'Cliente',
-        correo_cliente || '',
-        telefono_cliente || '',
-        'pendiente'
-      ]
-    );
+    await registrarAuditoria(pool, req, {
+      accion: 'eliminar',
+      entidad: 'cupon',
+      entidadId: resultado.rows[0].id,
+      antes: resultado.rows[0]
+    });
     
-    console.log('✅ Venta creada:', resultado.rows[0].id);
+    console.log('✅ Cupón eliminado:', resultado.rows[0].codigo);
     
-    res.status(201).json({
+    res.json({
       exito: true,
-      mensaje: 'Venta registrada',
-      datos: {
-        idVenta: resultado.rows[0].id,
-        numeroOrden: numeroOrden,
-        total: parseFloat(total)
-      }
+      mensaje: 'Cupón eliminado exitosamente'
     });
     
   } catch (error) {
-    console.error('❌ Error en venta:', error);
+    console.error('Error eliminando cupón:', error);
     res.status(500).json({
       exito: false,
-      mensaje: 'Error registrando venta',
+      mensaje: 'Error eliminando cupón',
       error: error.message
     });
   }
@@ -1403,6 +8611,12 @@ async function iniciarServidor() {
     process.exit(1);
   }
   
+  // Con WEBHOOKS_DESPACHAR=false esta instancia solo encola; otra se encarga
+  // de los envíos
+  if (process.env.WEBHOOKS_DESPACHAR !== 'false') {
+    despachadorWebhooks.iniciar();
+  }
+  
   app.listen(PORT, '0.0.0.0', () => {
     console.log('');
     console.log('='.repeat(50));
@@ -1425,14 +8639,47 @@ async function iniciarServidor() {
     console.log('   GET  /api/productos');
     console.log('   GET  /api/productos/:id');
     console.log('   GET  /api/categorias');
+    console.log('   POST /api/clientes/olvide-contrasena');
+    console.log('   POST /api/clientes/restablecer-contrasena');
+    console.log('   GET  /api/clientes/me (token)');
+    console.log('   PUT  /api/clientes/me (token)');
+    console.log('   PUT  /api/clientes/me/contrasena (token)');
+    console.log('   DELETE /api/clientes/me (token)');
+    console.log('   GET  /api/clientes/me/ventas (token)');
     console.log('   POST /api/ventas');
+    console.log('   POST /api/cupones/validar');
     console.log('   POST /api/admin/login');
+    console.log('   POST /api/admin/refrescar');
+    console.log('   POST /api/admin/logout (token)');
     console.log('   GET  /api/admin/verificar (token)');
     console.log('   GET  /api/admin/productos (token)');
+    console.log('   GET  /api/admin/productos/exportar (token)');
+    console.log('   POST /api/admin/productos/importar (token)');
     console.log('   POST /api/admin/productos (token)');
     console.log('   PUT  /api/admin/productos/:id (token)');
     console.log('   DELETE /api/admin/productos/:id (token)');
     console.log('   GET  /api/admin/clientes (token)');
+    console.log('   GET  /api/admin/inventario/stock-bajo (token)');
+    console.log('   GET  /api/admin/papelera/productos (token)');
+    console.log('   GET  /api/admin/papelera/clientes (token)');
+    console.log('   GET  /api/admin/ventas (token)');
+    console.log('   GET  /api/admin/ventas/exportar (token)');
+    console.log('   GET  /api/admin/ventas/:id (token)');
+    console.log('   PUT  /api/admin/ventas/:id/estado (token)');
+    console.log('   GET  /api/admin/reportes/ventas (token)');
+    console.log('   GET  /api/admin/reportes/ventas/categorias (token)');
+    console.log('   GET  /api/admin/reportes/ventas/productos (token)');
+    console.log('   GET  /api/admin/reportes/ventas/exportar (token)');
+    console.log('   GET  /api/admin/cupones (token)');
+    console.log('   GET  /api/admin/webhooks (token)');
+    console.log('   POST /api/admin/webhooks (token)');
+    console.log('   GET  /api/admin/webhooks/:id/entregas (token)');
+    console.log('   POST /api/admin/webhooks/:id/entregas/:entregaId/reenviar (token)');
+    console.log('   GET  /api/admin/auditoria (token)');
+    console.log('   GET  /api/admin/intentos-login (token)');
+    console.log('   POST /api/admin/intentos-login/desbloquear (token)');
+    console.log('   GET  /api/admin/administradores (token)');
+    console.log('   POST /api/admin/administradores (token)');
     console.log('='.repeat(50));
     console.log('');
   });
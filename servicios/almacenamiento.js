@@ -0,0 +1,70 @@
+// servicios/almacenamiento.js - Adaptadores de almacenamiento de archivos
+// Para: El Chicho Shop
+//
+// Todos los adaptadores exponen la misma interfaz:
+//   guardar(clave, buffer, tipoMime) -> Promise
+//   eliminar(clave)                  -> Promise
+//   url(clave)                       -> URL pública del archivo
+// La clave es una ruta relativa con "/" (p. ej. productos/12/ab34-mediana.webp).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// ============================================
+// ADAPTADOR LOCAL (DISCO)
+// ============================================
+
+function crearAlmacenamientoLocal({ directorio, rutaPublica }) {
+  const raiz = path.resolve(directorio);
+
+  function resolverRuta(clave) {
+    const destino = path.resolve(raiz, clave);
+    if (!destino.startsWith(raiz + path.sep)) {
+      throw new Error(`Clave de archivo inválida: ${clave}`);
+    }
+    return destino;
+  }
+
+  return {
+    tipo: 'local',
+    directorio: raiz,
+    rutaPublica,
+
+    async guardar(clave, buffer) {
+      const destino = resolverRuta(clave);
+      await fs.mkdir(path.dirname(destino), { recursive: true });
+      await fs.writeFile(destino, buffer);
+    },
+
+    async eliminar(clave) {
+      await fs.rm(resolverRuta(clave), { force: true });
+    },
+
+    url(clave) {
+      return `${rutaPublica}/${clave}`;
+    }
+  };
+}
+
+// ============================================
+// SELECCIÓN POR CONFIGURACIÓN
+// ============================================
+
+// ALMACENAMIENTO elige el adaptador (por ahora solo "local").
+function crearAlmacenamiento(config = process.env) {
+  const tipo = config.ALMACENAMIENTO || 'local';
+
+  if (tipo === 'local') {
+    return crearAlmacenamientoLocal({
+      directorio: config.MEDIA_DIRECTORIO || path.join(__dirname, '..', 'media'),
+      rutaPublica: config.MEDIA_RUTA_PUBLICA || '/media'
+    });
+  }
+
+  throw new Error(`Adaptador de almacenamiento desconocido: ${tipo}`);
+}
+
+module.exports = {
+  crearAlmacenamiento,
+  crearAlmacenamientoLocal
+};
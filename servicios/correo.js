@@ -0,0 +1,121 @@
+// servicios/correo.js - Transportes de correo saliente
+// Para: El Chicho Shop
+//
+// Todos los transportes exponen la misma interfaz:
+//   enviar({ para, asunto, texto, html }) -> Promise
+// CORREO_TRANSPORTE elige cuál usar: "smtp" para producción, "archivo" para
+// guardar cada mensaje en disco y "consola" (por defecto) para verlos en el log.
+// Con NODE_ENV=production hay que elegirlo explícitamente y "consola" no se
+// acepta: los correos llevan enlaces con tokens que no deben quedar en el log.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// ============================================
+// ADAPTADOR SMTP
+// ============================================
+
+function crearTransporteSmtp({ host, puerto, seguro, usuario, contrasena, remitente }) {
+  // nodemailer solo se carga si de verdad se usa SMTP
+  const nodemailer = require('nodemailer');
+  const transporte = nodemailer.createTransport({
+    host,
+    port: puerto,
+    secure: seguro,
+    auth: usuario ? { user: usuario, pass: contrasena } : undefined
+  });
+
+  return {
+    tipo: 'smtp',
+
+    async enviar({ para, asunto, texto, html }) {
+      await transporte.sendMail({ from: remitente, to: para, subject: asunto, text: texto, html });
+    }
+  };
+}
+
+// ============================================
+// ADAPTADOR DE ARCHIVOS (DESARROLLO)
+// ============================================
+
+// Cada mensaje queda como un .json en `directorio`, útil para pruebas
+function crearTransporteArchivo({ directorio, remitente }) {
+  const raiz = path.resolve(directorio);
+
+  return {
+    tipo: 'archivo',
+    directorio: raiz,
+
+    async enviar({ para, asunto, texto, html }) {
+      await fs.mkdir(raiz, { recursive: true });
+      const nombre = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const mensaje = { de: remitente, para, asunto, texto, html, fecha: new Date().toISOString() };
+      await fs.writeFile(path.join(raiz, nombre), JSON.stringify(mensaje, null, 2));
+    }
+  };
+}
+
+// ============================================
+// ADAPTADOR DE CONSOLA (DESARROLLO)
+// ============================================
+
+function crearTransporteConsola({ remitente }) {
+  return {
+    tipo: 'consola',
+
+    async enviar({ para, asunto, texto }) {
+      console.log(`📧 Correo de ${remitente} para ${para}: ${asunto}\n${texto}`);
+    }
+  };
+}
+
+// ============================================
+// SELECCIÓN POR CONFIGURACIÓN
+// ============================================
+
+function crearTransporteCorreo(config = process.env) {
+  const produccion = config.NODE_ENV === 'production';
+  const tipo = config.CORREO_TRANSPORTE || (produccion ? null : 'consola');
+  const remitente = config.CORREO_REMITENTE || 'El Chicho Shop <no-responder@elchicho.shop>';
+
+  if (!tipo) {
+    throw new Error('En producción hay que indicar CORREO_TRANSPORTE (smtp o archivo)');
+  }
+
+  if (tipo === 'smtp') {
+    if (!config.SMTP_HOST) {
+      throw new Error('CORREO_TRANSPORTE=smtp requiere SMTP_HOST');
+    }
+    return crearTransporteSmtp({
+      host: config.SMTP_HOST,
+      puerto: parseInt(config.SMTP_PUERTO) || 587,
+      seguro: config.SMTP_SEGURO === 'true',
+      usuario: config.SMTP_USUARIO,
+      contrasena: config.SMTP_CONTRASENA,
+      remitente
+    });
+  }
+
+  if (tipo === 'archivo') {
+    return crearTransporteArchivo({
+      directorio: config.CORREO_DIRECTORIO || path.join(__dirname, '..', 'correos'),
+      remitente
+    });
+  }
+
+  if (tipo === 'consola') {
+    if (produccion) {
+      throw new Error('CORREO_TRANSPORTE=consola es solo para desarrollo');
+    }
+    return crearTransporteConsola({ remitente });
+  }
+
+  throw new Error(`Transporte de correo desconocido: ${tipo}`);
+}
+
+module.exports = {
+  crearTransporteCorreo,
+  crearTransporteSmtp,
+  crearTransporteArchivo,
+  crearTransporteConsola
+};
@@ -0,0 +1,151 @@
+// servicios/csv.js - Lectura y escritura de archivos CSV
+// Para: El Chicho Shop
+//
+// Sigue RFC 4180: campos entre comillas cuando contienen el separador, comillas
+// o saltos de línea, y "" para una comilla dentro de un campo. Al leer acepta
+// "," o ";" (Excel en español guarda con punto y coma) y quita el BOM.
+
+const BOM = '\uFEFF';
+
+// Un texto que empieza con estos caracteres Excel lo interpreta como fórmula.
+// Al exportar se antepone un apóstrofo y al importar se quita.
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+const NUMERO = /^-?\d+(\.\d+)?$/;
+
+// ============================================
+// ESCRITURA
+// ============================================
+
+function escaparCampo(valor, separador) {
+  if (valor === null || valor === undefined) return '';
+
+  let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+
+  if (INICIO_FORMULA.test(texto) && !NUMERO.test(texto)) {
+    texto = `'${texto}`;
+  }
+
+  if (texto.includes(separador) || texto.includes('"') || /[\r\n]/.test(texto) || texto !== texto.trim()) {
+    return `"${texto.replace(/"/g, '""')}"`;
+  }
+  return texto;
+}
+
+// Una línea terminada en \r\n, para escribir el archivo por partes
+function lineaCsv(valores, { separador = ',' } = {}) {
+  return valores.map(valor => escaparCampo(valor, separador)).join(separador) + '\r\n';
+}
+
+// `columnas` es [{ clave, titulo }]; el título va en el encabezado y la clave
+// se busca en cada fila
+function convertirACsv(filas, columnas, { separador = ',', bom = true } = {}) {
+  let texto = bom ? BOM : '';
+  texto += lineaCsv(columnas.map(columna => columna.titulo), { separador });
+  for (const fila of filas) {
+    texto += lineaCsv(columnas.map(columna => fila[columna.clave]), { separador });
+  }
+  return texto;
+}
+
+// ============================================
+// LECTURA
+// ============================================
+
+// Elige el separador que más aparece en la primera línea (fuera de comillas)
+function detectarSeparador(texto) {
+  const conteo = { ',': 0, ';': 0 };
+  let entreComillas = false;
+
+  for (const caracter of texto) {
+    if (caracter === '"') entreComillas = !entreComillas;
+    else if (!entreComillas && (caracter === '\n' || caracter === '\r')) break;
+    else if (!entreComillas && caracter in conteo) conteo[caracter]++;
+  }
+
+  return conteo[';'] > conteo[','] ? ';' : ',';
+}
+
+function limpiarCampo(campo) {
+  return /^'[=+\-@\t\r]/.test(campo) ? campo.slice(1) : campo;
+}
+
+// Devuelve las filas como listas de textos. Lanza un error si una comilla
+// queda sin cerrar.
+function leerCsv(texto, { separador } = {}) {
+  const contenido = texto.startsWith(BOM) ? texto.slice(1) : texto;
+  const sep = separador || detectarSeparador(contenido);
+  const filas = [];
+  let fila = [];
+  let campo = '';
+  let entreComillas = false;
+
+  for (let i = 0; i < contenido.length; i++) {
+    const caracter = contenido[i];
+
+    if (entreComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        campo += caracter;
+      }
+      continue;
+    }
+
+    if (caracter === '"') {
+      entreComillas = true;
+    } else if (caracter === sep) {
+      fila.push(limpiarCampo(campo));
+      campo = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+      fila.push(limpiarCampo(campo));
+      filas.push(fila);
+      fila = [];
+      campo = '';
+    } else {
+      campo += caracter;
+    }
+  }
+
+  if (entreComillas) {
+    throw new Error('El archivo tiene comillas sin cerrar');
+  }
+
+  if (campo !== '' || fila.length > 0) {
+    fila.push(limpiarCampo(campo));
+    filas.push(fila);
+  }
+
+  // Las líneas vacías (p. ej. al final del archivo) no cuentan
+  return filas.filter(valores => valores.some(valor => valor.trim() !== ''));
+}
+
+// Usa la primera fila como encabezado (en minúsculas y sin espacios) y
+// devuelve { encabezados, registros }, donde cada registro es un objeto con
+// los campos recortados y `linea` es su número de línea de datos (1 = la
+// primera después del encabezado).
+function leerCsvConEncabezados(texto, opciones) {
+  const [encabezado = [], ...filas] = leerCsv(texto, opciones);
+  const encabezados = encabezado.map(titulo => titulo.trim().toLowerCase());
+
+  const registros = filas.map((valores, indice) => {
+    const registro = { linea: indice + 1 };
+    encabezados.forEach((clave, posicion) => {
+      if (clave) registro[clave] = (valores[posicion] ?? '').trim();
+    });
+    return registro;
+  });
+
+  return { encabezados, registros };
+}
+
+module.exports = {
+  BOM,
+  lineaCsv,
+  convertirACsv,
+  leerCsv,
+  leerCsvConEncabezados
+};
@@ -0,0 +1,147 @@
+// servicios/exportacion.js - Descarga de tablas en CSV o XLSX
+// Para: El Chicho Shop
+//
+// Escribe las filas en la respuesta a medida que llegan, sin armar el archivo
+// completo en memoria. Las dos salidas exponen la misma interfaz:
+//   hoja(nombre, columnas) -> empieza una tabla; columnas es [{ clave, titulo, tipo?, ancho? }]
+//   fila(objeto)           -> Promise; agrega una fila a la hoja actual
+//   terminar()             -> Promise; cierra el archivo y la respuesta
+// El CSV admite una sola hoja. `tipo` puede ser 'numero' o 'fecha': en XLSX
+// la celda queda con ese tipo (los DECIMAL llegan de pg como texto).
+
+const ExcelJS = require('exceljs');
+const { BOM, lineaCsv } = require('./csv');
+
+const FORMATOS_EXPORTACION = {
+  csv: { tipoMime: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { tipoMime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+function convertirValor(valor, tipo) {
+  if (valor === null || valor === undefined) return null;
+  if (tipo === 'numero') return Number(valor);
+  if (tipo === 'fecha') return valor instanceof Date ? valor : new Date(valor);
+  if (typeof valor === 'object' && !(valor instanceof Date)) return JSON.stringify(valor);
+  return valor;
+}
+
+// Espera a que la respuesta vacíe su búfer antes de seguir escribiendo. Si el
+// cliente corta la descarga rechaza, para que quien exporta deje de leer filas
+// en lugar de quedarse esperando un 'drain' que no va a llegar.
+function esperarVaciado(res) {
+  if (res.destroyed) return Promise.reject(new Error('La descarga se interrumpió'));
+  if (!res.writableNeedDrain) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const limpiar = () => {
+      res.off('drain', alVaciar);
+      res.off('close', alCerrar);
+      res.off('error', alCerrar);
+    };
+    const alVaciar = () => {
+      limpiar();
+      resolve();
+    };
+    const alCerrar = (error) => {
+      limpiar();
+      reject(error || new Error('La descarga se interrumpió'));
+    };
+
+    res.on('drain', alVaciar);
+    res.on('close', alCerrar);
+    res.on('error', alCerrar);
+  });
+}
+
+function escribir(res, texto) {
+  res.write(texto);
+  return esperarVaciado(res);
+}
+
+// ============================================
+// CSV
+// ============================================
+
+function crearExportacionCsv(res, { separador = ',' } = {}) {
+  let columnas = null;
+
+  return {
+    hoja(nombre, columnasHoja) {
+      if (columnas) throw new Error('El CSV admite una sola hoja');
+      columnas = columnasHoja;
+      return escribir(res, BOM + lineaCsv(columnas.map(columna => columna.titulo), { separador }));
+    },
+
+    fila(objeto) {
+      const valores = columnas.map(columna => convertirValor(objeto[columna.clave], columna.tipo));
+      return escribir(res, lineaCsv(valores, { separador }));
+    },
+
+    async terminar() {
+      res.end();
+    }
+  };
+}
+
+// ============================================
+// XLSX
+// ============================================
+
+function crearExportacionXlsx(res) {
+  const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  let hoja = null;
+  let columnas = null;
+
+  return {
+    async hoja(nombre, columnasHoja) {
+      if (hoja) hoja.commit();
+
+      // Excel no acepta más de 31 caracteres ni algunos símbolos en el nombre
+      hoja = libro.addWorksheet(nombre.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+      columnas = columnasHoja;
+      hoja.columns = columnas.map(columna => ({
+        header: columna.titulo,
+        key: columna.clave,
+        width: columna.ancho || Math.max(12, columna.titulo.length + 2),
+        style: columna.tipo === 'fecha' ? { numFmt: 'yyyy-mm-dd hh:mm' } : undefined
+      }));
+      hoja.getRow(1).font = { bold: true };
+      hoja.getRow(1).commit();
+    },
+
+    // ExcelJS escribe en la respuesta sin mirar si tiene el búfer lleno, así
+    // que la espera se hace aquí
+    fila(objeto) {
+      const valores = {};
+      for (const columna of columnas) {
+        valores[columna.clave] = convertirValor(objeto[columna.clave], columna.tipo);
+      }
+      hoja.addRow(valores).commit();
+      return esperarVaciado(res);
+    },
+
+    async terminar() {
+      if (hoja) hoja.commit();
+      await libro.commit();
+    }
+  };
+}
+
+// Pone las cabeceras de descarga y devuelve el escritor del formato pedido.
+// `nombreArchivo` va sin extensión.
+function crearExportacion(res, { formato, nombreArchivo, separador }) {
+  const datosFormato = FORMATOS_EXPORTACION[formato];
+  if (!datosFormato) throw new Error(`Formato de exportación desconocido: ${formato}`);
+
+  res.setHeader('Content-Type', datosFormato.tipoMime);
+  res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}.${datosFormato.extension}"`);
+
+  return formato === 'csv'
+    ? crearExportacionCsv(res, { separador })
+    : crearExportacionXlsx(res);
+}
+
+module.exports = {
+  FORMATOS_EXPORTACION,
+  crearExportacion
+};
@@ -0,0 +1,97 @@
+// servicios/medios.js - Procesamiento de imágenes de productos
+// Para: El Chicho Shop
+//
+// Cada imagen se guarda como un grupo de archivos WebP que comparten una
+// clave base: <clave>-original.webp, <clave>-grande.webp, etc.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Ancho máximo de cada variante (la original conserva su tamaño)
+const VARIANTES_IMAGEN = {
+  grande: 1200,
+  mediana: 600,
+  miniatura: 150
+};
+
+const TIPOS_IMAGEN_PERMITIDOS = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+function archivoVariante(clave, variante) {
+  return `${clave}-${variante}.webp`;
+}
+
+// Acepta tanto "data:image/png;base64,AAAA" como el base64 sin prefijo.
+function decodificarImagenBase64(texto) {
+  const coincidencia = /^data:([\w/+.-]+);base64,(.*)$/s.exec(texto);
+  const datos = coincidencia ? coincidencia[2] : texto;
+  return Buffer.from(datos, 'base64');
+}
+
+// Devuelve true si el buffer es una imagen que sharp puede procesar.
+async function esImagenValida(buffer) {
+  try {
+    const metadatos = await sharp(buffer).metadata();
+    return ['jpeg', 'png', 'webp', 'gif'].includes(metadatos.format);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Genera las variantes y las guarda. Devuelve la clave base y las medidas de
+// la original; si algo falla se borran los archivos ya escritos.
+async function guardarImagenProducto(almacenamiento, productoId, buffer) {
+  const clave = `productos/${productoId}/${crypto.randomBytes(8).toString('hex')}`;
+  const original = sharp(buffer, { failOn: 'error' }).rotate();
+  const metadatos = await original.metadata();
+  const escritos = [];
+
+  try {
+    const archivoOriginal = archivoVariante(clave, 'original');
+    await almacenamiento.guardar(archivoOriginal, await original.clone().webp({ quality: 90 }).toBuffer(), 'image/webp');
+    escritos.push(archivoOriginal);
+
+    for (const [variante, ancho] of Object.entries(VARIANTES_IMAGEN)) {
+      const archivo = archivoVariante(clave, variante);
+      const contenido = await original
+        .clone()
+        .resize({ width: ancho, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      await almacenamiento.guardar(archivo, contenido, 'image/webp');
+      escritos.push(archivo);
+    }
+  } catch (error) {
+    await Promise.all(escritos.map(archivo => almacenamiento.eliminar(archivo).catch(() => {})));
+    throw error;
+  }
+
+  return {
+    clave,
+    ancho: metadatos.autoOrient ? metadatos.autoOrient.width : metadatos.width,
+    alto: metadatos.autoOrient ? metadatos.autoOrient.height : metadatos.height,
+    tamano_bytes: buffer.length
+  };
+}
+
+async function eliminarImagenProducto(almacenamiento, clave) {
+  const variantes = ['original', ...Object.keys(VARIANTES_IMAGEN)];
+  await Promise.all(variantes.map(variante => almacenamiento.eliminar(archivoVariante(clave, variante))));
+}
+
+function urlsImagen(almacenamiento, clave) {
+  const urls = { original: almacenamiento.url(archivoVariante(clave, 'original')) };
+  Object.keys(VARIANTES_IMAGEN).forEach(variante => {
+    urls[variante] = almacenamiento.url(archivoVariante(clave, variante));
+  });
+  return urls;
+}
+
+module.exports = {
+  VARIANTES_IMAGEN,
+  TIPOS_IMAGEN_PERMITIDOS,
+  decodificarImagenBase64,
+  esImagenValida,
+  guardarImagenProducto,
+  eliminarImagenProducto,
+  urlsImagen
+};
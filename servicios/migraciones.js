@@ -0,0 +1,211 @@
+// servicios/migraciones.js - Migraciones versionadas del esquema
+// Para: El Chicho Shop
+//
+// Cada archivo de migraciones/ se llama NNN_nombre.js y exporta:
+//   descripcion  -> texto corto que se muestra en el estado
+//   up(db)       -> Promise, aplica el cambio
+//   down(db)     -> Promise, lo deshace (o lanza un error si no es reversible)
+// Las migraciones aplicadas quedan en la tabla schema_migrations. Cada una corre
+// en su propia transacción, y un advisory lock evita que dos procesos (p. ej.
+// dos instancias arrancando a la vez) migren al mismo tiempo.
+
+const fs = require('fs');
+const path = require('path');
+
+const DIRECTORIO_MIGRACIONES = path.join(__dirname, '..', 'migraciones');
+const PATRON_ARCHIVO = /^(\d+)_([\w-]+)\.js$/;
+// Clave arbitraria y fija para pg_advisory_lock
+const CLAVE_BLOQUEO = 7301203;
+
+// ============================================
+// CARGA DE ARCHIVOS
+// ============================================
+
+function cargarMigraciones(directorio = DIRECTORIO_MIGRACIONES) {
+  const archivos = fs.existsSync(directorio) ? fs.readdirSync(directorio) : [];
+  const migraciones = [];
+  const versiones = new Set();
+
+  for (const archivo of archivos) {
+    const coincidencia = archivo.match(PATRON_ARCHIVO);
+    if (!coincidencia) continue;
+
+    const version = coincidencia[1];
+    if (versiones.has(version)) {
+      throw new Error(`Versión de migración duplicada: ${version}`);
+    }
+    versiones.add(version);
+
+    const modulo = require(path.join(directorio, archivo));
+    if (typeof modulo.up !== 'function' || typeof modulo.down !== 'function') {
+      throw new Error(`La migración ${archivo} debe exportar up() y down()`);
+    }
+
+    migraciones.push({
+      version,
+      nombre: coincidencia[2],
+      descripcion: modulo.descripcion || coincidencia[2],
+      up: modulo.up,
+      down: modulo.down
+    });
+  }
+
+  return migraciones.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// ============================================
+// REGISTRO EN BASE DE DATOS
+// ============================================
+
+async function asegurarTabla(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      nombre VARCHAR(255) NOT NULL,
+      aplicada_en TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function versionesAplicadas(db) {
+  const resultado = await db.query(
+    'SELECT version, nombre, aplicada_en FROM schema_migrations ORDER BY version'
+  );
+  return new Map(resultado.rows.map(fila => [fila.version, fila]));
+}
+
+// Toma una conexión propia con el advisory lock durante toda la operación
+async function conBloqueo(pool, fn) {
+  const cliente = await pool.connect();
+  try {
+    await cliente.query('SELECT pg_advisory_lock($1)', [CLAVE_BLOQUEO]);
+    try {
+      await asegurarTabla(cliente);
+      return await fn(cliente);
+    } finally {
+      await cliente.query('SELECT pg_advisory_unlock($1)', [CLAVE_BLOQUEO]);
+    }
+  } finally {
+    cliente.release();
+  }
+}
+
+async function ejecutarEnTransaccion(cliente, fn) {
+  await cliente.query('BEGIN');
+  try {
+    await fn();
+    await cliente.query('COMMIT');
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// ============================================
+// OPERACIONES
+// ============================================
+
+// Lista todas las migraciones conocidas con su estado. Las versiones que están
+// en schema_migrations pero ya no tienen archivo se marcan como huérfanas.
+async function estadoMigraciones(pool, { directorio } = {}) {
+  const migraciones = cargarMigraciones(directorio);
+  return conBloqueo(pool, async (cliente) => {
+    const aplicadas = await versionesAplicadas(cliente);
+    const estado = migraciones.map(m => ({
+      version: m.version,
+      nombre: m.nombre,
+      descripcion: m.descripcion,
+      aplicada: aplicadas.has(m.version),
+      aplicada_en: aplicadas.has(m.version) ? aplicadas.get(m.version).aplicada_en : null
+    }));
+
+    const conocidas = new Set(migraciones.map(m => m.version));
+    for (const [version, fila] of aplicadas) {
+      if (!conocidas.has(version)) {
+        estado.push({
+          version,
+          nombre: fila.nombre,
+          descripcion: 'Sin archivo de migración',
+          aplicada: true,
+          aplicada_en: fila.aplicada_en,
+          huerfana: true
+        });
+      }
+    }
+
+    return estado.sort((a, b) => Number(a.version) - Number(b.version));
+  });
+}
+
+// Aplica en orden todas las migraciones pendientes. Si una falla se revierte
+// solo esa y se detiene el proceso; las anteriores quedan aplicadas.
+async function aplicarMigraciones(pool, { directorio, log = console.log } = {}) {
+  const migraciones = cargarMigraciones(directorio);
+  return conBloqueo(pool, async (cliente) => {
+    const aplicadas = await versionesAplicadas(cliente);
+    const nuevas = [];
+
+    for (const migracion of migraciones) {
+      if (aplicadas.has(migracion.version)) continue;
+
+      try {
+        await ejecutarEnTransaccion(cliente, async () => {
+          await migracion.up(cliente);
+          await cliente.query(
+            'INSERT INTO schema_migrations (version, nombre) VALUES ($1, $2)',
+            [migracion.version, migracion.nombre]
+          );
+        });
+      } catch (error) {
+        error.message = `Migración ${migracion.version}_${migracion.nombre}: ${error.message}`;
+        throw error;
+      }
+
+      log(`✅ Migración ${migracion.version}_${migracion.nombre} aplicada`);
+      nuevas.push(migracion.version);
+    }
+
+    return nuevas;
+  });
+}
+
+// Revierte las últimas `pasos` migraciones aplicadas, de la más nueva a la más vieja
+async function revertirMigraciones(pool, { pasos = 1, directorio, log = console.log } = {}) {
+  const porVersion = new Map(cargarMigraciones(directorio).map(m => [m.version, m]));
+  return conBloqueo(pool, async (cliente) => {
+    const aplicadas = [...(await versionesAplicadas(cliente)).keys()]
+      .sort((a, b) => Number(b) - Number(a))
+      .slice(0, pasos);
+    const revertidas = [];
+
+    for (const version of aplicadas) {
+      const migracion = porVersion.get(version);
+      if (!migracion) {
+        throw new Error(`No existe el archivo de la migración ${version}; no se puede revertir`);
+      }
+
+      try {
+        await ejecutarEnTransaccion(cliente, async () => {
+          await migracion.down(cliente);
+          await cliente.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+      } catch (error) {
+        error.message = `Migración ${migracion.version}_${migracion.nombre}: ${error.message}`;
+        throw error;
+      }
+
+      log(`↩️ Migración ${migracion.version}_${migracion.nombre} revertida`);
+      revertidas.push(version);
+    }
+
+    return revertidas;
+  });
+}
+
+module.exports = {
+  DIRECTORIO_MIGRACIONES,
+  cargarMigraciones,
+  estadoMigraciones,
+  aplicarMigraciones,
+  revertirMigraciones
+};
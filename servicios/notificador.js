@@ -0,0 +1,101 @@
+// servicios/notificador.js - Avisos para los administradores de la tienda
+// Para: El Chicho Shop
+//
+// Todos los notificadores exponen la misma interfaz:
+//   notificar({ evento, asunto, texto, datos }) -> Promise
+// `evento` identifica el aviso (p. ej. "stock.bajo") y `datos` lleva el detalle
+// para los notificadores que no son texto. NOTIFICADOR elige cuál usar:
+// "correo" (por el transporte de servicios/correo.js), "consola" (por defecto)
+// o "ninguno". Se pueden combinar separándolos por comas ("correo,consola").
+
+// ============================================
+// NOTIFICADOR POR CORREO
+// ============================================
+
+function crearNotificadorCorreo({ transporteCorreo, destinatarios }) {
+  if (destinatarios.length === 0) {
+    throw new Error('NOTIFICADOR=correo requiere NOTIFICADOR_CORREO (o ADMIN_EMAIL)');
+  }
+
+  return {
+    tipo: 'correo',
+
+    async notificar({ asunto, texto }) {
+      await transporteCorreo.enviar({ para: destinatarios.join(', '), asunto, texto });
+    }
+  };
+}
+
+// ============================================
+// NOTIFICADOR DE CONSOLA (DESARROLLO)
+// ============================================
+
+function crearNotificadorConsola() {
+  return {
+    tipo: 'consola',
+
+    async notificar({ evento, asunto, texto }) {
+      console.log(`🔔 [${evento}] ${asunto}\n${texto}`);
+    }
+  };
+}
+
+function crearNotificadorNulo() {
+  return {
+    tipo: 'ninguno',
+
+    async notificar() {}
+  };
+}
+
+// Reparte cada aviso entre varios notificadores; si uno falla los demás
+// igual lo reciben
+function combinarNotificadores(notificadores) {
+  return {
+    tipo: notificadores.map(notificador => notificador.tipo).join(','),
+
+    async notificar(aviso) {
+      const resultados = await Promise.allSettled(notificadores.map(notificador => notificador.notificar(aviso)));
+      const fallido = resultados.find(resultado => resultado.status === 'rejected');
+      if (fallido) throw fallido.reason;
+    }
+  };
+}
+
+// ============================================
+// SELECCIÓN POR CONFIGURACIÓN
+// ============================================
+
+function crearNotificador({ transporteCorreo } = {}, config = process.env) {
+  const tipos = (config.NOTIFICADOR || 'consola').split(',').map(tipo => tipo.trim()).filter(Boolean);
+
+  const notificadores = tipos.map((tipo) => {
+    if (tipo === 'correo') {
+      const destinatarios = (config.NOTIFICADOR_CORREO || config.ADMIN_EMAIL || '')
+        .split(',')
+        .map(correo => correo.trim())
+        .filter(Boolean);
+      return crearNotificadorCorreo({ transporteCorreo, destinatarios });
+    }
+
+    if (tipo === 'consola') {
+      return crearNotificadorConsola();
+    }
+
+    if (tipo === 'ninguno') {
+      return crearNotificadorNulo();
+    }
+
+    throw new Error(`Notificador desconocido: ${tipo}`);
+  });
+
+  return notificadores.length === 1 ? notificadores[0] : combinarNotificadores(notificadores);
+}
+
+module.exports = {
+  crearNotificador,
+  crearNotificadorCorreo,
+  crearNotificadorConsola,
+  crearNotificadorNulo,
+  combinarNotificadores
+};
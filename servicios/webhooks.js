@@ -0,0 +1,334 @@
+// servicios/webhooks.js - Webhooks salientes
+// Para: El Chicho Shop
+//
+// Los eventos se encolan en webhook_entregas dentro de la misma transacción
+// que hizo el cambio (si la transacción se deshace no se avisa de nada) y un
+// despachador los envía después, con reintentos.
+//
+// Cada envío es un POST con el JSON { id, evento, fecha, datos } y estas
+// cabeceras:
+//   X-Webhook-Evento   nombre del evento
+//   X-Webhook-Entrega  id de la entrega (cambia en cada reenvío manual)
+//   X-Webhook-Firma    t=<segundos unix>,v1=<HMAC-SHA256 en hex>
+// La firma se calcula con el secreto del webhook sobre "<t>.<cuerpo>"; quien
+// recibe debe recalcularla y descartar los mensajes con un t muy viejo.
+//
+// No se envía a direcciones de la red interna (loopback, redes privadas,
+// link-local como el servicio de metadatos de la nube) salvo con
+// permitirInternos, pensado para desarrollo.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const EVENTOS_WEBHOOK = [
+  'venta.creada',
+  'venta.estado_cambiado',
+  'producto.actualizado',
+  'stock.bajo'
+];
+
+// Segundos de espera antes de cada reintento; agotados estos la entrega
+// queda como fallida (se puede reenviar desde el panel)
+const RETRASOS_REINTENTO = [30, 120, 600, 1800, 7200, 21600];
+const MAXIMO_INTENTOS = RETRASOS_REINTENTO.length + 1;
+
+// Mientras se envía, la entrega queda reservada este tiempo; si el proceso se
+// cae a mitad de camino, otra vuelta del despachador la retoma
+const SEGUNDOS_RESERVA = 120;
+const MS_ESPERA_RESPUESTA = 10000;
+const LARGO_MAXIMO_ERROR = 500;
+
+const REDES_INTERNAS = new net.BlockList();
+REDES_INTERNAS.addSubnet('0.0.0.0', 8);
+REDES_INTERNAS.addSubnet('10.0.0.0', 8);
+REDES_INTERNAS.addSubnet('100.64.0.0', 10);
+REDES_INTERNAS.addSubnet('127.0.0.0', 8);
+REDES_INTERNAS.addSubnet('169.254.0.0', 16);
+REDES_INTERNAS.addSubnet('172.16.0.0', 12);
+REDES_INTERNAS.addSubnet('192.168.0.0', 16);
+REDES_INTERNAS.addSubnet('224.0.0.0', 3);
+REDES_INTERNAS.addAddress('::', 'ipv6');
+REDES_INTERNAS.addAddress('::1', 'ipv6');
+REDES_INTERNAS.addSubnet('fc00::', 7, 'ipv6');
+REDES_INTERNAS.addSubnet('fe80::', 10, 'ipv6');
+
+function esDireccionInterna(direccion) {
+  const mapeada = direccion.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapeada) return REDES_INTERNAS.check(mapeada[1], 'ipv4');
+  return REDES_INTERNAS.check(direccion, net.isIPv6(direccion) ? 'ipv6' : 'ipv4');
+}
+
+// Revisa el host tal como está escrito en la URL, sin resolverlo: sirve para
+// rechazar la URL al darla de alta
+function esDestinoInterno(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && esDireccionInterna(host);
+}
+
+function errorDestinoInterno() {
+  return new Error('La URL apunta a una dirección de la red interna');
+}
+
+// dns.lookup para la conexión del envío: falla si el nombre resuelve a una
+// dirección interna. Como es la misma búsqueda que usa el socket, la dirección
+// revisada es la dirección a la que se conecta; un DNS que cambia de respuesta
+// entre una revisión previa y el envío no sirve para llegar a la red interna.
+// (Con un host que ya es una IP el socket no resuelve nada: eso lo cubre
+// esDestinoInterno.)
+function buscarDireccionPublica(host, opciones, callback) {
+  dns.lookup(host, { ...opciones, all: true }, (error, direcciones) => {
+    if (error) return callback(error);
+    if (direcciones.some(({ address }) => esDireccionInterna(address))) {
+      return callback(errorDestinoInterno());
+    }
+    if (opciones.all) return callback(null, direcciones);
+    callback(null, direcciones[0].address, direcciones[0].family);
+  });
+}
+
+// Hace el POST y resuelve { codigo, texto }. Del cuerpo de la respuesta solo
+// se leen hasta LARGO_MAXIMO_ERROR bytes, y solo si no es 2xx; lo demás se
+// descarta cerrando la conexión. Las redirecciones no se siguen.
+function enviarPost(url, { headers, cuerpo, permitirInternos }) {
+  return new Promise((resolve, reject) => {
+    const destino = new URL(url);
+    const modulo = destino.protocol === 'https:' ? https : http;
+
+    const peticion = modulo.request(destino, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(cuerpo) },
+      lookup: permitirInternos ? undefined : buscarDireccionPublica
+    }, (respuesta) => {
+      const codigo = respuesta.statusCode;
+
+      if (codigo >= 200 && codigo < 300) {
+        respuesta.destroy();
+        resolve({ codigo, texto: '' });
+        return;
+      }
+
+      const trozos = [];
+      let largo = 0;
+
+      respuesta.on('data', (trozo) => {
+        trozos.push(trozo);
+        largo += trozo.length;
+        if (largo >= LARGO_MAXIMO_ERROR) respuesta.destroy();
+      });
+      respuesta.on('close', () => {
+        resolve({ codigo, texto: Buffer.concat(trozos).toString('utf8').slice(0, LARGO_MAXIMO_ERROR) });
+      });
+    });
+
+    const temporizador = setTimeout(() => {
+      peticion.destroy(new Error('Sin respuesta a tiempo'));
+    }, MS_ESPERA_RESPUESTA);
+
+    peticion.on('close', () => clearTimeout(temporizador));
+    peticion.on('error', reject);
+    peticion.end(cuerpo);
+  });
+}
+
+function generarSecreto() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function firmar(secreto, marcaTiempo, cuerpo) {
+  const firma = crypto.createHmac('sha256', secreto).update(`${marcaTiempo}.${cuerpo}`).digest('hex');
+  return `t=${marcaTiempo},v1=${firma}`;
+}
+
+// Deja una entrega pendiente por cada webhook activo suscrito al evento (o a
+// "*"). `db` debe ser el cliente de la transacción que hizo el cambio.
+// Devuelve la cantidad de entregas encoladas.
+async function encolarEvento(db, evento, datos) {
+  const carga = { id: crypto.randomUUID(), evento, fecha: new Date().toISOString(), datos };
+
+  const resultado = await db.query(
+    `INSERT INTO webhook_entregas (webhook_id, evento, carga)
+     SELECT id, $1::text, $2::jsonb
+     FROM webhooks
+     WHERE activo AND ($1::text = ANY(eventos) OR '*' = ANY(eventos))`,
+    [evento, JSON.stringify(carga)]
+  );
+  return resultado.rowCount;
+}
+
+// Envía una entrega y devuelve { ok, codigo, error, duracionMs }
+async function enviarEntrega(entrega, { permitirInternos = false } = {}) {
+  const cuerpo = JSON.stringify(entrega.carga);
+  const marcaTiempo = Math.floor(Date.now() / 1000);
+  const inicio = Date.now();
+
+  try {
+    if (!permitirInternos && esDestinoInterno(entrega.url)) throw errorDestinoInterno();
+
+    const { codigo, texto } = await enviarPost(entrega.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ElChichoShop-Webhooks/1.0',
+        'X-Webhook-Evento': entrega.evento,
+        'X-Webhook-Entrega': String(entrega.id),
+        'X-Webhook-Firma': firmar(entrega.secreto, marcaTiempo, cuerpo)
+      },
+      cuerpo,
+      permitirInternos
+    });
+
+    const ok = codigo >= 200 && codigo < 300;
+
+    return {
+      ok,
+      codigo,
+      error: ok ? null : `HTTP ${codigo}${texto ? `: ${texto}` : ''}`.slice(0, LARGO_MAXIMO_ERROR),
+      duracionMs: Date.now() - inicio
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      codigo: null,
+      error: error.message.slice(0, LARGO_MAXIMO_ERROR),
+      duracionMs: Date.now() - inicio
+    };
+  }
+}
+
+// ============================================
+// DESPACHADOR
+// ============================================
+
+// Revisa la cola cada `intervaloMs` y envía las entregas vencidas de a `lote`.
+// Varias instancias del servidor pueden despachar a la vez: cada una reserva
+// sus filas con FOR UPDATE SKIP LOCKED.
+function crearDespachador({ pool, intervaloMs = 5000, lote = 20, permitirInternos = false }) {
+  let temporizador = null;
+  let procesando = false;
+
+  // Reserva entregas pendientes (de webhooks activos) y suma el intento
+  async function reservarEntregas() {
+    const resultado = await pool.query(
+      `UPDATE webhook_entregas e SET
+        intentos = e.intentos + 1,
+        proximo_intento = CURRENT_TIMESTAMP + make_interval(secs => $2)
+      FROM webhooks w
+      WHERE e.webhook_id = w.id
+        AND e.id IN (
+          SELECT pe.id
+          FROM webhook_entregas pe
+          JOIN webhooks pw ON pw.id = pe.webhook_id
+          WHERE pe.estado = 'pendiente'
+            AND pe.proximo_intento <= CURRENT_TIMESTAMP
+            AND pw.activo
+          ORDER BY pe.proximo_intento, pe.id
+          LIMIT $1
+          FOR UPDATE OF pe SKIP LOCKED
+        )
+      RETURNING e.id, e.evento, e.carga, e.intentos, w.url, w.secreto`,
+      [lote, SEGUNDOS_RESERVA]
+    );
+    return resultado.rows;
+  }
+
+  async function registrarResultado(entrega, { ok, codigo, error, duracionMs }) {
+    if (ok) {
+      await pool.query(
+        `UPDATE webhook_entregas SET
+          estado = 'entregado',
+          ultimo_codigo = $2,
+          ultimo_error = NULL,
+          duracion_ms = $3,
+          proximo_intento = NULL,
+          fecha_entrega = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+        [entrega.id, codigo, duracionMs]
+      );
+      return;
+    }
+
+    const agotada = entrega.intentos >= MAXIMO_INTENTOS;
+
+    await pool.query(
+      `UPDATE webhook_entregas SET
+        estado = $2,
+        ultimo_codigo = $3,
+        ultimo_error = $4,
+        duracion_ms = $5,
+        proximo_intento = CURRENT_TIMESTAMP + make_interval(secs => $6)
+      WHERE id = $1`,
+      [
+        entrega.id,
+        agotada ? 'fallido' : 'pendiente',
+        codigo,
+        error,
+        duracionMs,
+        // Sin más intentos queda en NULL (make_interval(NULL) es NULL)
+        agotada ? null : RETRASOS_REINTENTO[entrega.intentos - 1]
+      ]
+    );
+  }
+
+  // Envía hasta vaciar la cola de entregas vencidas. Devuelve cuántas procesó.
+  async function procesarPendientes() {
+    if (procesando) return 0;
+    procesando = true;
+    let procesadas = 0;
+
+    try {
+      for (;;) {
+        const entregas = await reservarEntregas();
+        if (entregas.length === 0) break;
+
+        await Promise.all(entregas.map(async (entrega) => {
+          const resultado = await enviarEntrega(entrega, { permitirInternos });
+          await registrarResultado(entrega, resultado);
+        }));
+        procesadas += entregas.length;
+      }
+    } finally {
+      procesando = false;
+    }
+
+    return procesadas;
+  }
+
+  function programar() {
+    temporizador = setTimeout(async () => {
+      try {
+        await procesarPendientes();
+      } catch (error) {
+        console.error('Error despachando webhooks:', error);
+      }
+      if (temporizador) programar();
+    }, intervaloMs);
+    temporizador.unref();
+  }
+
+  return {
+    procesarPendientes,
+
+    iniciar() {
+      if (!temporizador) programar();
+    },
+
+    detener() {
+      clearTimeout(temporizador);
+      temporizador = null;
+    }
+  };
+}
+
+module.exports = {
+  EVENTOS_WEBHOOK,
+  MAXIMO_INTENTOS,
+  generarSecreto,
+  firmar,
+  esDestinoInterno,
+  encolarEvento,
+  enviarEntrega,
+  crearDespachador
+};